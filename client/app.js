@@ -31,7 +31,12 @@ socket.on('connect', () => {
   // If session was active before disconnect, re-establish it
   if (state.isSessionActive) {
     dbg('Socket', 'Re-establishing session after reconnect');
-    socket.emit('start_session', { toolType: state.selectedTool || 'blender' });
+    socket.emit('start_session', {
+      toolType: state.selectedTool || 'blender',
+      resumeTutorialId: state.tutorial?.metadata?.sessionId || state.resumeTutorialId,
+      language: state.language,
+      ttsMuted: state.ttsMuted
+    });
     if (state.displayStream && state.displayStream.getVideoTracks()[0]?.readyState === 'live') {
       setupScreenCapture();
       els.screenIndicator.classList.remove('inactive');
@@ -70,13 +75,17 @@ setInterval(() => {
     `| mic=${state.mediaStream?.getAudioTracks()[0]?.readyState ?? 'none'}`,
     `| screen=${screenTrack?.readyState ?? 'none'}`,
     `| muted=${screenTrack?.muted ?? '?'}`,
-    `| frames=${frameSentCount}/${frameSkipCount}`,
+    `| frames=${frameSentCount}/${frameUnchangedCount}/${frameSkipCount}`,
     `| audioQ=${state.audioQueue.length}`);
 }, 10000);
 
 // State
 const state = {
   selectedTool: null,
+  resumeTutorialId: null,
+  language: localStorage.getItem('coachLanguage') || 'en',
+  ttsMuted: localStorage.getItem('coachTtsMuted') === 'true',
+  recordingId: null,
   isSessionActive: false,
   mediaStream: null,
   displayStream: null,
@@ -86,38 +95,40 @@ const state = {
   currentAudioSource: null,
   tutorial: null,
   currentStepIndex: 0,
+  selectedStepIndex: 0,
+  stepVerifications: {},
+  editRequested: false,
+  editInProgress: false,
   frameInterval: null,
   playbackContext: null
 };
 
-// Tool metadata for landing screen
-const toolMeta = {
-  blender: {
-    title: 'Blender Coach',
-    logo: 'assets/blender-icon.png',
-    subtitle: 'Real-time AI-powered Blender 3D tutoring',
-    description: 'Get voice-guided lessons, live screen analysis, and step-by-step tutorials for 3D modeling in Blender.'
-  },
-  figma: {
-    title: 'Figma Coach',
-    logo: 'assets/figma-icon.png',
-    subtitle: 'Real-time AI-powered Figma design tutoring',
-    description: 'Get voice-guided lessons, live screen analysis, and step-by-step tutorials for UI/UX design in Figma.'
-  }
-};
+// Tool metadata for home + landing screens, keyed by id (loaded from /api/tools)
+const toolMeta = {};
 
 // DOM elements
 const els = {
   homeScreen: document.getElementById('home-screen'),
+  toolGrid: document.getElementById('tool-grid'),
+  resumeSection: document.getElementById('resume-section'),
+  resumeList: document.getElementById('resume-list'),
   landingScreen: document.getElementById('landing-screen'),
   landingIcon: document.getElementById('landing-icon'),
+  landingIconFa: document.getElementById('landing-icon-fa'),
   landingTitle: document.getElementById('landing-title'),
   landingSubtitle: document.getElementById('landing-subtitle'),
   landingDescription: document.getElementById('landing-description'),
+  languageSelect: document.getElementById('language-select'),
   sessionScreen: document.getElementById('session-screen'),
   startBtn: document.getElementById('start-btn'),
   micIndicator: document.getElementById('mic-indicator'),
   screenIndicator: document.getElementById('screen-indicator'),
+  voiceIndicator: document.getElementById('voice-indicator'),
+  exportMenu: document.getElementById('export-menu'),
+  exportBtn: document.getElementById('export-btn'),
+  exportOptions: document.getElementById('export-options'),
+  chatForm: document.getElementById('chat-form'),
+  chatInput: document.getElementById('chat-input'),
   connectionStatus: document.getElementById('connection-status'),
   screenShareBanner: document.getElementById('screen-share-banner'),
   shareScreenBtn: document.getElementById('share-screen-btn'),
@@ -130,6 +141,10 @@ const els = {
   stepImage: document.getElementById('step-image'),
   stepInstructions: document.getElementById('step-instructions'),
   stepInstructionsText: document.getElementById('step-instructions-text'),
+  stepActions: document.getElementById('step-actions'),
+  stepInsertTitle: document.getElementById('step-insert-title'),
+  stepChecklist: document.getElementById('step-checklist'),
+  stepChecklistItems: document.getElementById('step-checklist-items'),
   transcript: document.getElementById('transcript'),
   hotkeyDisplay: document.getElementById('hotkey-display'),
   tutorialLoader: document.getElementById('tutorial-loader'),
@@ -145,6 +160,34 @@ const els = {
 
 // ---- Mic & Screen Toggle Buttons ----
 
+// ---- Text Chat + Voice Mute ----
+
+els.chatForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const text = els.chatInput.value.trim();
+  if (!text || !state.isSessionActive) return;
+  socket.emit('user_text_input', text);
+  els.chatInput.value = '';
+  dbg('Chat', `Sent: "${text.substring(0, 50)}"`);
+});
+
+function renderVoiceIndicator() {
+  els.voiceIndicator.classList.toggle('inactive', state.ttsMuted);
+  els.voiceIndicator.querySelector('i').className = `fas ${state.ttsMuted ? 'fa-volume-mute' : 'fa-volume-up'}`;
+  els.voiceIndicator.title = state.ttsMuted ? "Unmute the coach's voice" : "Mute the coach's voice";
+}
+
+els.voiceIndicator.addEventListener('click', () => {
+  state.ttsMuted = !state.ttsMuted;
+  localStorage.setItem('coachTtsMuted', String(state.ttsMuted));
+  renderVoiceIndicator();
+  if (state.ttsMuted) stopAudioPlayback();
+  socket.emit('set_tts_muted', state.ttsMuted);
+  dbg('Audio', `Coach voice ${state.ttsMuted ? 'muted' : 'unmuted'}`);
+});
+
+renderVoiceIndicator();
+
 els.micIndicator.addEventListener('click', () => {
   if (!state.mediaStream) return;
   const track = state.mediaStream.getAudioTracks()[0];
@@ -204,9 +247,11 @@ els.screenIndicator.addEventListener('click', async () => {
 // ---- Back Navigation ----
 
 document.getElementById('back-to-home').addEventListener('click', () => {
+  state.resumeTutorialId = null;
   els.landingScreen.classList.add('hidden');
   els.homeScreen.classList.remove('hidden');
   document.title = 'Claude Coach';
+  loadResumeList();
 });
 
 document.getElementById('back-to-landing').addEventListener('click', () => {
@@ -247,7 +292,13 @@ document.getElementById('back-to-landing').addEventListener('click', () => {
   state.isSessionActive = false;
   state.tutorial = null;
   state.currentStepIndex = 0;
+  state.resumeTutorialId = null;
+  state.recordingId = null;
+  els.exportMenu.classList.add('hidden');
   if (window.electronBridge) window.electronBridge.setSessionActive(false);
+  if (toolMeta[state.selectedTool]) {
+    els.landingDescription.textContent = toolMeta[state.selectedTool].description;
+  }
 
   // Reset UI
   els.sessionScreen.classList.add('hidden');
@@ -270,25 +321,148 @@ document.getElementById('back-to-landing').addEventListener('click', () => {
 
 // ---- Tool Selection ----
 
-document.querySelectorAll('.tool-tile[data-tool]').forEach(tile => {
-  tile.addEventListener('click', () => {
-    const tool = tile.dataset.tool;
-    state.selectedTool = tool;
-
-    const meta = toolMeta[tool];
-    if (meta) {
-      els.landingIcon.src = meta.logo;
-      els.landingTitle.textContent = meta.title;
-      els.landingSubtitle.textContent = meta.subtitle;
-      els.landingDescription.textContent = meta.description;
-      document.title = meta.title;
-    }
+async function loadTools() {
+  try {
+    const res = await fetch('/api/tools');
+    const { tools } = await res.json();
+    tools.forEach(tool => { toolMeta[tool.id] = tool; });
+    renderToolGrid(tools);
+    dbg('Tools', `Loaded ${tools.length} tools`);
+  } catch (err) {
+    dbg('Tools', 'Failed to load tools:', err.message);
+  }
+}
+
+function toolIconHtml(tool) {
+  if (tool.iconUrl) return `<img src="${tool.iconUrl}" alt="${escapeHtml(tool.name)}" class="tool-icon">`;
+  if (tool.iconClass) return `<i class="fas ${tool.iconClass}"></i>`;
+  return '';
+}
 
-    els.homeScreen.classList.add('hidden');
-    els.landingScreen.classList.remove('hidden');
+function renderToolGrid(tools) {
+  els.toolGrid.innerHTML = '';
+  tools.forEach(tool => {
+    const tile = document.createElement('div');
+    tile.className = `tool-tile${tool.comingSoon ? ' disabled' : ''}`;
+    tile.innerHTML = `
+      ${toolIconHtml(tool)}
+      <span class="tool-name">${escapeHtml(tool.name)}</span>
+      ${tool.comingSoon
+        ? '<span class="tool-badge">Coming soon</span>'
+        : `<span class="tool-desc">${escapeHtml(tool.tagline)}</span>`}
+    `;
+    if (!tool.comingSoon) {
+      tile.dataset.tool = tool.id;
+      tile.addEventListener('click', () => {
+        state.resumeTutorialId = null;
+        showLanding(tool.id);
+      });
+    }
+    els.toolGrid.appendChild(tile);
   });
+}
+
+function showLanding(tool, description) {
+  state.selectedTool = tool;
+
+  const meta = toolMeta[tool];
+  if (meta) {
+    // Plugins ship either an icon file or a Font Awesome class
+    els.landingIcon.classList.toggle('hidden', !meta.iconUrl);
+    els.landingIconFa.classList.toggle('hidden', !!meta.iconUrl);
+    if (meta.iconUrl) {
+      els.landingIcon.src = meta.iconUrl;
+    } else {
+      els.landingIconFa.className = `fas landing-logo-fa ${meta.iconClass || 'fa-cube'}`;
+    }
+    els.landingTitle.textContent = meta.title;
+    els.landingSubtitle.textContent = meta.subtitle;
+    els.landingDescription.textContent = description || meta.description;
+    document.title = meta.title;
+  }
+
+  els.homeScreen.classList.add('hidden');
+  els.landingScreen.classList.remove('hidden');
+}
+
+// ---- Session Language ----
+
+async function loadLanguages() {
+  try {
+    const res = await fetch('/api/languages');
+    const { languages } = await res.json();
+    els.languageSelect.innerHTML = languages
+      .map(lang => `<option value="${lang.code}">${escapeHtml(lang.nativeName)}</option>`)
+      .join('');
+    if (!languages.some(lang => lang.code === state.language)) state.language = 'en';
+    els.languageSelect.value = state.language;
+  } catch (err) {
+    dbg('Language', 'Failed to load languages:', err.message);
+  }
+}
+
+els.languageSelect.addEventListener('change', () => {
+  state.language = els.languageSelect.value;
+  localStorage.setItem('coachLanguage', state.language);
+  dbg('Language', `Selected ${state.language}`);
 });
 
+loadLanguages();
+
+// ---- Resume Saved Tutorials ----
+
+async function loadResumeList() {
+  try {
+    const res = await fetch('/api/tutorials?resumable=true');
+    const { tutorials } = await res.json();
+    dbg('Resume', `${tutorials.length} resumable tutorial(s)`);
+    renderResumeList(tutorials);
+  } catch (err) {
+    dbg('Resume', 'Failed to load tutorials:', err.message);
+  }
+}
+
+async function deleteTutorial(id) {
+  try {
+    await fetch(`/api/tutorials/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  } catch (err) {
+    dbg('Resume', 'Failed to delete tutorial:', err.message);
+  }
+  loadResumeList();
+}
+
+loadTools().then(loadResumeList);
+
+function renderResumeList(tutorials) {
+  els.resumeList.innerHTML = '';
+  els.resumeSection.classList.toggle('hidden', tutorials.length === 0);
+
+  tutorials.forEach((tutorial) => {
+    const meta = toolMeta[tutorial.toolType];
+    const stepLabel = `Step ${tutorial.currentStepIndex + 1} of ${tutorial.totalSteps}`;
+    const item = document.createElement('div');
+    item.className = 'resume-item';
+    item.innerHTML = `
+      ${meta ? toolIconHtml(meta) : ''}
+      <div class="resume-info">
+        <span class="resume-title">${escapeHtml(tutorial.objectLabel)}</span>
+        <span class="resume-progress">${stepLabel} · ${escapeHtml(tutorial.proficiency || '')}</span>
+      </div>
+      <button class="resume-delete" title="Remove"><i class="fas fa-times"></i></button>
+      <i class="fas fa-play"></i>
+    `;
+    item.querySelector('.resume-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteTutorial(tutorial.id);
+    });
+    item.addEventListener('click', () => {
+      state.resumeTutorialId = tutorial.id;
+      showLanding(tutorial.toolType, `Pick up your ${tutorial.objectLabel} tutorial at ${stepLabel.toLowerCase()}.`);
+    });
+    els.resumeList.appendChild(item);
+  });
+}
+
 // ---- Start Session ----
 
 els.startBtn.addEventListener('click', startSession);
@@ -297,17 +471,24 @@ async function startSession() {
   try {
     dbg('Session', 'Starting...');
 
-    // Request microphone
-    state.mediaStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        sampleRate: 16000,
-        channelCount: 1,
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true
-      }
-    });
-    dbg('Session', 'Mic acquired');
+    // Request microphone — optional, the chat box works without one
+    try {
+      state.mediaStream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          sampleRate: 16000,
+          channelCount: 1,
+          echoCancellation: true,
+          noiseSuppression: true,
+          autoGainControl: true
+        }
+      });
+      dbg('Session', 'Mic acquired');
+      els.micIndicator.classList.remove('inactive');
+    } catch (e) {
+      dbg('Session', 'No microphone, continuing in text mode:', e.message);
+      state.mediaStream = null;
+      els.micIndicator.classList.add('inactive');
+    }
 
     // Request screen share
     try {
@@ -351,23 +532,30 @@ async function startSession() {
     els.sessionScreen.classList.remove('hidden');
 
     // Setup audio capture
-    await setupAudioCapture();
+    if (state.mediaStream) {
+      await setupAudioCapture();
+    }
 
     // Setup audio playback context
     state.playbackContext = new (window.AudioContext || window.webkitAudioContext)();
 
     // Start session on server
-    socket.emit('start_session', { toolType: state.selectedTool || 'blender' });
+    socket.emit('start_session', {
+      toolType: state.selectedTool || 'blender',
+      resumeTutorialId: state.resumeTutorialId,
+      language: state.language,
+      ttsMuted: state.ttsMuted
+    });
     state.isSessionActive = true;
     if (window.electronBridge) window.electronBridge.setSessionActive(true);
-    dbg('Session', `start_session emitted (toolType=${state.selectedTool})`);
+    dbg('Session', `start_session emitted (toolType=${state.selectedTool}, resume=${state.resumeTutorialId || 'none'}, language=${state.language})`);
 
     if (state.displayStream) {
       setupScreenCapture();
     }
   } catch (err) {
     dbg('Session', 'FAILED:', err.message);
-    alert('Could not access microphone. Please grant permission and try again.');
+    alert(`Could not start the session: ${err.message}`);
   }
 }
 
@@ -449,6 +637,89 @@ function arrayBufferToBase64(buffer) {
 
 let frameSentCount = 0;
 let frameSkipCount = 0;
+let frameUnchangedCount = 0;
+
+// Frames keep the shared window's aspect ratio within these bounds, so
+// ultrawide and portrait windows aren't squashed into 16:9
+const FRAME_MAX_EDGE = 1280;
+const FRAME_MAX_PIXELS = 1280 * 720;
+
+// JPEG quality steps down while the socket's send buffer backs up and back up
+// once it drains; past FRAME_BUFFER_DROP the frame is skipped altogether
+const FRAME_QUALITIES = [0.35, 0.45, 0.6, 0.7, 0.8];
+const FRAME_BUFFER_HIGH = 256 * 1024;
+const FRAME_BUFFER_LOW = 32 * 1024;
+const FRAME_BUFFER_DROP = 1024 * 1024;
+const FRAME_RECOVER_AFTER = 5;         // consecutive drained sends before stepping quality up
+let frameQualityLevel = 2;
+let frameDrainedCount = 0;
+
+// Region captures (server `capture_region`) are cropped from the full-resolution video
+const REGION_MAX_EDGE = 1568;          // Claude downsizes anything with a longer edge
+const REGION_QUALITY = 0.85;
+
+// Change detection: frames are compared on a small grayscale thumbnail and
+// only sent when enough of it changed, so an idle screen costs no checks
+const SIGNATURE_WIDTH = 32;
+const SIGNATURE_HEIGHT = 18;
+const SIGNATURE_PIXEL_DELTA = 12;      // 0-255 brightness change that counts a cell as changed
+const SIGNATURE_CHANGED_RATIO = 0.005; // share of changed cells that makes a new frame (~3 of 576)
+let lastSentSignature = null;
+const signatureCanvas = document.createElement('canvas');
+signatureCanvas.width = SIGNATURE_WIDTH;
+signatureCanvas.height = SIGNATURE_HEIGHT;
+
+function frameSignature(source) {
+  const ctx = signatureCanvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  const gray = new Uint8Array(SIGNATURE_WIDTH * SIGNATURE_HEIGHT);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+function signatureChanged(previous, next) {
+  if (!previous) return true;
+  let changed = 0;
+  for (let i = 0; i < next.length; i++) {
+    if (Math.abs(next[i] - previous[i]) > SIGNATURE_PIXEL_DELTA) changed++;
+  }
+  return changed / next.length >= SIGNATURE_CHANGED_RATIO;
+}
+
+/** Output size for a source of w×h: aspect ratio kept, never upscaled. */
+function fitFrame(width, height, maxEdge, maxPixels = Infinity) {
+  const scale = Math.min(1, maxEdge / Math.max(width, height), Math.sqrt(maxPixels / (width * height)));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+function socketBufferedAmount() {
+  return socket.io?.engine?.transport?.ws?.bufferedAmount ?? 0;
+}
+
+/** Pick the JPEG quality for the next frame from send-buffer pressure; null means skip it. */
+function adaptFrameQuality() {
+  const buffered = socketBufferedAmount();
+  if (buffered > FRAME_BUFFER_DROP) return null;
+
+  if (buffered > FRAME_BUFFER_HIGH) {
+    frameDrainedCount = 0;
+    if (frameQualityLevel > 0) {
+      frameQualityLevel--;
+      dbg('Screen', `Send buffer at ${(buffered / 1024).toFixed(0)}KB — quality down to ${FRAME_QUALITIES[frameQualityLevel]}`);
+    }
+  } else if (buffered < FRAME_BUFFER_LOW) {
+    frameDrainedCount++;
+    if (frameDrainedCount >= FRAME_RECOVER_AFTER && frameQualityLevel < FRAME_QUALITIES.length - 1) {
+      frameQualityLevel++;
+      frameDrainedCount = 0;
+      dbg('Screen', `Send buffer drained — quality up to ${FRAME_QUALITIES[frameQualityLevel]}`);
+    }
+  }
+  return FRAME_QUALITIES[frameQualityLevel];
+}
 
 function captureAndSendFrame() {
   if (!state.displayStream) return false;
@@ -473,17 +744,32 @@ function captureAndSendFrame() {
 
   try {
     const canvas = els.screenCanvas;
-    canvas.width = 960;
-    canvas.height = 540;
+    const size = fitFrame(video.videoWidth, video.videoHeight, FRAME_MAX_EDGE, FRAME_MAX_PIXELS);
+    canvas.width = size.width;
+    canvas.height = size.height;
     const ctx = canvas.getContext('2d');
-    ctx.drawImage(video, 0, 0, 960, 540);
-    const dataUrl = canvas.toDataURL('image/jpeg', 0.6);
+    ctx.drawImage(video, 0, 0, size.width, size.height);
+
+    const signature = frameSignature(canvas);
+    if (!signatureChanged(lastSentSignature, signature)) {
+      frameUnchangedCount++;
+      return false;
+    }
+
+    const quality = adaptFrameQuality();
+    if (quality === null) {
+      frameSkipCount++;
+      return false;
+    }
+
+    const dataUrl = canvas.toDataURL('image/jpeg', quality);
     const base64 = dataUrl.split(',')[1];
     if (base64) {
       socket.emit('frame', base64);
+      lastSentSignature = signature;
       frameSentCount++;
       if (frameSentCount <= 3 || frameSentCount % 30 === 0) {
-        dbg('Screen', `Frame #${frameSentCount} sent (${(base64.length / 1024).toFixed(0)}KB)`);
+        dbg('Screen', `Frame #${frameSentCount} sent (${size.width}×${size.height} @ ${quality}, ${(base64.length / 1024).toFixed(0)}KB)`);
       }
       return true;
     }
@@ -493,12 +779,47 @@ function captureAndSendFrame() {
   return false;
 }
 
+// Server asks for a detailed crop: region is { x, y, width, height } as
+// fractions of the shared screen (omitted = the whole screen)
+socket.on('capture_region', ({ requestId, region, maxEdge } = {}) => {
+  const video = els.screenVideo;
+  const track = state.displayStream?.getVideoTracks()[0];
+  if (!track || track.readyState !== 'live' || !video.videoWidth) {
+    socket.emit('region_frame', { requestId, error: 'Screen share is not active' });
+    return;
+  }
+
+  try {
+    const clamp = (v) => Math.min(1, Math.max(0, Number(v) || 0));
+    const x = clamp(region?.x);
+    const y = clamp(region?.y);
+    const sw = Math.max(1, Math.round((region ? Math.min(clamp(region.width), 1 - x) : 1) * video.videoWidth));
+    const sh = Math.max(1, Math.round((region ? Math.min(clamp(region.height), 1 - y) : 1) * video.videoHeight));
+    const size = fitFrame(sw, sh, maxEdge || REGION_MAX_EDGE);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    canvas.getContext('2d').drawImage(video, Math.round(x * video.videoWidth), Math.round(y * video.videoHeight), sw, sh, 0, 0, size.width, size.height);
+    const image = canvas.toDataURL('image/jpeg', REGION_QUALITY).split(',')[1];
+
+    dbg('Screen', `Region capture ${requestId}: ${sw}×${sh} source → ${size.width}×${size.height} (${(image.length / 1024).toFixed(0)}KB)`);
+    socket.emit('region_frame', { requestId, image, width: size.width, height: size.height });
+  } catch (err) {
+    dbg('Screen', 'Region capture error:', err.message);
+    socket.emit('region_frame', { requestId, error: err.message });
+  }
+});
+
 function setupScreenCapture() {
   els.screenVideo.srcObject = state.displayStream;
 
   stopFrameCapture();
   frameSentCount = 0;
   frameSkipCount = 0;
+  frameUnchangedCount = 0;
+  // A new (or reconnected) session has no frame yet — always send the first one
+  lastSentSignature = null;
 
   const FRAME_INTERVAL_MS = 1000;
 
@@ -530,14 +851,14 @@ function stopFrameCapture() {
     state.frameInterval = null;
   }
   if (frameSentCount > 0 || frameSkipCount > 0) {
-    dbg('Screen', `Capture stopped: ${frameSentCount} sent, ${frameSkipCount} skipped`);
+    dbg('Screen', `Capture stopped: ${frameSentCount} sent, ${frameUnchangedCount} unchanged, ${frameSkipCount} skipped`);
   }
 }
 
 // ---- Audio Playback (Server → Speaker) ----
 
 socket.on('agent_audio', (base64) => {
-  if (!state.isSessionActive) return;
+  if (!state.isSessionActive || state.ttsMuted) return;
   state.audioQueue.push(base64);
   if (!state.isPlayingAudio) {
     playNextAudio();
@@ -597,6 +918,10 @@ async function playNextAudio() {
 
 socket.on('interrupt', () => {
   dbg('Audio', 'Interrupt received');
+  stopAudioPlayback();
+});
+
+function stopAudioPlayback() {
   state.audioQueue = [];
   if (state.currentAudioSource) {
     try {
@@ -606,14 +931,36 @@ socket.on('interrupt', () => {
   }
   state.isPlayingAudio = false;
   socket.emit('audio_playback_ended');
-});
+}
 
 // ---- UI Event Handlers ----
 
-socket.on('session_started', () => {
-  dbg('Session', 'Server confirmed session_started');
+socket.on('session_started', ({ recordingId } = {}) => {
+  dbg('Session', `Server confirmed session_started (recording=${recordingId || 'none'})`);
+  // A reconnect restart keeps the original recording
+  if (recordingId) state.recordingId = recordingId;
+  els.exportMenu.classList.toggle('hidden', !state.recordingId);
+});
+
+// ---- Session Export ----
+
+els.exportBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  els.exportOptions.classList.toggle('hidden');
+});
+
+els.exportOptions.querySelectorAll('button').forEach(btn => {
+  btn.addEventListener('click', () => {
+    els.exportOptions.classList.add('hidden');
+    if (!state.recordingId) return;
+    const url = `/api/sessions/${encodeURIComponent(state.recordingId)}/export?format=${btn.dataset.format}`;
+    dbg('Export', `Exporting ${btn.dataset.format}`);
+    window.open(url, '_blank');
+  });
 });
 
+document.addEventListener('click', () => els.exportOptions.classList.add('hidden'));
+
 socket.on('agent_text', (text) => {
   appendMessage('Claude', text, 'agent');
 });
@@ -635,24 +982,180 @@ socket.on('tutorial_loading', ({ objectLabel }) => {
   els.tutorialLoader.classList.remove('hidden');
 });
 
+// The outline (reference image + step titles) arrives first while steps are still being written
+socket.on('tutorial_outline', (outline) => {
+  showTutorial(outline);
+});
+
+socket.on('tutorial_step_ready', (step) => {
+  if (!state.tutorial) return;
+  const idx = step.stepNumber - 1;
+  state.tutorial.steps[idx] = step;
+  els.stepList.querySelector(`.step-item[data-index="${idx}"]`)?.classList.remove('pending');
+  if (idx === state.selectedStepIndex) selectStep(idx);
+  else updateStepActions();
+});
+
 socket.on('tutorial_ready', (tutorial) => {
+  showTutorial(tutorial);
+});
+
+function showTutorial(tutorial) {
   els.tutorialLoader.classList.add('hidden');
+  // The saved tutorial after a streamed outline keeps the checks made meanwhile
+  const sameTutorial = state.tutorial?.metadata?.sessionId === tutorial.metadata?.sessionId;
   state.tutorial = tutorial;
-  state.currentStepIndex = 0;
+  state.currentStepIndex = tutorial.progress?.currentStepIndex || 0;
+  if (!sameTutorial) state.stepVerifications = {};
   renderTutorial(tutorial);
   if (window.electronBridge) {
     window.electronBridge.forwardToOverlay('tutorial_ready', {
       referenceImagePath: tutorial.referenceImagePath || null,
-      totalSteps: tutorial.steps ? tutorial.steps.length : 0
+      totalSteps: tutorial.steps ? tutorial.steps.length : 0,
+      currentStep: state.currentStepIndex + 1
     });
   }
-});
+}
 
-socket.on('tutorial_error', ({ error }) => {
+socket.on('tutorial_error', ({ error, phase, stepNumber, discarded }) => {
   els.tutorialLoader.classList.add('hidden');
-  appendMessage('System', `Tutorial generation failed: ${error}`, 'agent');
+  // A half-streamed tutorial the server dropped goes away here too
+  if (discarded) {
+    state.tutorial = null;
+    state.currentStepIndex = 0;
+    els.tutorialPanel.classList.add('hidden');
+  }
+  const where = { reference: 'drawing the reference image', analysis: 'planning the steps', instructions: 'writing the instructions', images: 'drawing the step images', validation: 'checking the tutorial' }[phase];
+  const detail = where ? ` while ${where}${stepNumber ? ` for step ${stepNumber}` : ''}` : '';
+  appendMessage('System', `Tutorial generation failed${detail}: ${error}`, 'agent');
+});
+
+// ---- Tutorial Editing (tutor tools or the step actions) ----
+
+socket.on('tutorial_edit_started', ({ action, stepNumber }) => {
+  state.editInProgress = true;
+  if (action === 'regenerate') {
+    els.stepList.querySelector(`.step-item[data-index="${stepNumber - 1}"]`)?.classList.add('pending');
+  } else if (action === 'insert') {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'step-item pending';
+    placeholder.innerHTML = `
+      <div class="step-number"><span>${stepNumber}</span></div>
+      <div class="step-title">New step</div>
+    `;
+    els.stepList.insertBefore(placeholder, els.stepList.querySelector(`.step-item[data-index="${stepNumber - 1}"]`));
+  }
+  updateStepActions();
+});
+
+socket.on('tutorial_updated', (diff) => {
+  state.editInProgress = false;
+  state.editRequested = false;
+  if (state.tutorial?.metadata?.sessionId !== diff.sessionId) return;
+  applyTutorialEdit(diff);
+  renderTutorial(state.tutorial);
+  if (window.electronBridge) {
+    window.electronBridge.forwardToOverlay('tutorial_updated', {
+      action: diff.action,
+      stepNumber: diff.step ? diff.step.stepNumber : diff.stepNumber,
+      currentStep: diff.currentStep,
+      totalSteps: diff.totalSteps
+    });
+  }
+});
+
+socket.on('tutorial_edit_error', ({ error }) => {
+  state.editInProgress = false;
+  if (state.tutorial) renderTutorial(state.tutorial);
+  // The coach explains failures of its own edits
+  if (state.editRequested) appendMessage('System', `Couldn't change the tutorial: ${error}`, 'agent');
+  state.editRequested = false;
+});
+
+// Same edits as server/utils/tutorial-edits.js; verifications follow their step
+// to its new number, except for a rewritten step, whose criteria changed
+function applyTutorialEdit(diff) {
+  const steps = state.tutorial.steps;
+  let next;
+  let from = steps.map((_, i) => i);
+
+  if (diff.action === 'regenerate') {
+    const index = diff.step.stepNumber - 1;
+    next = steps.map((s, i) => (i === index ? (s.skipped ? { ...diff.step, skipped: true } : diff.step) : s));
+    from[index] = null;
+  } else if (diff.action === 'insert') {
+    const index = diff.step.stepNumber - 1;
+    next = [...steps.slice(0, index), diff.step, ...steps.slice(index)];
+    from.splice(index, 0, null);
+  } else if (diff.action === 'skip') {
+    next = steps.map((s, i) => (i === diff.stepNumber - 1 ? { ...s, skipped: true } : s));
+  } else if (diff.action === 'reorder') {
+    from = diff.order.map(n => n - 1);
+    next = from.map(i => steps[i]);
+  } else {
+    return;
+  }
+
+  const verifications = {};
+  from.forEach((oldIndex, i) => {
+    const verification = oldIndex !== null && state.stepVerifications[oldIndex + 1];
+    if (verification) verifications[i + 1] = { ...verification, stepNumber: i + 1 };
+  });
+  state.stepVerifications = verifications;
+  state.tutorial = { ...state.tutorial, steps: next.map((s, i) => ({ ...s, stepNumber: i + 1 })), totalSteps: next.length };
+  state.currentStepIndex = diff.currentStep - 1;
+}
+
+els.stepActions.querySelectorAll('button').forEach(btn => {
+  btn.addEventListener('click', () => {
+    const idx = state.selectedStepIndex;
+    const step = state.tutorial?.steps[idx];
+    if (!step || state.editInProgress) return;
+
+    const { action, direction, offset } = btn.dataset;
+    let edit;
+    if (action === 'move') {
+      const order = state.tutorial.steps.map(s => s.stepNumber);
+      const target = idx + Number(offset);
+      [order[idx], order[target]] = [order[target], order[idx]];
+      edit = { action: 'reorder', order };
+    } else if (action === 'insert') {
+      const title = els.stepInsertTitle.value.trim();
+      if (!title) {
+        els.stepInsertTitle.focus();
+        return;
+      }
+      els.stepInsertTitle.value = '';
+      edit = { action, stepNumber: step.stepNumber, title };
+    } else {
+      edit = { action, stepNumber: step.stepNumber, direction };
+    }
+    dbg('Tutorial', `Edit: ${action}${direction ? ` (${direction})` : ''} step ${step.stepNumber}`);
+    state.editRequested = true;
+    socket.emit('edit_tutorial', edit);
+  });
 });
 
+els.stepInsertTitle.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return;
+  e.preventDefault();
+  els.stepActions.querySelector('button[data-action="insert"]').click();
+});
+
+function updateStepActions() {
+  const steps = state.tutorial?.steps || [];
+  const idx = state.selectedStepIndex;
+  const locked = state.editInProgress || steps.some(s => s.pending);
+  els.stepActions.querySelectorAll('button').forEach(btn => {
+    const { action, offset } = btn.dataset;
+    const target = idx + Number(offset);
+    btn.disabled = locked
+      || (action === 'skip' && steps[idx]?.skipped)
+      || (action === 'move' && (target < 0 || target >= steps.length));
+  });
+  els.stepInsertTitle.disabled = locked;
+}
+
 socket.on('step_update', ({ previousStep, currentStep, totalSteps }) => {
   state.currentStepIndex = currentStep - 1;
   updateStepHighlight();
@@ -661,6 +1164,13 @@ socket.on('step_update', ({ previousStep, currentStep, totalSteps }) => {
   }
 });
 
+// Result of checking the screen against a step before moving past it
+socket.on('step_verification', (verification) => {
+  state.stepVerifications[verification.stepNumber] = verification;
+  const idx = state.tutorial?.steps.findIndex(s => s.stepNumber === verification.stepNumber);
+  if (idx === state.currentStepIndex) selectStep(idx);
+});
+
 socket.on('hotkey_display', ({ keyCombo, description }) => {
   showHotkey(keyCombo, description);
   if (window.electronBridge) {
@@ -726,7 +1236,7 @@ function renderTutorial(tutorial) {
   els.stepList.innerHTML = '';
   tutorial.steps.forEach((step, idx) => {
     const item = document.createElement('div');
-    item.className = `step-item${idx === 0 ? ' active' : ''}`;
+    item.className = `step-item${idx === state.currentStepIndex ? ' active' : ''}${step.pending ? ' pending' : ''}${step.skipped ? ' skipped' : ''}`;
     item.dataset.index = idx;
     item.innerHTML = `
       <div class="step-number"><span>${step.stepNumber}</span></div>
@@ -736,13 +1246,14 @@ function renderTutorial(tutorial) {
     els.stepList.appendChild(item);
   });
 
-  selectStep(0);
+  selectStep(state.currentStepIndex);
 }
 
 function selectStep(idx) {
   if (!state.tutorial) return;
   const step = state.tutorial.steps[idx];
   if (!step) return;
+  state.selectedStepIndex = idx;
 
   if (step.imagePath) {
     els.stepImage.src = step.imagePath;
@@ -751,14 +1262,59 @@ function selectStep(idx) {
     els.stepImageContainer.classList.add('hidden');
   }
 
-  els.stepInstructionsText.innerHTML = marked.parse(step.instruction);
+  els.stepInstructionsText.innerHTML = (step.skipped ? '<p class="step-skipped-note">Skipped</p>' : '') + stepDetailsHtml(step);
   els.stepInstructions.classList.remove('hidden');
+  renderChecklist(step);
   updateStepHighlight(idx);
+  updateStepActions();
+}
+
+// Structured steps render as sections; tutorials saved before they existed fall back to the markdown instruction
+function stepDetailsHtml(step) {
+  if (step.pending) return '<p class="step-pending">Writing this step…</p>';
+  if (!step.subSteps?.length) return marked.parse(step.instruction || '');
+
+  let html = `<ol class="sub-steps">${step.subSteps.map(s => `<li>${marked.parseInline(s)}</li>`).join('')}</ol>`;
+  if (step.expectedEndState) {
+    html += `<div class="step-section"><div class="step-section-label">Expected result</div><p>${escapeHtml(step.expectedEndState)}</p></div>`;
+  }
+  if (step.hotkeys?.length) {
+    html += `<div class="step-section"><div class="step-section-label">Hotkeys</div><ul class="step-hotkeys">${step.hotkeys
+      .map(h => `<li><kbd>${escapeHtml(h.keys)}</kbd> ${escapeHtml(h.action)}</li>`).join('')}</ul></div>`;
+  }
+  if (step.commonMistakes?.length) {
+    html += `<div class="step-section"><div class="step-section-label">Watch out for</div><ul class="step-mistakes">${step.commonMistakes
+      .map(m => `<li>${escapeHtml(m.mistake)}${m.fix ? `<span class="mistake-fix">${escapeHtml(m.fix)}</span>` : ''}</li>`).join('')}</ul></div>`;
+  }
+  return html;
+}
+
+function renderChecklist(step) {
+  const verification = state.stepVerifications[step.stepNumber];
+  const items = verification
+    ? verification.criteria
+    : (step.completionCriteria || []).map(criterion => ({ criterion }));
+
+  if (!items.length) {
+    els.stepChecklist.classList.add('hidden');
+    return;
+  }
+
+  els.stepChecklistItems.innerHTML = '';
+  for (const item of items) {
+    const li = document.createElement('li');
+    const status = item.met === undefined ? '' : item.met ? 'met' : 'unmet';
+    const icon = item.met === undefined ? 'far fa-circle' : item.met ? 'fas fa-check-circle' : 'fas fa-times-circle';
+    li.className = status;
+    li.innerHTML = `<i class="${icon}"></i><span>${escapeHtml(item.criterion)}${item.met === false && item.note ? `<span class="checklist-note">${escapeHtml(item.note)}</span>` : ''}</span>`;
+    els.stepChecklistItems.appendChild(li);
+  }
+  els.stepChecklist.classList.remove('hidden');
 }
 
 function updateStepHighlight(overrideIdx) {
   const idx = overrideIdx !== undefined ? overrideIdx : state.currentStepIndex;
-  const items = els.stepList.querySelectorAll('.step-item');
+  const items = els.stepList.querySelectorAll('.step-item[data-index]');
   items.forEach((item, i) => {
     item.classList.remove('active', 'completed');
     if (i < idx) item.classList.add('completed');
@@ -6,6 +6,18 @@ const { Server } = require('socket.io');
 const path = require('path');
 const logger = require('./utils/logger');
 const LiveAIModule = require('./live-ai-module');
+const SessionCapture = require('./replay/session-capture');
+const TutorialStore = require('./services/tutorial-store');
+const toolRegistry = require('./tools/registry');
+const createTutorialsRouter = require('./routes/tutorials');
+const createToolsRouter = require('./routes/tools');
+const createSessionsRouter = require('./routes/sessions');
+const { listLanguages } = require('./utils/languages');
+
+// Sessions fall back to the default tool, so there must be at least one to fall back to
+if (!toolRegistry.getDefault()) {
+  throw new Error(`No tool plugins available in ${toolRegistry.toolsDir} — each tool needs a directory with tool.json, tutor.json, lesson-creator.json and lesson-creator-agent.js`);
+}
 
 // Catch unhandled errors to diagnose socket drops
 process.on('uncaughtException', (err) => {
@@ -16,6 +28,7 @@ process.on('unhandledRejection', (reason) => {
 });
 
 const PORT = process.env.PORT || 3000;
+const tutorialStore = new TutorialStore();
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -28,10 +41,28 @@ app.use(express.static(path.join(__dirname, '..', 'client')));
 // Serve generated tutorial images
 app.use('/output', express.static(path.join(__dirname, '..', 'output')));
 
+// Tool plugins (home screen tiles, icons)
+app.use('/api/tools', createToolsRouter(toolRegistry));
+
+// Session languages for the pre-session picker
+app.get('/api/languages', (req, res) => {
+  res.json({ languages: listLanguages() });
+});
+
+// Tutorial library REST API
+app.use('/api/tutorials', express.json(), createTutorialsRouter(tutorialStore));
+
+// Session transcript exports
+app.use('/api/sessions', createSessionsRouter());
+
 io.on('connection', (socket) => {
   logger.info('Server', `Client connected: ${socket.id} (transport=${socket.conn.transport.name})`);
 
-  let module = new LiveAIModule();
+  // SESSION_CAPTURE=true records the socket for `npm run replay`
+  const capture = process.env.SESSION_CAPTURE === 'true' ? new SessionCapture(socket) : null;
+  const services = capture ? capture.wrapServices(LiveAIModule.defaultServices) : {};
+
+  let module = new LiveAIModule(services);
   module.initialize(socket);
 
   socket.conn.on('upgrade', (transport) => {
@@ -41,14 +72,16 @@ io.on('connection', (socket) => {
   socket.on('stop_session', () => {
     logger.info('Server', `Client stopped session: ${socket.id}`);
     module.destroy();
+    if (capture) capture.save();
     // Create a fresh module so the same socket can start a new session
-    module = new LiveAIModule();
+    module = new LiveAIModule(services);
     module.initialize(socket);
   });
 
   socket.on('disconnect', (reason) => {
     logger.info('Server', `Client disconnected: ${socket.id} (reason=${reason})`);
     module.destroy();
+    if (capture) capture.save();
   });
 
   socket.on('error', (err) => {
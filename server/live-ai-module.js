@@ -1,27 +1,86 @@
 const path = require('path');
 const ClaudeService = require('./services/claude-service');
-const ElevenLabsSTT = require('./services/elevenlabs-stt');
-const ElevenLabsTTS = require('./services/elevenlabs-tts');
-const LessonCreatorAgent = require('./agents/blender3d-lesson-creator-agent');
-const FigmaLessonCreatorAgent = require('./agents/figma-lesson-creator-agent');
+const STTProvider = require('./services/stt-provider');
+const TTSProvider = require('./services/tts-provider');
+const toolRegistry = require('./tools/registry');
+const TutorialStore = require('./services/tutorial-store');
+const LearnerProfileStore = require('./services/learner-profile-store');
+const SessionRecorder = require('./services/session-recorder');
+const ContextManager = require('./services/context-manager');
+const StepVerifier = require('./services/step-verifier');
 const logger = require('./utils/logger');
+const { getLanguage } = require('./utils/languages');
+const { describeStep } = require('./utils/tutorial-steps');
+const { applyStepEdit, currentIndexAfterEdit, nextUnskippedIndex, orderProblem } = require('./utils/tutorial-edits');
 
 const TAG = 'LiveAI';
 const MAX_CONTEXT_IMAGES = 10;
+const MAX_TEXT_INPUT_LENGTH = 2000;
+const CAPTURE_TIMEOUT_MS = 5000;
+const MAX_INSPECT_ZOOM = 4;
+
+// Tutorial editing tools and the `edit_tutorial` / `tutorial_updated` action for each
+const EDIT_ACTIONS = {
+  Regenerate_Step: 'regenerate',
+  Insert_Step: 'insert',
+  Skip_Step: 'skip',
+  Reorder_Steps: 'reorder'
+};
+
+// Inspect_Screen regions as fractions of the screen
+const SCREEN_REGIONS = {
+  full: { x: 0, y: 0, width: 1, height: 1 },
+  left_half: { x: 0, y: 0, width: 0.5, height: 1 },
+  right_half: { x: 0.5, y: 0, width: 0.5, height: 1 },
+  top_half: { x: 0, y: 0, width: 1, height: 0.5 },
+  bottom_half: { x: 0, y: 0.5, width: 1, height: 0.5 },
+  top_left: { x: 0, y: 0, width: 0.5, height: 0.5 },
+  top_right: { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+  bottom_left: { x: 0, y: 0.5, width: 0.5, height: 0.5 },
+  bottom_right: { x: 0.5, y: 0.5, width: 0.5, height: 0.5 },
+  center: { x: 0.25, y: 0.25, width: 0.5, height: 0.5 },
+  left_panel: { x: 0, y: 0, width: 0.25, height: 1 },
+  right_panel: { x: 0.75, y: 0, width: 0.25, height: 1 }
+};
+
+/**
+ * Factories for the external services a session talks to. The replay harness
+ * (server/replay) and session capture swap these out; production uses the
+ * defaults.
+ */
+const defaultServices = {
+  createClaude: () => new ClaudeService(process.env.ANTHROPIC_API_KEY),
+  createSTT: () => STTProvider.create(process.env.STT_PROVIDER),
+  createTTS: (options) => TTSProvider.create(process.env.TTS_PROVIDER, options),
+  createLessonCreator: (toolType) => toolRegistry.createLessonCreator(toolType),
+  createRecorder: (meta) => new SessionRecorder(meta),
+  createTutorialStore: () => new TutorialStore(),
+  createLearnerProfileStore: () => new LearnerProfileStore()
+};
 
 class LiveAIModule {
-  constructor() {
+  constructor(services = {}) {
     this.socket = null;
     this.config = null;
 
     // Services
+    this.services = { ...defaultServices, ...services };
     this.claude = null;
     this.stt = null;
     this.tts = null;
     this.lessonCreator = null;
+    this.tutorialStore = this.services.createTutorialStore();
+    this.learnerProfiles = this.services.createLearnerProfileStore();
 
-    // Tool type
+    // Tool plugin (see tools/registry.js)
+    this.tool = null;
     this.toolType = null;
+    this.language = null;
+    this.recorder = null;
+    this.context = null;
+    this.verifier = null;
+    // The learner's profile for this tool as it stood when the session started
+    this.learnerProfile = null;
 
     // State
     this.lastUserInputAt = 0;
@@ -31,33 +90,56 @@ class LiveAIModule {
     this.currentTutorial = null;
     this.currentStepIndex = 0;
     this.latestFrame = null;
+    this.lastFrameChangeAt = 0;
+    this.lastFrameSeenAt = 0;
+    this.pendingCaptures = new Map();
+    this.captureRequestSeq = 0;
+    this.tutorialGenerationSeq = 0;
+    this.tutorialEditInProgress = false;
     this.recurringCheckInterval = null;
     this.isRecurringCheckRunning = false;
     this.recurringCheckCancelled = false;
     this.isProcessing = false;
     this.interrupted = false;
     this.hasPendingUserMessage = false;
+    // System notices for Claude (e.g. [TUTORIAL_ERROR]) waiting for the current reply to finish
+    this.pendingNotices = [];
     this.destroyed = false;
+    // Socket listeners, kept so destroy() can detach them: index.js reuses the
+    // socket for the next session's module
+    this.socketHandlers = {};
 
     // TTS sentence buffer
     this.sentenceBuffer = '';
+
+    // Text-only output (client muted the coach's voice)
+    this.ttsMuted = false;
   }
 
   initialize(socket) {
     this.socket = socket;
 
     // Create services (config + lessonCreator deferred to startSession)
-    this.claude = new ClaudeService(process.env.ANTHROPIC_API_KEY);
-    this.stt = new ElevenLabsSTT(process.env.ELEVENLABS_API_KEY);
+    this.claude = this.services.createClaude();
+    this.stt = this.services.createSTT();
 
     // Wire socket events
-    socket.on('audio_data', (data) => this.handleUserAudio(data));
-    socket.on('frame', (data) => this.handleFrame(data));
-    socket.on('audio_playback_started', () => {
-      logger.debug(TAG, 'Client: audio playback started');
-    });
-    socket.on('audio_playback_ended', () => this.onAudioPlaybackEnded());
-    socket.on('start_session', (data) => this.startSession(data));
+    this.socketHandlers = {
+      audio_data: (data) => this.handleUserAudio(data),
+      frame: (data) => this.handleFrame(data),
+      region_frame: (data) => this.handleRegionFrame(data),
+      audio_playback_started: () => {
+        logger.debug(TAG, 'Client: audio playback started');
+      },
+      audio_playback_ended: () => this.onAudioPlaybackEnded(),
+      start_session: (data) => this.startSession(data),
+      user_text_input: (text) => this.handleUserTextInput(text),
+      set_tts_muted: (muted) => this.setTTSMuted(muted),
+      edit_tutorial: (edit) => this.handleEditRequest(edit)
+    };
+    for (const [event, handler] of Object.entries(this.socketHandlers)) {
+      socket.on(event, handler);
+    }
 
     // Wire STT events
     this.stt.on('partial_transcript', (text) => this.onPartialTranscript(text));
@@ -70,26 +152,69 @@ class LiveAIModule {
     const isRestart = this.currentConversation.length > 0;
     logger.info(TAG, isRestart ? 'Restarting session (reconnect)...' : 'Starting session...');
 
+    if (typeof data?.ttsMuted === 'boolean') {
+      this.ttsMuted = data.ttsMuted;
+    }
+
+    // Resuming a saved tutorial — its manifest decides the tool type
+    let resumed = null;
+    if (!isRestart && data?.resumeTutorialId) {
+      resumed = this.tutorialStore.load(data.resumeTutorialId);
+      if (!resumed) {
+        logger.warn(TAG, `Tutorial ${data.resumeTutorialId} not found — starting fresh`);
+      }
+    }
+
     // Load tool-specific config on first start
     if (!isRestart) {
-      this.toolType = data?.toolType || 'blender';
-      this.config = require(`./agents/${this.toolType}-tutor.json`);
-      this.lessonCreator = this.toolType === 'figma'
-        ? new FigmaLessonCreatorAgent()
-        : new LessonCreatorAgent();
+      const requestedTool = resumed?.metadata?.toolType || data?.toolType;
+      this.tool = toolRegistry.get(requestedTool);
+      if (!this.tool) {
+        this.tool = toolRegistry.getDefault();
+        if (requestedTool) {
+          logger.warn(TAG, `Unknown tool "${requestedTool}" — falling back to ${this.tool.id}`);
+        }
+      }
+      this.toolType = this.tool.id;
+      this.config = this.tool.tutor;
+      this.language = getLanguage(data?.language || resumed?.metadata?.language);
+      this.stt.setLanguage(this.language.code);
+      // Voice replies use the instance default; recurring checks override per call
+      this.claude.model = ClaudeService.resolveModel(this.config, 'voice');
+      this.lessonCreator = this.services.createLessonCreator(this.toolType);
+      this.context = new ContextManager(this.claude, {
+        model: ClaudeService.resolveModel(this.config, 'summary'),
+        ...this.config.context
+      });
+      if (this.config.stepVerification?.enabled !== false) {
+        this.verifier = new StepVerifier(this.claude, {
+          model: ClaudeService.resolveModel(this.config, 'verification')
+        });
+      }
 
       // Initialize TTS with the loaded voice config
-      this.tts = new ElevenLabsTTS(
-        process.env.ELEVENLABS_API_KEY,
-        process.env.ELEVENLABS_VOICE_ID,
-        this.config.voice
-      );
+      this.tts = this.services.createTTS({
+        voice: this.config.voice,
+        languageCode: this.language.code
+      });
       this.tts.on('audio_chunk', (base64) => this.onTTSAudioChunk(base64));
       this.tts.on('generation_complete', () => {
         logger.debug(TAG, 'TTS generation complete');
       });
+      this.tts.on('provider_error', (err) => {
+        logger.error(TAG, 'TTS unavailable:', err.message);
+      });
 
-      logger.info(TAG, `Tool type: ${this.toolType}`);
+      this.learnerProfile = this.learnerProfiles.get(this.toolType);
+      this.learnerProfiles.recordSession(this.toolType);
+
+      this.recorder = this.services.createRecorder({
+        toolType: this.toolType,
+        toolName: this.tool.name,
+        language: this.language.code
+      });
+
+      logger.info(TAG, `Tool type: ${this.toolType}, language: ${this.language.code}, recording: ${this.recorder?.id || 'off'}`);
     }
 
     // Connect STT and TTS eagerly so they're ready when needed
@@ -100,11 +225,15 @@ class LiveAIModule {
       this.tts.connect().catch(err => logger.error(TAG, 'TTS pre-connect failed:', err.message));
     }
 
+    if (resumed) {
+      this.restoreTutorial(resumed);
+    }
+
     if (!isRestart) {
       // First time: send initial greeting
       this.currentConversation.push({
         role: 'user',
-        content: '[SESSION_START]'
+        content: resumed ? this.buildResumeMessage() : '[SESSION_START]'
       });
 
       await this.sendToClaudeAndSpeak();
@@ -113,22 +242,107 @@ class LiveAIModule {
       this.startRecurringCheck();
     }
 
-    this.socket.emit('session_started');
+    this.socket.emit('session_started', { recordingId: this.recorder?.id || null });
     logger.info(TAG, 'Session started');
   }
 
+  restoreTutorial(tutorial) {
+    this.currentTutorial = tutorial;
+    this.currentStepIndex = Math.min(
+      tutorial.progress?.currentStepIndex || 0,
+      Math.max(tutorial.totalSteps - 1, 0)
+    );
+
+    this.socket.emit('tutorial_ready', tutorial);
+    this.socket.emit('step_update', {
+      previousStep: this.currentStepIndex,
+      currentStep: this.currentStepIndex + 1,
+      totalSteps: tutorial.totalSteps
+    });
+    this.recorder?.recordTutorial(tutorial, { resumed: true });
+    logger.info(TAG, `Resumed tutorial ${tutorial.metadata.sessionId} at step ${this.currentStepIndex + 1}/${tutorial.totalSteps}`);
+  }
+
+  buildResumeMessage() {
+    const step = this.currentTutorial.steps[this.currentStepIndex];
+    return `[SESSION_RESUME] The user is returning to a tutorial they started earlier: building a ${this.currentTutorial.objectLabel} in ${this.currentTutorial.totalSteps} steps. They left off at step ${this.currentStepIndex + 1} ("${step?.title || 'N/A'}"). Welcome them back, briefly recap where they are, and ask if they're ready to continue. Do not call Create_Tutorial.`;
+  }
+
   handleUserAudio(data) {
     this.stt.sendAudio(data);
   }
 
+  /** Typed chat message — goes down the same path as a committed voice transcript. */
+  handleUserTextInput(text) {
+    if (typeof text !== 'string' || !text.trim()) return;
+    if (!this.config) {
+      logger.warn(TAG, 'Ignoring text input before session start');
+      return;
+    }
+    this.onCommittedTranscript(text.trim().substring(0, MAX_TEXT_INPUT_LENGTH), 'text');
+  }
+
+  setTTSMuted(muted) {
+    this.ttsMuted = !!muted;
+    logger.info(TAG, `TTS ${this.ttsMuted ? 'muted' : 'unmuted'}`);
+
+    // Cut off anything mid-sentence; the text is already on screen
+    if (this.ttsMuted && this.tts) {
+      this.tts.interrupt();
+      this.sentenceBuffer = '';
+      this.socket.emit('interrupt');
+      this.isAgentCurrentlySpeaking = false;
+    }
+  }
+
   handleFrame(data) {
     this.frameCount = (this.frameCount || 0) + 1;
+    // The client only sends frames that changed; exact repeats (replays, older clients) are not a change
+    if (data !== this.latestFrame) this.lastFrameChangeAt = Date.now();
     this.latestFrame = data;
     if (this.frameCount <= 3 || this.frameCount % 30 === 0) {
       logger.debug(TAG, `Frame #${this.frameCount} received (${(data.length / 1024).toFixed(0)}KB)`);
     }
   }
 
+  /**
+   * Ask the client for a fresh capture straight from the screen share, at up
+   * to `maxEdge` px on the long side instead of the downscaled frame stream.
+   * `region` is { x, y, width, height } as fractions of the screen (omit for
+   * the whole screen). Resolves with { image, width, height } or { error }.
+   */
+  requestScreenCapture(region, { maxEdge, timeoutMs = CAPTURE_TIMEOUT_MS } = {}) {
+    if (!this.socket) return Promise.resolve({ error: 'No client connected' });
+
+    const requestId = `capture-${++this.captureRequestSeq}`;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pendingCaptures.delete(requestId);
+        logger.warn(TAG, `Screen capture ${requestId} timed out after ${timeoutMs}ms`);
+        resolve({ error: 'The screen capture timed out' });
+      }, timeoutMs);
+      this.pendingCaptures.set(requestId, (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      });
+      this.socket.emit('capture_region', { requestId, region, maxEdge });
+    });
+  }
+
+  handleRegionFrame(data) {
+    const resolve = this.pendingCaptures.get(data?.requestId);
+    if (!resolve) return; // timed out, or not ours
+    this.pendingCaptures.delete(data.requestId);
+
+    if (data.error || !data.image) {
+      logger.warn(TAG, `Screen capture ${data.requestId} failed: ${data.error || 'no image'}`);
+      resolve({ error: data.error || 'The client returned no image' });
+      return;
+    }
+    logger.debug(TAG, `Screen capture ${data.requestId}: ${data.width}×${data.height} (${(data.image.length / 1024).toFixed(0)}KB)`);
+    resolve({ image: data.image, width: data.width, height: data.height });
+  }
+
   onPartialTranscript(text) {
     if (!text.trim()) return;
 
@@ -141,23 +355,14 @@ class LiveAIModule {
     }
   }
 
-  async onCommittedTranscript(text) {
+  async onCommittedTranscript(text, source = 'voice') {
     if (!text.trim()) return;
 
     logger.info(TAG, `User: "${text}"`);
     this.lastUserInputAt = Date.now();
+    this.recorder?.recordUserTurn(text, source);
 
-    // If conversation ends with a user message (previous response was interrupted
-    // before assistant message was pushed), insert a placeholder to maintain
-    // proper user/assistant alternation required by Claude API
-    const lastMsg = this.currentConversation[this.currentConversation.length - 1];
-    if (lastMsg && lastMsg.role === 'user') {
-      this.currentConversation.push({
-        role: 'assistant',
-        content: '[Response interrupted by user]'
-      });
-    }
-
+    this.currentConversation.push(...this.interruptedTurnPlaceholder());
     this.currentConversation.push({ role: 'user', content: this.buildUserContent(text) });
     this.socket.emit('user_text', text);
 
@@ -209,22 +414,29 @@ class LiveAIModule {
           } else {
             this.socket.emit('agent_text_delta', chunk);
           }
-        }
+        },
+        { cachePrefixLength: this.currentConversation.length }
       );
 
+      this.context.recordUsage(response.usage);
+
       // If interrupted during streaming, discard the stale response
       if (this.interrupted) {
         logger.info(TAG, 'Interrupted — discarding stale response');
+        this.recorder?.recordAgentTurn(fullText, { interrupted: true });
         return;
       }
+      this.recorder?.recordAgentTurn(fullText);
 
       // Flush remaining sentence buffer to TTS
-      if (this.sentenceBuffer.trim()) {
-        await this.tts.sendTextChunk(this.sentenceBuffer + ' ');
-        this.sentenceBuffer = '';
+      if (!this.ttsMuted) {
+        if (this.sentenceBuffer.trim()) {
+          await this.tts.sendTextChunk(this.sentenceBuffer + ' ');
+        }
+        await this.tts.flush();
+        await this.tts.closeStream();
       }
-      await this.tts.flush();
-      await this.tts.closeStream();
+      this.sentenceBuffer = '';
       this.currentConversation.push({
         role: 'assistant',
         content: response.content
@@ -243,11 +455,7 @@ class LiveAIModule {
           }
           logger.info(TAG, `Tool: ${toolUse.name}(${JSON.stringify(toolUse.input).substring(0, 80)})`);
           const result = await this.handleToolCall(toolUse.name, toolUse.input, toolUse.id);
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: toolUse.id,
-            content: JSON.stringify(result)
-          });
+          toolResults.push(toolResultBlock(toolUse.id, result));
         }
 
         if (!this.interrupted) {
@@ -279,12 +487,27 @@ class LiveAIModule {
         this.hasPendingUserMessage = false;
         logger.info(TAG, 'Processing queued user message');
         await this.sendToClaudeAndSpeak();
+      } else if (this.pendingNotices.length) {
+        await this.deliverNotices();
+      } else {
+        this.compactContext();
       }
     }
   }
 
+  /** Summarize older turns in the background once the conversation is over its token budget. */
+  compactContext() {
+    if (!this.context || this.destroyed) return;
+    this.context.compact(this.currentConversation).then((removed) => {
+      if (removed > 0) {
+        const budget = this.context.budget(this.currentConversation);
+        logger.info(TAG, `Context: ${this.currentConversation.length} messages (~${budget.textTokens} text + ${budget.imageTokens} image tokens), memory ~${budget.memoryTokens} tokens, last request ${budget.lastInputTokens} input tokens`);
+      }
+    });
+  }
+
   handleTextChunkForTTS(chunk) {
-    if (this.interrupted) return;
+    if (this.interrupted || this.ttsMuted) return;
 
     this.sentenceBuffer += chunk;
 
@@ -309,8 +532,40 @@ class LiveAIModule {
     this.isAgentCurrentlySpeaking = false;
   }
 
+  /**
+   * Tell Claude about something that happened outside the conversation, as
+   * its own user turn. The notice waits for a reply in progress to finish
+   * instead of interrupting it.
+   */
+  notifyClaude(text) {
+    logger.info(TAG, `Notice for Claude: ${text.substring(0, 80)}`);
+    this.pendingNotices.push(text);
+    if (!this.isProcessing) this.deliverNotices();
+  }
+
+  /** Send every queued notice to Claude as one user turn and speak the reply. */
+  async deliverNotices() {
+    if (!this.pendingNotices.length || this.destroyed) return;
+    const text = this.pendingNotices.splice(0).join('\n\n');
+    this.currentConversation.push(...this.interruptedTurnPlaceholder());
+    this.currentConversation.push({ role: 'user', content: text });
+    await this.sendToClaudeAndSpeak();
+  }
+
+  /**
+   * If the conversation ends with a user message (the previous response was
+   * interrupted before its assistant message was pushed), returns a placeholder
+   * assistant turn to keep the user/assistant alternation the Claude API requires.
+   */
+  interruptedTurnPlaceholder() {
+    const lastMsg = this.currentConversation[this.currentConversation.length - 1];
+    if (lastMsg?.role !== 'user') return [];
+    return [{ role: 'assistant', content: '[Response interrupted by user]' }];
+  }
+
   buildUserContent(text) {
     if (!this.latestFrame) return text;
+    this.lastFrameSeenAt = Date.now();
     return [
       {
         type: 'image',
@@ -329,7 +584,7 @@ class LiveAIModule {
     for (let i = 0; i < this.currentConversation.length; i++) {
       const msg = this.currentConversation[i];
       if (!Array.isArray(msg.content)) continue;
-      if (msg.content.some(b => b.type === 'image')) {
+      if (msg.content.some(hasImage)) {
         imageIndices.push(i);
       }
     }
@@ -339,6 +594,13 @@ class LiveAIModule {
     const toStrip = imageIndices.slice(0, imageIndices.length - MAX_CONTEXT_IMAGES);
     for (const idx of toStrip) {
       const msg = this.currentConversation[idx];
+      // Inspect_Screen results keep their block (it pairs with a tool_use) but lose the image
+      for (const block of msg.content) {
+        if (block.type === 'tool_result' && Array.isArray(block.content)) {
+          const rest = block.content.filter(b => b.type !== 'image');
+          block.content = rest.length ? rest : '[screenshot removed]';
+        }
+      }
       const textBlocks = msg.content.filter(b => b.type !== 'image');
       if (textBlocks.length === 1 && textBlocks[0].type === 'text') {
         msg.content = textBlocks[0].text;
@@ -363,6 +625,12 @@ class LiveAIModule {
   }
 
   async handleToolCall(name, args, id) {
+    const result = await this.dispatchToolCall(name, args, id);
+    this.recorder?.recordToolCall(name, args, result?.image ? { ...result, image: '[image]' } : result);
+    return result;
+  }
+
+  async dispatchToolCall(name, args, id) {
     switch (name) {
       case 'Create_Tutorial':
         return this.handleCreateTutorial(args);
@@ -370,76 +638,528 @@ class LiveAIModule {
         return this.handleProgressedStep(args);
       case 'Suggested_HotKey':
         return this.handleSuggestedHotKey(args);
+      case 'Inspect_Screen':
+        return this.handleInspectScreen(args);
+      case 'Note_Mistake':
+        return this.handleNoteMistake(args);
+      case 'Regenerate_Step':
+      case 'Insert_Step':
+      case 'Skip_Step':
+      case 'Reorder_Steps':
+        return this.editTutorial(name, args);
       default:
         logger.warn(TAG, `Unknown tool: ${name}`);
         return { error: `Unknown tool: ${name}` };
     }
   }
 
+  /**
+   * Generation streams: the lesson creator reports the outline (reference
+   * image + step titles) once analysis is parsed and then each step as it is
+   * written. The tool call returns as soon as step 1 is ready so Claude can
+   * start coaching; later steps keep arriving as `tutorial_step_ready` and
+   * the saved tutorial follows as `tutorial_ready`. If generation fails after
+   * that, the half-written tutorial is dropped (see abandonTutorial()).
+   */
   async handleCreateTutorial({ object_label, proficiency }) {
     logger.info(TAG, `Creating tutorial: "${object_label}" (${proficiency})`);
     this.socket.emit('tutorial_loading', { objectLabel: object_label });
+    this.learnerProfiles.setSkillLevel(this.toolType, proficiency);
+
+    // A newer Create_Tutorial (or the session ending) orphans this generation's callbacks
+    const generationId = ++this.tutorialGenerationSeq;
+    const isCurrent = () => !this.destroyed && generationId === this.tutorialGenerationSeq;
+
+    let firstStepReady;
+    let announced = false;
+    const streaming = new Promise(resolve => {
+      firstStepReady = () => {
+        announced = true;
+        resolve();
+      };
+    });
 
-    try {
-      const tutorial = await this.lessonCreator.generate(object_label, proficiency);
-      this.currentTutorial = tutorial;
+    const finished = this.lessonCreator.generate(object_label, proficiency, {
+      language: this.language.code,
+      learner: this.learnerProfiles.get(this.toolType),
+      onOutline: (outline) => {
+        if (isCurrent()) this.handleTutorialOutline(outline);
+      },
+      onStep: (step) => {
+        if (!isCurrent()) return;
+        this.handleTutorialStep(step);
+        if (step.stepNumber === 1) firstStepReady();
+      }
+    }).then(
+      (tutorial) => {
+        if (isCurrent()) this.finishTutorial(tutorial);
+        return { tutorial };
+      },
+      (err) => {
+        const failure = { error: err.message, phase: err.phase || null, stepNumber: err.stepNumber || null };
+        logger.error(TAG, `Tutorial generation failed${failure.phase ? ` in ${failure.phase}` : ''}:`, err.message);
+        if (isCurrent()) this.abandonTutorial(failure, { announced, objectLabel: object_label });
+        return failure;
+      }
+    );
+
+    const outcome = await Promise.race([streaming, finished]);
+    if (outcome?.error) {
+      return {
+        success: false,
+        error: outcome.error,
+        message: 'The tutorial could not be generated. Tell the user briefly, without technical detail, and offer to try again or pick something simpler.'
+      };
+    }
+    if (!isCurrent()) return { success: false, error: 'A newer tutorial request replaced this one' };
+
+    const tutorial = this.currentTutorial;
+    const pending = tutorial.steps.filter(s => s.pending).length;
+    return {
+      success: true,
+      message: pending
+        ? `The tutorial outline and step 1 are ready; the other ${pending} steps are still being written and will appear as they finish. Announce it to the user enthusiastically. Tell them you'll be building a ${tutorial.objectLabel} in ${tutorial.totalSteps} steps, and ask if they're ready to start.`
+        : `Tutorial is ready! Announce it to the user enthusiastically. Tell them you'll be building a ${tutorial.objectLabel} in ${tutorial.totalSteps} steps, and ask if they're ready to start.`,
+      objectLabel: tutorial.objectLabel,
+      totalSteps: tutorial.totalSteps,
+      steps: tutorial.steps.map(s => ({
+        stepNumber: s.stepNumber,
+        title: s.title,
+        ...(s.pending
+          ? { pending: true }
+          : s.subSteps?.length ? { expectedEndState: s.expectedEndState } : { instruction: s.instruction })
+      }))
+    };
+  }
+
+  /**
+   * A generation failed for good. Later callbacks from its still-running
+   * steps are orphaned and a half-streamed tutorial is dropped — it was never
+   * saved, and its pending steps would block editing and completion. Once
+   * Create_Tutorial has already reported success, Claude hears about it as a
+   * [TUTORIAL_ERROR] turn; otherwise the failure is its tool result.
+   */
+  abandonTutorial(failure, { announced, objectLabel }) {
+    this.tutorialGenerationSeq++;
+    const discarded = !!this.currentTutorial?.steps.some(s => s.pending);
+    if (discarded) {
+      this.currentTutorial = null;
       this.currentStepIndex = 0;
+    }
+    this.socket.emit('tutorial_error', { ...failure, discarded });
+
+    if (announced) {
+      this.notifyClaude(`[TUTORIAL_ERROR] The rest of the ${objectLabel} tutorial could not be written, so it has been discarded and there is no tutorial right now. Tell the user briefly, without technical detail, and offer to try again or pick something simpler.`);
+    }
+  }
+
+  handleTutorialOutline(outline) {
+    this.currentTutorial = outline;
+    this.currentStepIndex = 0;
+    this.socket.emit('tutorial_outline', outline);
+    logger.info(TAG, `Tutorial outline ready: ${outline.totalSteps} steps`);
+  }
+
+  handleTutorialStep(step) {
+    if (!this.currentTutorial) return;
+    this.currentTutorial.steps[step.stepNumber - 1] = step;
+    this.socket.emit('tutorial_step_ready', step);
+    logger.info(TAG, `Tutorial step ${step.stepNumber}/${this.currentTutorial.totalSteps} ready`);
+  }
+
+  finishTutorial(tutorial) {
+    const streamed = this.currentTutorial?.metadata?.sessionId === tutorial.metadata.sessionId;
+    if (!streamed) this.currentStepIndex = 0;
+
+    // Claude may have moved on while later steps were still being written
+    if (this.currentStepIndex > 0) {
+      tutorial = this.tutorialStore.updateProgress(tutorial.metadata.sessionId, this.currentStepIndex) || tutorial;
+    }
+    this.currentTutorial = tutorial;
 
-      this.socket.emit('tutorial_ready', tutorial);
-      logger.info(TAG, `Tutorial ready: ${tutorial.totalSteps} steps`);
+    this.socket.emit('tutorial_ready', tutorial);
+    this.recorder?.recordTutorial(tutorial);
+    logger.info(TAG, `Tutorial ready: ${tutorial.totalSteps} steps`);
+  }
+
+  /**
+   * `previous_step` must be the step the module is tracking; that step is the
+   * one verified before moving forward. `current_step` runs from 1 to
+   * totalSteps + 1; totalSteps + 1 means the last step is done and finishes
+   * the tutorial.
+   */
+  async handleProgressedStep({ previous_step, current_step, skip_verification }) {
+    logger.info(TAG, `Step: ${previous_step} -> ${current_step}`);
+
+    if (!this.currentTutorial) {
+      return { success: false, error: 'There is no tutorial to progress through' };
+    }
+    const problem = this.stepNumberProblem(current_step, this.currentTutorial.totalSteps + 1);
+    if (problem) {
+      return {
+        success: false,
+        error: `current_step: ${problem}`,
+        message: `Use totalSteps + 1 (${this.currentTutorial.totalSteps + 1}) only to finish the tutorial after its last step.`
+      };
+    }
 
+    // The step the module tracks is the one checked and left, whatever Claude remembers
+    const trackedStep = this.currentStepIndex + 1;
+    if (previous_step !== trackedStep) {
+      return {
+        success: false,
+        error: `previous_step is ${previous_step}, but the user is on step ${trackedStep}`,
+        currentStep: trackedStep,
+        message: `The tutorial stayed on step ${trackedStep}. If the user finished it, call Progressed_Step again with previous_step: ${trackedStep}.`
+      };
+    }
+
+    let verification = null;
+    if (current_step > previous_step && !skip_verification) {
+      verification = await this.verifyStep(this.currentStepIndex);
+      if (verification && !verification.complete) {
+        const unmet = verification.criteria.filter(c => !c.met);
+        logger.info(TAG, `Step ${previous_step} not verified — ${unmet.length} criteria unmet`);
+        return {
+          success: false,
+          verified: false,
+          stepNumber: previous_step,
+          summary: verification.summary,
+          unmet: unmet.map(c => (c.note ? `${c.criterion} — ${c.note}` : c.criterion)),
+          message: `Step ${previous_step} isn't finished yet, so the tutorial stayed on it. Don't congratulate the user or move on — briefly tell them what's still missing. If they want to move on anyway, call Progressed_Step again with skip_verification: true.`
+        };
+      }
+    }
+
+    // Moving forward passes over steps the learner chose to skip
+    const { totalSteps } = this.currentTutorial;
+    this.currentStepIndex = current_step > previous_step
+      ? nextUnskippedIndex(this.currentTutorial.steps, current_step - 1)
+      : current_step - 1;
+    const currentStep = this.currentStepIndex + 1;
+
+    this.tutorialStore.updateProgress(this.currentTutorial.metadata.sessionId, this.currentStepIndex);
+    this.recordIfFinished();
+
+    this.socket.emit('step_update', { previousStep: previous_step, currentStep, totalSteps });
+
+    const step = this.currentTutorial.steps[this.currentStepIndex];
+    this.recorder?.recordStepChange(previous_step, currentStep, step?.title);
+    if (this.currentStepIndex >= totalSteps) {
       return {
         success: true,
-        message: `Tutorial is ready! Announce it to the user enthusiastically. Tell them you'll be building a ${tutorial.objectLabel} in ${tutorial.totalSteps} steps, and ask if they're ready to start.`,
-        objectLabel: tutorial.objectLabel,
-        totalSteps: tutorial.totalSteps,
-        steps: tutorial.steps.map(s => ({
-          stepNumber: s.stepNumber,
-          title: s.title,
-          instruction: s.instruction
-        }))
+        ...(verification && { verified: true }),
+        finished: true,
+        message: `That was the last step — the ${this.currentTutorial.objectLabel} tutorial is complete. Congratulate the user, recap what they built, and ask what they'd like to make next.`
       };
-    } catch (err) {
-      logger.error(TAG, 'Tutorial generation failed:', err.message);
-      this.socket.emit('tutorial_error', { error: err.message });
-      return { success: false, error: err.message };
     }
+    return {
+      success: true,
+      ...(verification && { verified: true }),
+      currentStep,
+      stepTitle: step.title,
+      ...stepDetails(step)
+    };
   }
 
-  handleProgressedStep({ previous_step, current_step }) {
-    logger.info(TAG, `Step: ${previous_step} -> ${current_step}`);
-    this.currentStepIndex = current_step - 1;
+  /**
+   * Tutorial editing, from the tutor tools or the client's `edit_tutorial`.
+   * Each edit changes `currentTutorial`, saves it, and sends the client the
+   * change as a `tutorial_updated` diff (see utils/tutorial-edits.js); a
+   * failed edit is reported as `tutorial_edit_error`. One edit runs at a time,
+   * and only on a finished tutorial — not while its steps are still streaming.
+   */
+  async editTutorial(name, args = {}) {
+    const action = EDIT_ACTIONS[name];
+    const handlers = {
+      Regenerate_Step: () => this.handleRegenerateStep(args),
+      Insert_Step: () => this.handleInsertStep(args),
+      Skip_Step: () => this.handleSkipStep(args),
+      Reorder_Steps: () => this.handleReorderSteps(args)
+    };
 
-    this.socket.emit('step_update', {
-      previousStep: previous_step,
-      currentStep: current_step,
-      totalSteps: this.currentTutorial?.totalSteps || 0
-    });
+    let result;
+    if (!this.currentTutorial) {
+      result = { success: false, error: 'There is no tutorial to edit' };
+    } else if (this.currentTutorial.steps.some(s => s.pending)) {
+      result = { success: false, error: 'The tutorial is still being written; edit it once it is ready' };
+    } else if (this.tutorialEditInProgress) {
+      result = { success: false, error: 'Another change to the tutorial is still in progress' };
+    } else {
+      this.tutorialEditInProgress = true;
+      try {
+        result = await handlers[name]();
+      } finally {
+        this.tutorialEditInProgress = false;
+      }
+    }
+
+    if (!result.success) {
+      logger.warn(TAG, `${name} failed: ${result.error}`);
+      this.socket?.emit('tutorial_edit_error', { action, stepNumber: args.step_number ?? null, error: result.error });
+    }
+    return result;
+  }
+
+  /** `edit_tutorial` from the client: the learner making the same edits from the step list. */
+  async handleEditRequest({ action, stepNumber, direction, order, title } = {}) {
+    const calls = {
+      regenerate: ['Regenerate_Step', { step_number: stepNumber, direction }],
+      insert: ['Insert_Step', { after_step: stepNumber, title }],
+      skip: ['Skip_Step', { step_number: stepNumber }],
+      reorder: ['Reorder_Steps', { order }]
+    };
+    if (!calls[action]) {
+      logger.warn(TAG, `Unknown tutorial edit from client: ${action}`);
+      return;
+    }
+    logger.info(TAG, `Client edit: ${action}${stepNumber ? ` step ${stepNumber}` : ''}`);
+    await this.handleToolCall(...calls[action], null);
+  }
+
+  async handleRegenerateStep({ step_number, direction, feedback }) {
+    const problem = this.stepNumberProblem(step_number, this.currentTutorial.totalSteps);
+    if (problem) return { success: false, error: problem };
 
-    const step = this.currentTutorial?.steps?.[this.currentStepIndex];
+    const result = await this.writeStep('regenerate', { stepNumber: step_number, replace: true, direction, request: feedback });
+    if (!result.success) return result;
+
+    const { step } = result;
+    const isCurrent = step.stepNumber === this.currentStepIndex + 1;
     return {
       success: true,
-      currentStep: current_step,
-      stepTitle: step?.title || 'Unknown',
-      stepInstruction: step?.instruction || ''
+      stepNumber: step.stepNumber,
+      stepTitle: step.title,
+      ...stepDetails(step),
+      message: isCurrent
+        ? `Step ${step.stepNumber} has been rewritten${direction ? ` to be ${direction}` : ''}. Tell the user in a sentence and walk them through the new version from the start.`
+        : `Step ${step.stepNumber} has been rewritten${direction ? ` to be ${direction}` : ''}. Mention it briefly; the user will get to it later.`
     };
   }
 
+  async handleInsertStep({ after_step, title, description }) {
+    const problem = this.stepNumberProblem(after_step, this.currentTutorial.totalSteps, { min: 0 });
+    if (problem) return { success: false, error: problem };
+    if (!title?.trim()) return { success: false, error: 'The new step needs a title' };
+
+    const request = description?.trim() ? `${title.trim()}: ${description.trim()}` : title.trim();
+    const result = await this.writeStep('insert', { stepNumber: after_step + 1, replace: false, request });
+    if (!result.success) return result;
+
+    const { step } = result;
+    return {
+      success: true,
+      stepNumber: step.stepNumber,
+      stepTitle: step.title,
+      totalSteps: this.currentTutorial.totalSteps,
+      currentStep: this.currentStepIndex + 1,
+      ...stepDetails(step),
+      message: step.stepNumber === this.currentStepIndex + 1
+        ? `The new step ${step.stepNumber} is now the current step. Tell the user and walk them through it.`
+        : `Step ${step.stepNumber} has been added; the tutorial now has ${this.currentTutorial.totalSteps} steps. Mention it briefly.`
+    };
+  }
+
+  async handleSkipStep({ step_number, reason }) {
+    const problem = this.stepNumberProblem(step_number, this.currentTutorial.totalSteps);
+    if (problem) return { success: false, error: problem };
+
+    logger.info(TAG, `Skipping step ${step_number}${reason ? ` (${reason})` : ''}`);
+    const wasCurrent = step_number === this.currentStepIndex + 1;
+    this.applyTutorialEdit({ action: 'skip', stepNumber: step_number });
+
+    const step = this.currentTutorial.steps[this.currentStepIndex];
+    if (!wasCurrent) {
+      return { success: true, skipped: step_number, currentStep: this.currentStepIndex + 1, message: `Step ${step_number} will be skipped.` };
+    }
+    if (!step) {
+      return { success: true, skipped: step_number, completed: true, message: 'That was the last step left, so the tutorial is complete. Congratulate the user.' };
+    }
+    return {
+      success: true,
+      skipped: step_number,
+      currentStep: step.stepNumber,
+      stepTitle: step.title,
+      ...stepDetails(step),
+      message: `Step ${step_number} is skipped; the user is now on step ${step.stepNumber}. Introduce it.`
+    };
+  }
+
+  async handleReorderSteps({ order }) {
+    const problem = orderProblem(order, this.currentTutorial.totalSteps);
+    if (problem) return { success: false, error: problem };
+
+    this.applyTutorialEdit({ action: 'reorder', order });
+    return {
+      success: true,
+      currentStep: this.currentStepIndex + 1,
+      steps: this.currentTutorial.steps.map(s => `${s.stepNumber}. ${s.title}${s.skipped ? ' (skipped)' : ''}`),
+      message: `The steps are in their new order and the user is on step ${this.currentStepIndex + 1}. Their step images still show the original order, so tell the user not to rely on them for the moved steps.`
+    };
+  }
+
+  /** Regenerate_Step / Insert_Step: have the lesson creator write the step, then apply it. */
+  async writeStep(action, edit) {
+    const tutorial = this.currentTutorial;
+    if (typeof this.lessonCreator?.generateStep !== 'function') {
+      return { success: false, error: 'This tool\'s lesson creator cannot write single steps' };
+    }
+
+    this.socket.emit('tutorial_edit_started', { action, stepNumber: edit.stepNumber });
+    let step;
+    try {
+      step = await this.lessonCreator.generateStep(tutorial, edit);
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message,
+        message: 'The step could not be written. Tell the user briefly, without technical detail, and carry on with the tutorial as it is.'
+      };
+    }
+
+    // A new tutorial or the session ending while the step was written drops it
+    if (this.destroyed || this.currentTutorial !== tutorial) {
+      return { success: false, error: 'The tutorial changed while the step was being written' };
+    }
+    this.applyTutorialEdit({ action, step: { ...step, stepNumber: edit.stepNumber } });
+    return { success: true, step: this.currentTutorial.steps[edit.stepNumber - 1] };
+  }
+
+  applyTutorialEdit(edit) {
+    const tutorial = this.currentTutorial;
+    const { sessionId } = tutorial.metadata;
+    const { steps, from } = applyStepEdit(tutorial.steps, edit);
+    this.currentStepIndex = currentIndexAfterEdit(steps, from, this.currentStepIndex, edit);
+
+    this.currentTutorial = this.tutorialStore.updateSteps(sessionId, steps, this.currentStepIndex)
+      || { ...tutorial, steps, totalSteps: steps.length };
+
+    this.socket.emit('tutorial_updated', {
+      sessionId,
+      ...edit,
+      totalSteps: steps.length,
+      currentStep: this.currentStepIndex + 1
+    });
+    this.recorder?.recordTutorialEdit(this.currentTutorial, edit);
+    logger.info(TAG, `Tutorial edited (${edit.action}): ${steps.length} steps, now on step ${this.currentStepIndex + 1}`);
+    this.recordIfFinished();
+  }
+
+  /** Add the tutorial to the learner profile once the learner is past its last step. */
+  recordIfFinished() {
+    const tutorial = this.currentTutorial;
+    if (this.currentStepIndex < tutorial.totalSteps || tutorial.steps.some(s => s.pending)) return;
+    this.learnerProfiles.recordTutorial(this.toolType, tutorial);
+    logger.info(TAG, `Tutorial ${tutorial.metadata.sessionId} finished — added to the learner profile`);
+  }
+
+  stepNumberProblem(stepNumber, totalSteps, { min = 1 } = {}) {
+    if (!Number.isInteger(stepNumber) || stepNumber < min || stepNumber > totalSteps) {
+      return `Step number must be between ${min} and ${totalSteps}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check the learner's screen against a step's completion criteria before
+   * moving past it. Returns the verifier's checklist, or null when there is
+   * nothing to check against or the check failed — the step then advances
+   * on Claude's judgement alone, as before.
+   */
+  async verifyStep(stepIndex) {
+    if (!this.verifier || !this.currentTutorial?.steps?.[stepIndex]) return null;
+
+    const capture = await this.requestScreenCapture();
+    const screenshot = capture.image || this.latestFrame;
+    if (!screenshot) return null;
+
+    const { sessionId } = this.currentTutorial.metadata;
+    const step = this.currentTutorial.steps[stepIndex];
+    const asset = (urlPath) => (urlPath ? this.tutorialStore.readAsset(sessionId, path.basename(urlPath)) : null);
+
+    const result = await this.verifier.verify({
+      tutorial: this.currentTutorial,
+      stepIndex,
+      screenshot,
+      referenceImage: asset(this.currentTutorial.referenceImagePath),
+      stepImage: asset(step.imagePath),
+      screenLabel: this.tool.screenLabel
+    });
+    if (result.error) {
+      logger.warn(TAG, `Step verification unavailable (${result.error}) — advancing on Claude's judgement`);
+      return null;
+    }
+
+    this.socket?.emit('step_verification', { stepNumber: step.stepNumber, ...result });
+    return result;
+  }
+
   handleSuggestedHotKey({ key_combo, description }) {
     logger.info(TAG, `Hotkey: ${key_combo} - ${description}`);
     this.socket.emit('hotkey_display', { keyCombo: key_combo, description });
+    this.recorder?.recordHotkey(key_combo, description);
+    this.learnerProfiles.recordHotkey(this.toolType, key_combo, description);
     return { displayed: true };
   }
 
+  handleNoteMistake({ mistake }) {
+    if (typeof mistake !== 'string' || !mistake.trim()) return { success: false, error: 'Describe the mistake' };
+
+    const profile = this.learnerProfiles.recordMistake(this.toolType, mistake);
+    const { count } = profile.mistakes.find(m => m.mistake.toLowerCase() === mistake.trim().toLowerCase());
+    logger.info(TAG, `Mistake noted (${count}×): ${mistake}`);
+    return {
+      success: true,
+      timesSeen: count,
+      ...(count > 1 && { message: `The user has made this mistake ${count} times now. Point out the habit gently and give them a way to remember it.` })
+    };
+  }
+
+  async handleInspectScreen({ region = 'full', box, zoom } = {}) {
+    const area = resolveScreenRegion(region, box, zoom);
+    if (area.error) return { success: false, error: area.error };
+
+    logger.info(TAG, `Inspect screen: ${area.label}`);
+    const capture = await this.requestScreenCapture(area.region);
+    if (capture.error) {
+      return { success: false, error: capture.error, message: 'Rely on the screenshot attached to the conversation instead.' };
+    }
+
+    // Claude has now seen the current screen — no need for a recurring check of it
+    this.lastFrameSeenAt = Date.now();
+    return { success: true, region: area.label, width: capture.width, height: capture.height, image: capture.image };
+  }
+
+  /**
+   * System prompt as two sections for prompt caching: the tool's prompt plus
+   * session-wide settings, which rarely change, then the session memory and
+   * current tutorial step, which change as the session goes on.
+   */
   buildSystemPrompt() {
     let prompt = this.config.systemPrompt;
 
+    if (this.language && this.language.code !== 'en') {
+      prompt += `\n\n--- LANGUAGE ---\nThe user speaks ${this.language.name}. Always reply in ${this.language.name}, including greetings, tips and step walkthroughs. Refer to menus, buttons and panels by the names shown in the app's interface. Keep tool names, enum values such as proficiency levels, and the [NO_GUIDANCE_NEEDED] marker in English.\n--- END LANGUAGE ---`;
+    }
+
+    const learner = LearnerProfileStore.buildPromptBlock(this.learnerProfile, this.tool?.name);
+    if (learner) {
+      prompt += `\n\n${learner}`;
+    }
+
+    if (this.ttsMuted) {
+      prompt += '\n\n--- TEXT MODE ---\nThe user has muted your voice and is reading your replies on screen. They may type instead of speaking. Keep the same short, conversational style.\n--- END TEXT MODE ---';
+    }
+
+    let sessionContext = this.context ? this.context.buildPromptBlock() : '';
+
     if (this.currentTutorial) {
       const step = this.currentTutorial.steps[this.currentStepIndex];
-      prompt += `\n\n--- CURRENT TUTORIAL ---\nObject: ${this.currentTutorial.objectLabel}\nCurrent Step: ${this.currentStepIndex + 1} of ${this.currentTutorial.totalSteps}\nStep Title: ${step?.title || 'N/A'}\nStep Instructions: ${step?.instruction || 'N/A'}\n--- END TUTORIAL ---`;
+      const outline = this.currentTutorial.steps.map(s => `${s.stepNumber}. ${s.title}${s.skipped ? ' (skipped)' : ''}`).join(' · ');
+      sessionContext += `\n\n--- CURRENT TUTORIAL ---\nObject: ${this.currentTutorial.objectLabel}\nSteps: ${outline}\nCurrent Step: ${this.currentStepIndex + 1} of ${this.currentTutorial.totalSteps}\nStep Title: ${step?.title || 'N/A'}\n${describeStep(step)}\n--- END TUTORIAL ---`;
     }
 
-    return prompt;
+    return [prompt, sessionContext];
   }
 
   /**
@@ -480,8 +1200,9 @@ class LiveAIModule {
 
     const intervalMs = this.config.recurringCheck.intervalMs || 3000;
     const idleThresholdMs = this.config.recurringCheck.idleThresholdMs || 10000;
+    const stuckThresholdMs = this.config.recurringCheck.stuckThresholdMs || 45000;
 
-    logger.info(TAG, `Recurring check: every ${intervalMs}ms, idle ${idleThresholdMs}ms`);
+    logger.info(TAG, `Recurring check: every ${intervalMs}ms, idle ${idleThresholdMs}ms, stuck ${stuckThresholdMs}ms`);
 
     this.recurringCheckInterval = setInterval(async () => {
       if (this.isRecurringCheckRunning) return;
@@ -490,33 +1211,56 @@ class LiveAIModule {
       if (Date.now() - this.lastUserInputAt < idleThresholdMs) return;
       if (!this.latestFrame) return;
 
+      // Only look again once the screen changed since Claude last saw it, or it
+      // has sat unchanged long enough that the user may be stuck
+      const screenChanged = this.lastFrameChangeAt > this.lastFrameSeenAt;
+      const unchangedMs = Date.now() - this.lastFrameSeenAt;
+      if (!screenChanged && unchangedMs < stuckThresholdMs) return;
+
       this.isRecurringCheckRunning = true;
       this.recurringCheckCancelled = false;
       this.isProcessing = true;
 
       try {
-        const screenLabel = this.toolType === 'figma' ? 'Figma canvas' : 'Blender screen';
-        let checkPrompt = `[RECURRING_SCREEN_CHECK] Look at the user's current ${screenLabel}. If they seem stuck or could use a tip, provide brief guidance. If everything looks fine, respond with exactly: [NO_GUIDANCE_NEEDED]`;
+        let checkPrompt = `[RECURRING_SCREEN_CHECK] Look at the user's current ${this.tool.screenLabel}. If they seem stuck or could use a tip, provide brief guidance. If everything looks fine, respond with exactly: [NO_GUIDANCE_NEEDED]`;
+
+        // Tool-specific reading hints (e.g. how to read a video editor's timeline)
+        if (this.config.recurringCheck.hints) {
+          checkPrompt += `\n${this.config.recurringCheck.hints}`;
+        }
 
         if (this.currentTutorial) {
           const step = this.currentTutorial.steps[this.currentStepIndex];
           checkPrompt += `\nCurrent step ${this.currentStepIndex + 1}: ${step?.title}`;
+          if (this.verifier) {
+            checkPrompt += '\nIf the step looks finished, call Progressed_Step — it checks the screen against the step before moving on.';
+          }
+        }
+
+        if (!screenChanged) {
+          checkPrompt += `\nThe screen has not changed in ${Math.round((Date.now() - this.lastFrameChangeAt) / 1000)}s — the user may be stuck.`;
         }
 
         const userContent = this.buildUserContent(checkPrompt);
         this.sanitizeConversation();
         this.pruneOldImages();
-        const checkMessages = [
-          ...this.currentConversation,
+        const openingMessages = [
+          ...this.interruptedTurnPlaceholder(),
           { role: 'user', content: userContent }
         ];
+        const checkMessages = [...this.currentConversation, ...openingMessages];
 
+        const checkModel = ClaudeService.resolveModel(this.config, 'recurringCheck');
+        // Cache up to the end of the conversation, so back-to-back checks only pay for the new screenshot
+        const cachePrefixLength = this.currentConversation.length;
         const response = await this.claude.getResponse(
           this.buildSystemPrompt(),
           checkMessages,
           this.config.tools,
-          []
+          [],
+          { model: checkModel, cachePrefixLength }
         );
+        this.context.recordUsage(response.usage);
 
         // User spoke while we were waiting for Claude — discard this response
         if (this.recurringCheckCancelled) {
@@ -524,7 +1268,7 @@ class LiveAIModule {
           return;
         }
 
-        const messagesToCommit = [{ role: 'user', content: userContent }];
+        const messagesToCommit = [...openingMessages];
         let currentResponse = response;
         let isFirstText = true;
         const MAX_TOOL_ROUNDS = 3;
@@ -548,7 +1292,8 @@ class LiveAIModule {
           if (text) {
             logger.info(TAG, `Recurring guidance: "${text.substring(0, 80)}..."`);
             this.socket.emit(isFirstText ? 'agent_text' : 'agent_text_continue', text);
-            await this.tts.sendText(text);
+            this.recorder?.recordAgentTurn(text, { recurring: true });
+            if (!this.ttsMuted) await this.tts.sendText(text);
             isFirstText = false;
 
             if (this.recurringCheckCancelled) {
@@ -569,11 +1314,7 @@ class LiveAIModule {
             }
             logger.info(TAG, `Recurring tool: ${toolUse.name}`);
             const result = await this.handleToolCall(toolUse.name, toolUse.input, toolUse.id);
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: toolUse.id,
-              content: JSON.stringify(result)
-            });
+            toolResults.push(toolResultBlock(toolUse.id, result));
           }
           messagesToCommit.push({ role: 'user', content: toolResults });
 
@@ -591,8 +1332,10 @@ class LiveAIModule {
             this.buildSystemPrompt(),
             allMessages,
             this.config.tools,
-            []
+            [],
+            { model: checkModel, cachePrefixLength }
           );
+          this.context.recordUsage(currentResponse.usage);
         }
 
         // Final cancellation check before atomic commit
@@ -605,6 +1348,7 @@ class LiveAIModule {
         for (const msg of messagesToCommit) {
           this.currentConversation.push(msg);
         }
+        this.compactContext();
       } catch (err) {
         if (!this.recurringCheckCancelled) {
           logger.error(TAG, 'Recurring check error:', err.message);
@@ -619,6 +1363,8 @@ class LiveAIModule {
           this.hasPendingUserMessage = false;
           logger.info(TAG, 'Processing queued user message after recurring check');
           await this.sendToClaudeAndSpeak();
+        } else if (this.pendingNotices.length) {
+          await this.deliverNotices();
         }
       }
     }, intervalMs);
@@ -634,19 +1380,111 @@ class LiveAIModule {
       this.recurringCheckInterval = null;
     }
 
+    for (const resolve of this.pendingCaptures.values()) {
+      resolve({ error: 'Session ended' });
+    }
+    this.pendingCaptures.clear();
+    this.tutorialGenerationSeq++;
+
     if (this.stt) this.stt.disconnect();
     if (this.tts) this.tts.disconnect();
+    if (this.recorder) this.recorder.finish();
+    for (const line of this.claude?.usageReport?.() || []) {
+      logger.info(TAG, `Token usage — ${line}`);
+    }
 
     this.currentConversation = [];
     this.currentTutorial = null;
     this.currentStepIndex = 0;
     this.latestFrame = null;
+    this.lastFrameChangeAt = 0;
+    this.lastFrameSeenAt = 0;
     this.sentenceBuffer = '';
     this.isProcessing = false;
     this.isAgentCurrentlySpeaking = false;
     this.hasPendingUserMessage = false;
+
+    if (this.socket) {
+      for (const [event, handler] of Object.entries(this.socketHandlers)) {
+        this.socket.off(event, handler);
+      }
+    }
+    this.socketHandlers = {};
     this.socket = null;
   }
 }
 
+/** The current step for a Progressed_Step result: its structured fields, or the free-text instruction of older tutorials. */
+function stepDetails(step) {
+  if (step?.pending) {
+    return {
+      pending: true,
+      completionCriteria: step.completionCriteria,
+      message: 'This step\'s instructions are still being written. Coach from the title and completion criteria for now; the details will be in your system prompt once they are ready.'
+    };
+  }
+  if (!step?.subSteps?.length) return { stepInstruction: step?.instruction || '' };
+  return {
+    subSteps: step.subSteps,
+    expectedEndState: step.expectedEndState,
+    commonMistakes: step.commonMistakes,
+    hotkeys: step.hotkeys
+  };
+}
+
+/** A tool_result for `result`; an `image` (Inspect_Screen) is sent as an image block next to the JSON. */
+function toolResultBlock(toolUseId, result) {
+  if (!result?.image) {
+    return { type: 'tool_result', tool_use_id: toolUseId, content: JSON.stringify(result) };
+  }
+  const { image, ...rest } = result;
+  return {
+    type: 'tool_result',
+    tool_use_id: toolUseId,
+    content: [
+      { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: image } },
+      { type: 'text', text: JSON.stringify(rest) }
+    ]
+  };
+}
+
+function hasImage(block) {
+  if (block.type === 'image') return true;
+  return block.type === 'tool_result' && Array.isArray(block.content) && block.content.some(b => b.type === 'image');
+}
+
+/** Inspect_Screen input → a capture region, or { error } for a bad region / box. */
+function resolveScreenRegion(region, box, zoom) {
+  let area = SCREEN_REGIONS[region];
+  let label = region;
+  if (box) {
+    const values = [box.x, box.y, box.width, box.height];
+    if (values.some(v => typeof v !== 'number' || v < 0 || v > 1) || box.width === 0 || box.height === 0) {
+      return { error: 'box needs x, y, width and height as fractions of the screen between 0 and 1' };
+    }
+    area = {
+      x: box.x,
+      y: box.y,
+      width: Math.min(box.width, 1 - box.x),
+      height: Math.min(box.height, 1 - box.y)
+    };
+    label = 'box';
+  }
+  if (!area) {
+    return { error: `Unknown region "${region}" — use one of ${Object.keys(SCREEN_REGIONS).join(', ')}, or a box` };
+  }
+
+  const factor = Math.min(MAX_INSPECT_ZOOM, Math.max(1, Number(zoom) || 1));
+  if (factor > 1) {
+    const width = area.width / factor;
+    const height = area.height / factor;
+    area = { x: area.x + (area.width - width) / 2, y: area.y + (area.height - height) / 2, width, height };
+    label += ` ×${factor}`;
+  }
+  return { region: area, label };
+}
+
+LiveAIModule.defaultServices = defaultServices;
+LiveAIModule.MAX_CONTEXT_IMAGES = MAX_CONTEXT_IMAGES;
+
 module.exports = LiveAIModule;
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { readBody, sendJson } = require('./http-utils');
+const logger = require('../utils/logger');
+
+const TAG = 'MockClaude';
+const DEFAULT_SCRIPT = path.join(__dirname, 'claude-script.json');
+
+/**
+ * Scripted stand-in for POST /v1/messages. The text of the last user message
+ * (text blocks and tool_result contents) is matched against the script's rules
+ * in order; the first match supplies the reply text and, if the request offers
+ * that tool, a tool_use block. Tool results are matched too, so rules for them
+ * go before rules for the learner's words — Regenerate_Step's result says
+ * "easier", which would otherwise call it again. `$1`… in a rule are its regex groups; `{step}`
+ * and `{nextStep}` count the Progressed_Step calls already in the conversation.
+ * A rule with `"generate": "analysis"` answers a lesson creator's analysis
+ * prompt with a Report_Analysis call shaped by the tool's own schema, and
+ * `"generate": "step-plan"` a single-step plan (tutorial editing) with a
+ * Report_Step_Plan call; `"generate": "verification"` answers a step check
+ * with every listed criterion met.
+ */
+class MockClaude {
+  constructor({ scriptPath = process.env.MOCK_CLAUDE_SCRIPT || DEFAULT_SCRIPT, chunkDelayMs = 30 } = {}) {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    this.rules = script.rules.map(rule => ({ ...rule, regex: new RegExp(rule.match, 'i') }));
+    this.chunkDelayMs = chunkDelayMs;
+    this.counter = 0;
+    logger.info(TAG, `Loaded ${this.rules.length} rules from ${scriptPath}`);
+  }
+
+  async handle(req, res) {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (err) {
+      return sendError(res, 400, 'invalid_request_error', `Invalid JSON body: ${err.message}`);
+    }
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      return sendError(res, 400, 'invalid_request_error', 'messages: at least one message is required');
+    }
+
+    const message = this.reply(body);
+    logger.info(TAG, `${body.stream ? 'Stream' : 'Response'}: ${message.content.map(b => b.type === 'text' ? `"${b.text.slice(0, 60).replace(/\s+/g, ' ')}"` : `${b.name}()`).join(' + ')}`);
+
+    if (!body.stream) {
+      return sendJson(res, 200, message);
+    }
+    return this.stream(message, res);
+  }
+
+  reply(body) {
+    const userText = lastUserText(body.messages);
+    const toolNames = new Set((body.tools || []).map(t => t.name));
+    const completedSteps = countToolUses(body.messages, 'Progressed_Step');
+    const vars = { step: completedSteps + 1, nextStep: completedSteps + 2 };
+
+    const rule = this.rules.find(r => r.regex.test(userText));
+    const groups = rule ? userText.match(rule.regex) : [userText];
+    const fill = (value) => fillTemplate(value, groups, vars);
+
+    const content = [];
+    const analysisTool = (body.tools || []).find(t => t.name === 'Report_Analysis');
+    if (rule?.generate === 'analysis' && analysisTool) {
+      content.push({
+        type: 'tool_use',
+        id: `toolu_mock_${++this.counter}`,
+        name: 'Report_Analysis',
+        input: analysisFor(userText, analysisTool.input_schema)
+      });
+    } else if (rule?.generate === 'step-plan' && toolNames.has('Report_Step_Plan')) {
+      content.push({
+        type: 'tool_use',
+        id: `toolu_mock_${++this.counter}`,
+        name: 'Report_Step_Plan',
+        input: stepPlanFor(userText, body.tools.find(t => t.name === 'Report_Step_Plan').input_schema)
+      });
+    } else if (rule?.generate === 'verification' && toolNames.has('Report_Step_Check')) {
+      content.push({
+        type: 'tool_use',
+        id: `toolu_mock_${++this.counter}`,
+        name: 'Report_Step_Check',
+        input: verificationFor(userText)
+      });
+    } else if (rule?.text) {
+      content.push({ type: 'text', text: fill(rule.text) });
+    }
+    if (rule?.toolUse && toolNames.has(rule.toolUse.name)) {
+      content.push({
+        type: 'tool_use',
+        id: `toolu_mock_${++this.counter}`,
+        name: rule.toolUse.name,
+        input: fill(rule.toolUse.input)
+      });
+    }
+
+    return {
+      id: `msg_mock_${++this.counter}`,
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content,
+      stop_reason: content.some(b => b.type === 'tool_use') ? 'tool_use' : 'end_turn',
+      stop_sequence: null,
+      usage: { input_tokens: Math.ceil(JSON.stringify(body.messages).length / 4), output_tokens: Math.ceil(JSON.stringify(content).length / 4) }
+    };
+  }
+
+  /** Server-sent events in the order the Messages streaming API sends them. */
+  async stream(message, res) {
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+
+    const send = (type, data) => {
+      if (!closed) res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+    };
+
+    send('message_start', { message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } } });
+
+    for (const [index, block] of message.content.entries()) {
+      if (block.type === 'text') {
+        send('content_block_start', { index, content_block: { type: 'text', text: '' } });
+        for (const word of block.text.match(/\S+\s*|\s+/g) || []) {
+          await sleep(this.chunkDelayMs);
+          if (closed) return;
+          send('content_block_delta', { index, delta: { type: 'text_delta', text: word } });
+        }
+      } else {
+        send('content_block_start', { index, content_block: { ...block, input: {} } });
+        send('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+      }
+      send('content_block_stop', { index });
+    }
+
+    send('message_delta', { delta: { stop_reason: message.stop_reason, stop_sequence: null }, usage: { output_tokens: message.usage.output_tokens } });
+    send('message_stop', {});
+    res.end();
+  }
+}
+
+function lastUserText(messages) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return last.content.map(block => {
+    if (block.type === 'text') return block.text;
+    if (block.type === 'tool_result') {
+      if (typeof block.content === 'string') return block.content;
+      return block.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+    }
+    return '';
+  }).join('\n');
+}
+
+function countToolUses(messages, name) {
+  return messages
+    .filter(m => m.role === 'assistant' && Array.isArray(m.content))
+    .reduce((count, m) => count + m.content.filter(b => b.type === 'tool_use' && b.name === name).length, 0);
+}
+
+/** Fill `$n` groups and `{var}`s in strings, recursing into objects; "{step}" alone becomes a number. */
+function fillTemplate(value, groups, vars) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{(\w+)\}$/);
+    if (whole && typeof vars[whole[1]] === 'number') return vars[whole[1]];
+    return value
+      .replace(/\$(\d)/g, (_, n) => (groups[n] || '').trim())
+      .replace(/\{(\w+)\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
+  }
+  if (Array.isArray(value)) return value.map(v => fillTemplate(v, groups, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillTemplate(v, groups, vars)]));
+  }
+  return value;
+}
+
+/**
+ * Build a Report_Analysis input from the tool's schema: its list key
+ * ("subPieces", "stages", ...) and, if the items have one, a category enum.
+ */
+function analysisFor(prompt, schema) {
+  const listKey = schema.required?.[0] || 'subPieces';
+  const categories = schema.properties?.[listKey]?.items?.properties?.category?.enum || null;
+  const subject = prompt.match(/"([^"]+)"/)?.[1] || 'object';
+
+  const names = ['Foundation', 'Main shape', 'Details'];
+  const items = names.map((name, i) => {
+    const item = {
+      name,
+      buildDescription: `Mock ${name.toLowerCase()} for the ${subject}`,
+      operations: ['First operation', 'Second operation'],
+      completionCriteria: [`The ${name.toLowerCase()} is visible`, 'It is roughly in place']
+    };
+    // First categories in order, ending on the last one (e.g. Premiere's "export")
+    if (categories) item.category = i === names.length - 1 ? categories[categories.length - 1] : categories[i];
+    return item;
+  });
+  return { [listKey]: items };
+}
+
+/** A Report_Step_Plan input named after the step being rewritten or the one asked for. */
+function stepPlanFor(prompt, schema) {
+  const name = prompt.match(/^Rewrite step \d+, "([^"]+)"/m)?.[1]
+    || prompt.match(/^What was asked for: ([^:\n]+)/m)?.[1]
+    || 'New step';
+  const plan = {
+    name,
+    buildDescription: `Mock plan for ${name.toLowerCase()}`,
+    operations: ['First operation', 'Second operation'],
+    completionCriteria: [`${name} is done`]
+  };
+  const categories = schema.properties?.category?.enum;
+  if (categories) plan.category = categories[Math.min(1, categories.length - 1)];
+  return plan;
+}
+
+/** A Report_Step_Check input with every numbered criterion in the prompt met. */
+function verificationFor(prompt) {
+  const listed = prompt.split('Completion criteria:')[1]?.match(/^\d+\. .+$/gm) || [];
+  const criteria = (listed.length ? listed.map(line => line.replace(/^\d+\. /, '')) : ['The step looks done'])
+    .map(criterion => ({ criterion, met: true, note: 'Mock check' }));
+  return { criteria, summary: 'Everything for this step is in place.' };
+}
+
+function sendError(res, status, type, message) {
+  sendJson(res, status, { type: 'error', error: { type, message } });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = MockClaude;
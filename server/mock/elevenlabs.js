@@ -0,0 +1,162 @@
+const logger = require('../utils/logger');
+
+const TAG = 'MockElevenLabs';
+
+const STT_BYTES_PER_MS = 32; // 16 kHz s16le mono
+const TTS_SAMPLE_RATE = 24000;
+const TTS_CHUNK_MS = 100;
+const TTS_MS_PER_CHAR = 55;
+const SENTENCE_END = /[.!?…]\s*$/;
+
+const DEFAULT_PHRASES = [
+  "I'd like to make a coffee mug",
+  "Yes, I'm ready",
+  "Done, what's next?",
+  "Which hotkey should I use?"
+];
+
+/**
+ * Realtime STT (/v1/speech-to-text/realtime). Any speech detected in the
+ * incoming pcm_16000 chunks becomes the next scripted phrase: partials while
+ * the user is talking, a committed transcript after 300 ms of silence.
+ * Phrases come from MOCK_STT_PHRASES ("|"-separated) and cycle.
+ */
+function handleSTT(ws, url) {
+  const phrases = process.env.MOCK_STT_PHRASES ? process.env.MOCK_STT_PHRASES.split('|') : DEFAULT_PHRASES;
+  const threshold = parseFloat(process.env.LOCAL_STT_ENERGY_THRESHOLD || '0.015');
+  let phraseIndex = 0;
+  let speechMs = 0;
+  let silentMs = 0;
+
+  logger.info(TAG, `STT session (language=${url.searchParams.get('language_code')})`);
+  send(ws, { message_type: 'session_started', session_id: `mock_${Date.now()}` });
+
+  ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return send(ws, { message_type: 'input_error', error: 'Invalid JSON' });
+    }
+    if (msg.message_type !== 'input_audio_chunk') return;
+
+    const pcm = Buffer.from(msg.audio_base_64 || '', 'base64');
+    const chunkMs = pcm.length / STT_BYTES_PER_MS;
+    const phrase = phrases[phraseIndex % phrases.length];
+
+    if (rms(pcm) >= threshold) {
+      speechMs += chunkMs;
+      silentMs = 0;
+      // Reveal the phrase word by word, roughly one word per 300 ms of speech
+      const words = phrase.split(' ');
+      const shown = Math.min(words.length, Math.ceil(speechMs / 300));
+      send(ws, { message_type: 'partial_transcript', text: words.slice(0, shown).join(' ') });
+      return;
+    }
+
+    if (speechMs === 0) return;
+    silentMs += chunkMs;
+    if (silentMs < 300) return;
+
+    if (speechMs >= 150) {
+      logger.info(TAG, `STT committed: "${phrase}"`);
+      send(ws, { message_type: 'committed_transcript', text: phrase });
+      phraseIndex++;
+    }
+    speechMs = 0;
+    silentMs = 0;
+  });
+}
+
+/**
+ * Stream-input TTS (/v1/text-to-speech/:voiceId/stream-input). Text is buffered
+ * until a sentence ends, `flush` is sent or the stream closes, then answered
+ * with a soft tone lasting about as long as the text would take to say, as
+ * base64 pcm_24000 `audio` messages. The empty-text EOS message gets
+ * `isFinal` and closes the socket, like the real service.
+ */
+function handleTTS(ws, url) {
+  const voiceId = url.pathname.split('/')[3];
+  let buffer = '';
+  let initialized = false;
+  let queue = Promise.resolve();
+
+  logger.info(TAG, `TTS session (voice=${voiceId}, model=${url.searchParams.get('model_id')}, language=${url.searchParams.get('language_code')})`);
+
+  const speak = (text) => {
+    queue = queue.then(() => streamTone(ws, text));
+  };
+
+  ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return send(ws, { error: 'input_error', message: 'Invalid JSON' });
+    }
+
+    // First message carries voice settings and a single space
+    if (!initialized) {
+      initialized = true;
+      if (msg.text === ' ') return;
+    }
+
+    if (msg.text === '') {
+      const rest = buffer.trim();
+      buffer = '';
+      if (rest) speak(rest);
+      queue = queue.then(() => {
+        send(ws, { isFinal: true });
+        ws.close(1000);
+      });
+      return;
+    }
+
+    buffer += msg.text || '';
+    if (msg.flush || SENTENCE_END.test(buffer)) {
+      const text = buffer.trim();
+      buffer = '';
+      if (text) speak(text);
+    }
+  });
+}
+
+async function streamTone(ws, text) {
+  const totalMs = Math.max(300, text.length * TTS_MS_PER_CHAR);
+  for (let offset = 0; offset < totalMs; offset += TTS_CHUNK_MS) {
+    if (ws.readyState !== ws.OPEN) return;
+    send(ws, { audio: tone(offset, Math.min(TTS_CHUNK_MS, totalMs - offset)).toString('base64'), isFinal: null });
+    // Faster than real time, as ElevenLabs is
+    await new Promise(resolve => setTimeout(resolve, TTS_CHUNK_MS / 4));
+  }
+}
+
+/** Quiet 220 Hz tone, gated into ~250 ms "syllables" so it reads as speech in the UI. */
+function tone(offsetMs, durationMs) {
+  const samples = Math.round((durationMs / 1000) * TTS_SAMPLE_RATE);
+  const pcm = Buffer.alloc(samples * 2);
+  const start = Math.round((offsetMs / 1000) * TTS_SAMPLE_RATE);
+  for (let i = 0; i < samples; i++) {
+    const n = start + i;
+    const gate = (n % 6000) < 4800 ? 1 : 0;
+    pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 220 * n) / TTS_SAMPLE_RATE) * 2000 * gate), i * 2);
+  }
+  return pcm;
+}
+
+function rms(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const s = pcm.readInt16LE(i * 2) / 32768;
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+function send(ws, msg) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+}
+
+module.exports = { handleSTT, handleTTS };
@@ -0,0 +1,105 @@
+const zlib = require('zlib');
+const { readBody, sendJson } = require('./http-utils');
+const logger = require('../utils/logger');
+
+const TAG = 'MockGemini';
+const BASE_SIZE = 512;
+
+/**
+ * POST /v1beta/models/:model:generateContent. Answers every image request with
+ * a placeholder PNG: a diagonal two-tone pattern whose colours are derived
+ * from the prompt, so each step gets a distinct, recognisably fake image.
+ * The requested aspect ratio is honoured.
+ */
+async function handleGenerateContent(req, res, model) {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (err) {
+    return sendJson(res, 400, { error: { code: 400, message: `Invalid JSON body: ${err.message}`, status: 'INVALID_ARGUMENT' } });
+  }
+
+  const prompt = (body.contents || [])
+    .flatMap(c => c.parts || [])
+    .map(p => p.text || '')
+    .join(' ');
+  const aspectRatio = body.generationConfig?.imageConfig?.aspectRatio || '1:1';
+  const [width, height] = dimensions(aspectRatio);
+
+  logger.info(TAG, `Image (model=${model}, ${width}x${height}): ${prompt.slice(0, 60)}...`);
+
+  sendJson(res, 200, {
+    candidates: [{
+      content: {
+        role: 'model',
+        parts: [
+          { text: 'Mock placeholder image' },
+          { inlineData: { mimeType: 'image/png', data: placeholderPng(width, height, prompt).toString('base64') } }
+        ]
+      },
+      finishReason: 'STOP',
+      index: 0
+    }],
+    modelVersion: model
+  });
+}
+
+function dimensions(aspectRatio) {
+  const [w, h] = aspectRatio.split(':').map(Number);
+  if (!w || !h) return [BASE_SIZE, BASE_SIZE];
+  return w >= h
+    ? [Math.round((BASE_SIZE * w) / h), BASE_SIZE]
+    : [BASE_SIZE, Math.round((BASE_SIZE * h) / w)];
+}
+
+function placeholderPng(width, height, seedText) {
+  let hash = 0;
+  for (const ch of seedText) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  const light = [200 + (hash & 0x1f), 190 + ((hash >> 5) & 0x1f), 180 + ((hash >> 10) & 0x1f)];
+  const dark = [light[0] - 90, light[1] - 90, light[2] - 90];
+
+  // One filter byte (0 = none) per scanline, then RGB pixels
+  const rowSize = width * 3 + 1;
+  const raw = Buffer.alloc(rowSize * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = Math.floor((x + y) / 32) % 2 === 0 ? light : dark;
+      raw.set(color, y * rowSize + 1 + x * 3);
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function pngChunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = { handleGenerateContent };
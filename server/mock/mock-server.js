@@ -0,0 +1,73 @@
+require('dotenv').config();
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const MockClaude = require('./anthropic');
+const { handleSTT, handleTTS } = require('./elevenlabs');
+const { handleGenerateContent } = require('./gemini');
+const { sendJson } = require('./http-utils');
+const logger = require('../utils/logger');
+
+const TAG = 'Mock';
+
+/**
+ * Offline stand-ins for the three vendor APIs on one port (`npm run mock`):
+ *
+ *   POST /v1/messages                                Anthropic Messages (JSON or SSE)
+ *   WS   /v1/speech-to-text/realtime                 ElevenLabs realtime STT
+ *   WS   /v1/text-to-speech/:voiceId/stream-input    ElevenLabs stream-input TTS
+ *   POST /v1beta/models/:model:generateContent       Gemini image generation
+ *
+ * Point the app at it with ANTHROPIC_BASE_URL, ELEVENLABS_BASE_URL and
+ * GEMINI_BASE_URL. API keys are accepted but not checked.
+ */
+function createMockServer({ claudeScript, chunkDelayMs } = {}) {
+  const claude = new MockClaude({ scriptPath: claudeScript, chunkDelayMs });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    logger.debug(TAG, `${req.method} ${url.pathname}`);
+
+    if (req.method === 'POST' && url.pathname === '/v1/messages') {
+      return claude.handle(req, res);
+    }
+
+    const gemini = url.pathname.match(/^\/v1beta\/models\/([^/:]+):generateContent$/);
+    if (req.method === 'POST' && gemini) {
+      return handleGenerateContent(req, res, gemini[1]);
+    }
+
+    sendJson(res, 404, { error: `Mock server has no route for ${req.method} ${url.pathname}` });
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    let handler = null;
+    if (url.pathname === '/v1/speech-to-text/realtime') handler = handleSTT;
+    else if (/^\/v1\/text-to-speech\/[^/]+\/stream-input$/.test(url.pathname)) handler = handleTTS;
+
+    if (!handler) {
+      logger.warn(TAG, `Rejected WebSocket upgrade for ${url.pathname}`);
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => handler(ws, url));
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PORT || '4010', 10);
+  createMockServer({
+    chunkDelayMs: process.env.MOCK_STREAM_DELAY_MS ? parseInt(process.env.MOCK_STREAM_DELAY_MS, 10) : undefined
+  }).listen(port, () => {
+    logger.info(TAG, `Mock Anthropic / ElevenLabs / Gemini listening on http://localhost:${port}`);
+    logger.info(TAG, `  ANTHROPIC_BASE_URL=http://localhost:${port}`);
+    logger.info(TAG, `  ELEVENLABS_BASE_URL=ws://localhost:${port}`);
+    logger.info(TAG, `  GEMINI_BASE_URL=http://localhost:${port}`);
+  });
+}
+
+module.exports = createMockServer;
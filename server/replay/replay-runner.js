@@ -0,0 +1,157 @@
+const fs = require('fs');
+const LiveAIModule = require('../live-ai-module');
+const logger = require('../utils/logger');
+const {
+  ResponseQueue,
+  ReplayClaude,
+  ReplaySTT,
+  ReplayTTS,
+  ReplayLessonCreator,
+  MemoryTutorialStore,
+  MemoryLearnerProfileStore,
+  FakeSocket
+} = require('./stubs');
+
+const TAG = 'Replay';
+
+// Outbound events whose count depends on stub timing rather than module logic
+const IGNORED_OUTBOUND = new Set(['agent_audio']);
+const SETTLE_TIMEOUT_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Drive a fresh LiveAIModule through a capture from session-capture.js.
+ * Inbound socket events and STT transcripts are delivered at their recorded
+ * offsets (divided by `speed`); Claude, TTS and the lesson creator answer from
+ * the capture. Recurring-check timers still run in real time, so speeds other
+ * than 1 change the races being replayed.
+ *
+ * Resolves with the outbound events, the expected ones from the capture, the
+ * first divergence between them (or null), and any recorded responses that
+ * were never requested.
+ */
+async function replaySession(capture, { speed = 1 } = {}) {
+  const queue = new ResponseQueue(capture.events);
+  const seededTutorials = capture.events
+    .filter(e => e.kind === 'socket_out' && e.event === 'tutorial_ready')
+    .map(e => e.args[0]);
+  const tutorialStore = new MemoryTutorialStore(seededTutorials);
+  const seededProfiles = {};
+  for (const e of capture.events.filter(e => e.kind === 'learner')) {
+    seededProfiles[e.toolType] = seededProfiles[e.toolType] || e.profile;
+  }
+  const learnerProfiles = new MemoryLearnerProfileStore(seededProfiles);
+
+  const services = {
+    createClaude: () => new ReplayClaude(queue),
+    createSTT: () => new ReplaySTT(),
+    createTTS: () => new ReplayTTS(),
+    createLessonCreator: () => new ReplayLessonCreator(queue),
+    createRecorder: () => null,
+    createTutorialStore: () => tutorialStore,
+    createLearnerProfileStore: () => learnerProfiles
+  };
+
+  const socket = new FakeSocket(capture.socketId);
+  let module = new LiveAIModule(services);
+  module.initialize(socket);
+
+  const inbound = capture.events.filter(e => e.kind === 'socket_in' || e.kind === 'stt');
+  logger.info(TAG, `Replaying ${inbound.length} inbound events at ${speed}x`);
+
+  for (const event of inbound) {
+    const wait = event.t / speed - (Date.now() - socket.startedAt);
+    if (wait > 0) await sleep(wait);
+
+    if (event.kind === 'stt') {
+      module.stt.emit(event.event, event.text);
+    } else if (event.event === 'stop_session') {
+      // Mirrors server/index.js: a fresh module on the same socket
+      module.destroy();
+      module = new LiveAIModule(services);
+      module.initialize(socket);
+    } else {
+      socket.receive(event.event, ...(event.args || []));
+    }
+  }
+
+  await settle(module);
+  const conversation = JSON.parse(JSON.stringify(module.currentConversation));
+  module.destroy();
+
+  const expected = capture.events
+    .filter(e => e.kind === 'socket_out' && !IGNORED_OUTBOUND.has(e.event))
+    .map(e => ({ t: e.t, event: e.event, args: e.args }));
+  const actual = socket.outbound.filter(e => !IGNORED_OUTBOUND.has(e.event));
+
+  return {
+    actual,
+    expected,
+    divergence: findDivergence(expected, actual),
+    unusedResponses: queue.remaining(),
+    missingResponses: queue.misses,
+    conversation
+  };
+}
+
+/** Wait for in-flight Claude calls and recurring checks to finish. */
+async function settle(module) {
+  const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (!module.isProcessing && !module.isRecurringCheckRunning) return;
+    await sleep(50);
+  }
+  logger.warn(TAG, 'Module still busy after settle timeout');
+}
+
+function findDivergence(expected, actual) {
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length; i++) {
+    if (expected[i]?.event !== actual[i]?.event) {
+      return {
+        index: i,
+        expected: expected.slice(Math.max(0, i - 2), i + 3).map(e => e.event),
+        actual: actual.slice(Math.max(0, i - 2), i + 3).map(e => e.event)
+      };
+    }
+  }
+  return null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(a => !a.startsWith('--'));
+  const speedArg = args.find(a => a.startsWith('--speed='));
+  if (!file) {
+    console.error('Usage: npm run replay -- <capture.json> [--speed=2]');
+    process.exit(2);
+  }
+
+  const capture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const result = await replaySession(capture, { speed: speedArg ? parseFloat(speedArg.split('=')[1]) : 1 });
+
+  logger.info(TAG, `Outbound events: expected ${result.expected.length}, got ${result.actual.length}`);
+  logger.info(TAG, `Unused recorded responses: ${JSON.stringify(result.unusedResponses)}`);
+  if (result.missingResponses.length > 0) {
+    logger.warn(TAG, `Requests with no recorded response: ${result.missingResponses.join(', ')}`);
+  }
+
+  if (result.divergence) {
+    logger.error(TAG, `Diverged at outbound event #${result.divergence.index}`);
+    logger.error(TAG, `  expected: ${result.divergence.expected.join(' → ')}`);
+    logger.error(TAG, `  actual:   ${result.divergence.actual.join(' → ')}`);
+    process.exit(1);
+  }
+  logger.info(TAG, 'Replay matched the capture');
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    logger.error(TAG, 'Replay failed:', err.stack || err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { replaySession };
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TAG = 'SessionCapture';
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'output', 'captures');
+const CAPTURE_VERSION = 1;
+
+// High-volume events whose payloads aren't needed to replay a session
+const PAYLOAD_FREE_EVENTS = new Set(['audio_data', 'agent_audio']);
+
+/**
+ * Captures everything a LiveAIModule sees on one socket so replay-runner.js
+ * can drive a fresh module through the same session deterministically:
+ *
+ *   socket_in   inbound socket events (frames included; mic audio as byte counts)
+ *   socket_out  outbound socket events (expected output for the replay diff)
+ *   stt         partial / committed transcripts
+ *   claude      every Claude response — streamed text chunks, final content, or error
+ *   lesson      streamed outlines and steps, then the tutorial the lesson creator returned;
+ *               steps written for tutorial edits as { editedStep }
+ *   learner     the learner profile each session started with, for the replay's profile store
+ *
+ * Each event carries `t`, milliseconds since the socket connected. Enabled with
+ * SESSION_CAPTURE=true; files go to output/captures/<socketId>.json.
+ */
+class SessionCapture {
+  constructor(socket, rootDir = DEFAULT_ROOT) {
+    this.rootDir = rootDir;
+    this.startedAt = Date.now();
+    this.capture = {
+      version: CAPTURE_VERSION,
+      socketId: socket.id,
+      startedAt: new Date(this.startedAt).toISOString(),
+      events: []
+    };
+
+    socket.onAny((event, ...args) => {
+      this._push('socket_in', { event, args: this._payload(event, args) });
+    });
+    socket.onAnyOutgoing((event, ...args) => {
+      this._push('socket_out', { event, args: this._payload(event, args) });
+    });
+  }
+
+  get filePath() {
+    return path.join(this.rootDir, `${this.capture.socketId}.json`);
+  }
+
+  /** Wrap LiveAIModule service factories so their outputs are captured too. */
+  wrapServices(services) {
+    return {
+      ...services,
+      createClaude: () => this._wrapClaude(services.createClaude()),
+      createSTT: () => this._wrapSTT(services.createSTT()),
+      createLessonCreator: (toolType) => this._wrapLessonCreator(services.createLessonCreator(toolType)),
+      createLearnerProfileStore: () => this._wrapLearnerProfiles(services.createLearnerProfileStore())
+    };
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(this.rootDir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.capture));
+      logger.info(TAG, `Saved ${this.capture.events.length} events → ${this.filePath}`);
+    } catch (err) {
+      logger.error(TAG, 'Failed to save capture:', err.message);
+    }
+  }
+
+  _push(kind, data) {
+    this.capture.events.push({ t: Date.now() - this.startedAt, kind, ...data });
+  }
+
+  _payload(event, args) {
+    if (!PAYLOAD_FREE_EVENTS.has(event)) return args;
+    return [{ bytes: typeof args[0] === 'string' ? args[0].length : 0 }];
+  }
+
+  _wrapClaude(claude) {
+    const streaming = claude.getStreamingResponse.bind(claude);
+    const nonStreaming = claude.getResponse.bind(claude);
+
+    claude.getStreamingResponse = async (systemPrompt, messages, tools, images, onTextChunk, options) => {
+      const chunks = [];
+      try {
+        const response = await streaming(systemPrompt, messages, tools, images, (chunk) => {
+          chunks.push(chunk);
+          if (onTextChunk) onTextChunk(chunk);
+        }, options);
+        this._push('claude', { method: 'stream', chunks, content: response.content, stopReason: response.stop_reason });
+        return response;
+      } catch (err) {
+        this._push('claude', { method: 'stream', chunks, error: err.message });
+        throw err;
+      }
+    };
+
+    claude.getResponse = async (...args) => {
+      try {
+        const response = await nonStreaming(...args);
+        this._push('claude', { method: 'response', content: response.content, stopReason: response.stop_reason });
+        return response;
+      } catch (err) {
+        this._push('claude', { method: 'response', error: err.message });
+        throw err;
+      }
+    };
+
+    return claude;
+  }
+
+  _wrapSTT(stt) {
+    stt.on('partial_transcript', (text) => this._push('stt', { event: 'partial_transcript', text }));
+    stt.on('committed_transcript', (text) => this._push('stt', { event: 'committed_transcript', text }));
+    return stt;
+  }
+
+  _wrapLessonCreator(lessonCreator) {
+    const generate = lessonCreator.generate.bind(lessonCreator);
+    lessonCreator.generate = async (objectLabel, proficiency, options = {}) => {
+      const { onOutline, onStep } = options;
+      try {
+        const tutorial = await generate(objectLabel, proficiency, {
+          ...options,
+          onOutline: (outline) => {
+            this._push('lesson', { outline });
+            onOutline?.(outline);
+          },
+          onStep: (step) => {
+            this._push('lesson', { step });
+            onStep?.(step);
+          }
+        });
+        this._push('lesson', { tutorial });
+        return tutorial;
+      } catch (err) {
+        this._push('lesson', { error: err.message });
+        throw err;
+      }
+    };
+
+    if (lessonCreator.generateStep) {
+      const generateStep = lessonCreator.generateStep.bind(lessonCreator);
+      lessonCreator.generateStep = async (tutorial, edit) => {
+        try {
+          const editedStep = await generateStep(tutorial, edit);
+          this._push('lesson', { editedStep });
+          return editedStep;
+        } catch (err) {
+          this._push('lesson', { error: err.message });
+          throw err;
+        }
+      };
+    }
+    return lessonCreator;
+  }
+
+  _wrapLearnerProfiles(store) {
+    const get = store.get.bind(store);
+    const captured = new Set();
+    store.get = (toolType) => {
+      const profile = get(toolType);
+      if (!captured.has(toolType)) {
+        captured.add(toolType);
+        this._push('learner', { toolType, profile });
+      }
+      return profile;
+    };
+    return store;
+  }
+}
+
+module.exports = SessionCapture;
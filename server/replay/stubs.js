@@ -0,0 +1,274 @@
+const EventEmitter = require('events');
+const STTProvider = require('../services/stt-provider');
+const TTSProvider = require('../services/tts-provider');
+const LearnerProfileStore = require('../services/learner-profile-store');
+const logger = require('../utils/logger');
+
+const TAG = 'ReplayStubs';
+
+// 10ms of 24 kHz silence — enough for LiveAIModule to mark the agent as speaking
+const SILENT_AUDIO = Buffer.alloc(480).toString('base64');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Stand-ins for the services LiveAIModule talks to, fed from a capture made
+ * by session-capture.js. Responses are consumed in recorded order; a queue
+ * shared across module instances mirrors stop_session → new LiveAIModule.
+ */
+class ResponseQueue {
+  constructor(events) {
+    this.stream = events.filter(e => e.kind === 'claude' && e.method === 'stream');
+    this.response = events.filter(e => e.kind === 'claude' && e.method === 'response');
+    this.lesson = events.filter(e => e.kind === 'lesson');
+    this.misses = [];
+  }
+
+  next(type) {
+    const item = this[type].shift();
+    if (!item) this.misses.push(type);
+    return item || null;
+  }
+
+  remaining() {
+    return { stream: this.stream.length, response: this.response.length, lesson: this.lesson.length };
+  }
+}
+
+class ReplayClaude {
+  constructor(queue) {
+    this.queue = queue;
+    this.model = 'replay';
+    this.activeStream = null;
+  }
+
+  async getStreamingResponse(systemPrompt, messages, tools, images, onTextChunk) {
+    const recorded = this.queue.next('stream');
+    if (!recorded) {
+      logger.warn(TAG, 'No recorded streaming response left — returning empty reply');
+      return { content: [], stop_reason: 'end_turn' };
+    }
+
+    const stream = { aborted: false };
+    this.activeStream = stream;
+    try {
+      for (const chunk of recorded.chunks || []) {
+        await tick();
+        if (stream.aborted) throw new Error('Request was aborted.');
+        if (onTextChunk) onTextChunk(chunk);
+      }
+      await tick();
+      if (stream.aborted) throw new Error('Request was aborted.');
+      if (recorded.error) throw new Error(recorded.error);
+      return { content: recorded.content, stop_reason: recorded.stopReason };
+    } finally {
+      if (this.activeStream === stream) this.activeStream = null;
+    }
+  }
+
+  async getResponse() {
+    const recorded = this.queue.next('response');
+    await tick();
+    if (!recorded) {
+      logger.warn(TAG, 'No recorded response left — returning [NO_GUIDANCE_NEEDED]');
+      return { content: [{ type: 'text', text: '[NO_GUIDANCE_NEEDED]' }], stop_reason: 'end_turn' };
+    }
+    if (recorded.error) throw new Error(recorded.error);
+    return { content: recorded.content, stop_reason: recorded.stopReason };
+  }
+
+  abortStream() {
+    if (this.activeStream) {
+      this.activeStream.aborted = true;
+      this.activeStream = null;
+    }
+  }
+}
+
+/** Transcripts are injected by the replay runner at their recorded times. */
+class ReplaySTT extends STTProvider {
+  connect() {
+    this.connected = true;
+  }
+
+  sendAudio() {}
+
+  disconnect() {
+    this.connected = false;
+  }
+}
+
+/** Answers every piece of text with a short silent chunk; keeps what was "spoken". */
+class ReplayTTS extends TTSProvider {
+  constructor() {
+    super();
+    this.spoken = [];
+    this.generation = 0;
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  async sendText(text) {
+    await this.sendTextChunk(text);
+    await this.closeStream();
+  }
+
+  async sendTextChunk(chunk) {
+    this.spoken.push(chunk);
+    const generation = this.generation;
+    await tick();
+    if (generation === this.generation) this.emit('audio_chunk', SILENT_AUDIO);
+  }
+
+  async flush() {}
+
+  async closeStream() {
+    const generation = this.generation;
+    await tick();
+    if (generation === this.generation) this.emit('generation_complete');
+  }
+
+  interrupt() {
+    this.generation++;
+  }
+
+  disconnect() {
+    this.interrupt();
+    this.connected = false;
+  }
+}
+
+class ReplayLessonCreator {
+  constructor(queue) {
+    this.queue = queue;
+  }
+
+  async generate(objectLabel, proficiency, { onOutline, onStep } = {}) {
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    for (;;) {
+      const recorded = this.queue.next('lesson');
+      await tick();
+      if (!recorded) throw new Error('No recorded tutorial left');
+      if (recorded.error) throw new Error(recorded.error);
+      if (recorded.outline) onOutline?.(copy(recorded.outline));
+      else if (recorded.step) onStep?.(copy(recorded.step));
+      else return copy(recorded.tutorial);
+    }
+  }
+
+  async generateStep() {
+    const recorded = this.queue.next('lesson');
+    await tick();
+    if (!recorded) throw new Error('No recorded step left');
+    if (recorded.error) throw new Error(recorded.error);
+    return JSON.parse(JSON.stringify(recorded.editedStep));
+  }
+}
+
+/** In-memory TutorialStore, seeded with every tutorial the capture showed the client. */
+class MemoryTutorialStore {
+  constructor(tutorials = []) {
+    this.tutorials = new Map(tutorials.map(t => [t.metadata.sessionId, JSON.parse(JSON.stringify(t))]));
+  }
+
+  load(id) {
+    const tutorial = this.tutorials.get(id);
+    return tutorial ? JSON.parse(JSON.stringify(tutorial)) : null;
+  }
+
+  save(tutorial) {
+    this.tutorials.set(tutorial.metadata.sessionId, tutorial);
+    return tutorial;
+  }
+
+  readAsset() {
+    return null;
+  }
+
+  updateProgress(id, currentStepIndex) {
+    const tutorial = this.tutorials.get(id);
+    if (!tutorial) return null;
+    tutorial.progress = {
+      currentStepIndex,
+      completed: currentStepIndex >= tutorial.totalSteps,
+      updatedAt: new Date().toISOString()
+    };
+    return tutorial;
+  }
+
+  updateSteps(id, steps, currentStepIndex) {
+    const tutorial = this.tutorials.get(id);
+    if (!tutorial) return null;
+    tutorial.steps = steps;
+    tutorial.totalSteps = steps.length;
+    return this.updateProgress(id, currentStepIndex);
+  }
+}
+
+/** LearnerProfileStore kept in memory, seeded with `{ [toolType]: profile }`. */
+class MemoryLearnerProfileStore extends LearnerProfileStore {
+  constructor(profiles = {}) {
+    super(null);
+    this.data = { tools: JSON.parse(JSON.stringify(profiles)) };
+  }
+
+  _read() {
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  _write(data) {
+    this.data = data;
+  }
+}
+
+/**
+ * Socket stand-in: the runner delivers inbound events with receive(); whatever
+ * the module emits is collected in `outbound` with its offset from start.
+ */
+class FakeSocket extends EventEmitter {
+  constructor(id = 'replay') {
+    super();
+    this.id = id;
+    this.startedAt = Date.now();
+    this.outbound = [];
+    this.anyListeners = [];
+    this.anyOutgoingListeners = [];
+  }
+
+  get volatile() {
+    return this;
+  }
+
+  /** socket.io's catch-all listeners, so SessionCapture can record a FakeSocket. */
+  onAny(listener) {
+    this.anyListeners.push(listener);
+  }
+
+  onAnyOutgoing(listener) {
+    this.anyOutgoingListeners.push(listener);
+  }
+
+  receive(event, ...args) {
+    for (const listener of this.anyListeners) listener(event, ...args);
+    super.emit(event, ...args);
+  }
+
+  emit(event, ...args) {
+    this.outbound.push({ t: Date.now() - this.startedAt, event, args });
+    for (const listener of this.anyOutgoingListeners) listener(event, ...args);
+    return true;
+  }
+}
+
+module.exports = {
+  ResponseQueue,
+  ReplayClaude,
+  ReplaySTT,
+  ReplayTTS,
+  ReplayLessonCreator,
+  MemoryTutorialStore,
+  MemoryLearnerProfileStore,
+  FakeSocket
+};
@@ -0,0 +1,38 @@
+const express = require('express');
+const SessionRecorder = require('../services/session-recorder');
+const { toMarkdown, toHTML } = require('../services/transcript-exporter');
+
+/**
+ * Session transcript exports:
+ *   GET /api/sessions/:id/export?format=md|json|html
+ * Markdown and JSON download as attachments; HTML opens inline as a
+ * printable recap (use the browser's Print → Save as PDF).
+ */
+function createSessionsRouter(rootDir) {
+  const router = express.Router();
+
+  router.get('/:id/export', (req, res) => {
+    const session = SessionRecorder.load(req.params.id, rootDir);
+    if (!session) return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+
+    const format = req.query.format || 'md';
+    const filename = `session-${session.id}`;
+
+    switch (format) {
+      case 'md':
+        res.attachment(`${filename}.md`);
+        return res.type('text/markdown').send(toMarkdown(session));
+      case 'json':
+        res.attachment(`${filename}.json`);
+        return res.json(session);
+      case 'html':
+        return res.type('html').send(toHTML(session));
+      default:
+        return res.status(400).json({ error: `Unsupported format: ${format} (expected md, json or html)` });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSessionsRouter;
@@ -0,0 +1,24 @@
+const express = require('express');
+
+/**
+ * Exposes the tool registry to the client:
+ *   GET /api/tools           tool tiles + landing copy, in display order
+ *   GET /api/tools/:id/icon  the plugin's icon file
+ */
+function createToolsRouter(registry) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ tools: registry.toClientManifest() });
+  });
+
+  router.get('/:id/icon', (req, res) => {
+    const tool = registry.list().find(t => t.id === req.params.id);
+    if (!tool?.iconPath) return res.status(404).json({ error: `No icon for tool: ${req.params.id}` });
+    res.sendFile(tool.iconPath);
+  });
+
+  return router;
+}
+
+module.exports = createToolsRouter;
@@ -0,0 +1,62 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+const TAG = 'TutorialsAPI';
+
+/**
+ * REST surface over the tutorial library in output/tutorials:
+ *   GET    /api/tutorials            list (?resumable=true, ?toolType=blender)
+ *   GET    /api/tutorials/:id        full manifest
+ *   DELETE /api/tutorials/:id        remove manifest + images
+ *   POST   /api/tutorials/:id/start  reset progress (body: { stepIndex }) and
+ *                                    return the payload for `start_session`
+ */
+function createTutorialsRouter(store) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const tutorials = store.list({
+      resumable: req.query.resumable === 'true',
+      toolType: req.query.toolType || null
+    });
+    res.json({ tutorials });
+  });
+
+  router.get('/:id', (req, res) => {
+    const tutorial = store.load(req.params.id);
+    if (!tutorial) return res.status(404).json({ error: `Tutorial not found: ${req.params.id}` });
+    res.json(tutorial);
+  });
+
+  router.delete('/:id', (req, res) => {
+    if (!store.delete(req.params.id)) {
+      return res.status(404).json({ error: `Tutorial not found: ${req.params.id}` });
+    }
+    res.status(204).end();
+  });
+
+  router.post('/:id/start', (req, res) => {
+    const tutorial = store.load(req.params.id);
+    if (!tutorial) return res.status(404).json({ error: `Tutorial not found: ${req.params.id}` });
+
+    const stepIndex = Number.isInteger(req.body?.stepIndex) ? req.body.stepIndex : 0;
+    if (stepIndex < 0 || stepIndex >= tutorial.totalSteps) {
+      return res.status(400).json({ error: `stepIndex must be between 0 and ${tutorial.totalSteps - 1}` });
+    }
+
+    const updated = store.updateProgress(req.params.id, stepIndex);
+    logger.info(TAG, `Tutorial ${req.params.id} staged at step ${stepIndex + 1}/${tutorial.totalSteps}`);
+
+    res.json({
+      tutorial: updated,
+      session: {
+        toolType: updated.metadata.toolType,
+        resumeTutorialId: updated.metadata.sessionId
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = createTutorialsRouter;
@@ -3,13 +3,42 @@ const logger = require('../utils/logger');
 
 const TAG = 'Claude';
 const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+/** Copy of a message with a cache breakpoint on its last content block. */
+function withCacheControl(message) {
+  const blocks = typeof message.content === 'string'
+    ? [{ type: 'text', text: message.content }]
+    : message.content;
+  const last = blocks[blocks.length - 1];
+  return {
+    ...message,
+    content: [...blocks.slice(0, -1), { ...last, cache_control: CACHE_CONTROL }]
+  };
+}
 
 class ClaudeService {
-  constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+  constructor(apiKey, {
+    model,
+    baseURL = process.env.ANTHROPIC_BASE_URL,
+    promptCache = process.env.CLAUDE_PROMPT_CACHE !== 'false'
+  } = {}) {
+    this.client = new Anthropic({ apiKey, baseURL: baseURL || undefined });
+    this.model = model || DEFAULT_MODEL;
+    this.promptCache = promptCache;
+    this.usage = {};
     this.currentStream = null;
   }
 
+  /**
+   * Pick the model for a call type from an agent config. `modelRouting` maps
+   * call types (e.g. "voice", "recurringCheck", "analysis") to models; anything
+   * not listed falls back to the config's top-level `model`.
+   */
+  static resolveModel(config, callType) {
+    return config?.modelRouting?.[callType] || config?.model || DEFAULT_MODEL;
+  }
+
   buildMessages(conversation, images = []) {
     if (!images.length) return conversation;
 
@@ -62,37 +91,63 @@ class ClaudeService {
     return messages;
   }
 
-  async getResponse(systemPrompt, messages, tools = [], images = []) {
+  /**
+   * Request params shared by both call styles. `systemPrompt` is a string or
+   * a list of sections ordered from most to least stable. With prompt caching
+   * on, cache breakpoints go on the last tool, the first and last system
+   * sections, and — when the caller passes `cachePrefixLength` — the last
+   * message of that stable conversation prefix: the API's maximum of four.
+   * One-off prompts leave the messages uncached, since cache writes cost extra.
+   * `toolChoice` forces a tool, for structured output.
+   */
+  buildParams(systemPrompt, messages, tools, images, { model, cachePrefixLength, toolChoice } = {}) {
     const builtMessages = this.buildMessages(messages, images);
-
-    logger.debug(TAG, `Non-streaming request (${builtMessages.length} messages, ${tools.length} tools, ${images.length} images)`);
+    const sections = (Array.isArray(systemPrompt) ? systemPrompt : [systemPrompt])
+      .map(section => section.trim())
+      .filter(Boolean);
 
     const params = {
-      model: DEFAULT_MODEL,
+      model: model || this.model,
       max_tokens: 4096,
-      system: systemPrompt,
+      system: sections.join('\n\n'),
       messages: builtMessages
     };
     if (tools.length) params.tools = tools;
+    if (toolChoice) params.tool_choice = toolChoice;
+    if (!this.promptCache) return params;
+
+    params.system = sections.map((text, i) => (i === 0 || i === sections.length - 1)
+      ? { type: 'text', text, cache_control: CACHE_CONTROL }
+      : { type: 'text', text });
+
+    if (tools.length) {
+      params.tools = [...tools.slice(0, -1), { ...tools[tools.length - 1], cache_control: CACHE_CONTROL }];
+    }
+
+    const breakpoint = cachePrefixLength ? cachePrefixLength - 1 : -1;
+    if (breakpoint >= 0 && breakpoint < builtMessages.length) {
+      params.messages = [...builtMessages];
+      params.messages[breakpoint] = withCacheControl(builtMessages[breakpoint]);
+    }
+    return params;
+  }
+
+  async getResponse(systemPrompt, messages, tools = [], images = [], options = {}) {
+    const params = this.buildParams(systemPrompt, messages, tools, images, options);
+
+    logger.debug(TAG, `Non-streaming request (model=${params.model}, ${params.messages.length} messages, ${tools.length} tools, ${images.length} images)`);
 
     const response = await this.client.messages.create(params);
 
     logger.debug(TAG, `Response: ${response.content.length} blocks, stop_reason=${response.stop_reason}`);
+    this.recordUsage(params.model, response.usage);
     return response;
   }
 
-  async getStreamingResponse(systemPrompt, messages, tools = [], images = [], onTextChunk) {
-    const builtMessages = this.buildMessages(messages, images);
-
-    logger.debug(TAG, `Streaming request (${builtMessages.length} messages, ${tools.length} tools, ${images.length} images)`);
+  async getStreamingResponse(systemPrompt, messages, tools = [], images = [], onTextChunk, options = {}) {
+    const params = this.buildParams(systemPrompt, messages, tools, images, options);
 
-    const params = {
-      model: DEFAULT_MODEL,
-      max_tokens: 4096,
-      system: systemPrompt,
-      messages: builtMessages
-    };
-    if (tools.length) params.tools = tools;
+    logger.debug(TAG, `Streaming request (model=${params.model}, ${params.messages.length} messages, ${tools.length} tools, ${images.length} images)`);
 
     this.currentStream = this.client.messages.stream(params);
 
@@ -103,12 +158,35 @@ class ClaudeService {
     try {
       const finalMessage = await this.currentStream.finalMessage();
       logger.debug(TAG, `Streaming complete: ${finalMessage.content.length} blocks, stop_reason=${finalMessage.stop_reason}`);
+      this.recordUsage(params.model, finalMessage.usage);
       return finalMessage;
     } finally {
       this.currentStream = null;
     }
   }
 
+  /** Accumulate token usage per model; cache reads and writes are counted apart from uncached input. */
+  recordUsage(model, usage) {
+    if (!usage) return;
+    const stats = this.usage[model] || (this.usage[model] = { requests: 0, input: 0, cacheRead: 0, cacheWrite: 0, output: 0 });
+    stats.requests++;
+    stats.input += usage.input_tokens || 0;
+    stats.cacheRead += usage.cache_read_input_tokens || 0;
+    stats.cacheWrite += usage.cache_creation_input_tokens || 0;
+    stats.output += usage.output_tokens || 0;
+
+    logger.debug(TAG, `Usage (${model}): input=${usage.input_tokens}, cache read=${usage.cache_read_input_tokens || 0}, cache write=${usage.cache_creation_input_tokens || 0}, output=${usage.output_tokens}`);
+  }
+
+  /** One line per model, e.g. for the end-of-session log. */
+  usageReport() {
+    return Object.entries(this.usage).map(([model, u]) => {
+      const prompt = u.input + u.cacheRead + u.cacheWrite;
+      const hitRate = prompt ? Math.round((u.cacheRead / prompt) * 100) : 0;
+      return `${model}: ${u.requests} requests, ${prompt} prompt tokens (${u.cacheRead} cache read, ${u.cacheWrite} cache write, ${u.input} uncached — ${hitRate}% hit), ${u.output} output`;
+    });
+  }
+
   abortStream() {
     if (this.currentStream) {
       logger.info(TAG, 'Aborting active stream');
@@ -0,0 +1,191 @@
+const logger = require('../utils/logger');
+
+const TAG = 'Context';
+
+// Rough estimate for a screen frame after Claude's image downscaling
+const TOKENS_PER_IMAGE = 1500;
+const CHARS_PER_TOKEN = 4;
+const TOOL_RESULT_SUMMARY_CHARS = 400;
+
+const SUMMARY_SYSTEM_PROMPT = `You maintain the memory of a live, voice-guided tutoring session between a coach and a learner using a creative app. You will be given the existing memory (possibly empty) and a transcript of older turns that are about to be dropped from the coach's context.
+
+Rewrite the memory so the coach can carry on without those turns. Keep:
+- what the learner is trying to make, their proficiency and any stated preferences
+- tutorials created and which steps were completed
+- problems the learner ran into and how they were resolved
+- hotkeys and techniques already explained
+- anything the coach promised to do or come back to
+
+Write terse bullet points, at most 250 words, in the language of the conversation. Output only the memory.`;
+
+/**
+ * Keeps a live session's conversation inside a token budget. Once the text in
+ * `currentConversation` (images are bounded separately by pruneOldImages)
+ * passes `summarizeAtTokens`, the older turns are summarized into a rolling
+ * "session memory" and dropped, keeping the last `keepRecentMessages` or so.
+ *
+ * The cut is always made just before a user turn that is not a tool_result,
+ * so tool_use / tool_result pairs are never split and the remaining
+ * conversation still starts with a user message.
+ *
+ * Actual input token counts from API responses are recorded with
+ * recordUsage() so the budget reflects what Claude really saw.
+ */
+class ContextManager {
+  constructor(claude, { model, summarizeAtTokens = 12000, keepRecentMessages = 10 } = {}) {
+    this.claude = claude;
+    this.model = model;
+    this.summarizeAtTokens = summarizeAtTokens;
+    this.keepRecentMessages = keepRecentMessages;
+    this.memory = '';
+    this.summarizedMessages = 0;
+    this.isCompacting = false;
+    this.lastInputTokens = 0;
+    this.totalInputTokens = 0;
+    this.totalOutputTokens = 0;
+  }
+
+  /** Estimated tokens in a message list, split into text (incl. tool blocks) and images. */
+  static estimate(messages) {
+    let chars = 0;
+    let images = 0;
+    for (const msg of messages) {
+      if (typeof msg.content === 'string') {
+        chars += msg.content.length;
+        continue;
+      }
+      for (const block of msg.content || []) {
+        if (block.type === 'image') images++;
+        else if (block.type === 'text') chars += block.text.length;
+        else if (block.type === 'tool_result' && Array.isArray(block.content)) {
+          // Inspect_Screen results carry a screenshot next to their JSON
+          for (const inner of block.content) {
+            if (inner.type === 'image') images++;
+            else chars += (inner.text || '').length;
+          }
+        } else chars += JSON.stringify(block).length;
+      }
+    }
+    return { textTokens: Math.ceil(chars / CHARS_PER_TOKEN), imageTokens: images * TOKENS_PER_IMAGE };
+  }
+
+  /** Usage from a tutor request — its input size is what the conversation really costs. */
+  recordUsage(usage) {
+    if (!usage) return;
+    // With prompt caching, input_tokens only counts the uncached part
+    this.lastInputTokens = (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+    this._addToTotals(usage);
+  }
+
+  _addToTotals(usage) {
+    if (!usage) return;
+    this.totalInputTokens += (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+    this.totalOutputTokens += usage.output_tokens || 0;
+  }
+
+  budget(conversation) {
+    const { textTokens, imageTokens } = ContextManager.estimate(conversation);
+    return {
+      textTokens,
+      imageTokens,
+      memoryTokens: Math.ceil(this.memory.length / CHARS_PER_TOKEN),
+      summarizeAtTokens: this.summarizeAtTokens,
+      lastInputTokens: this.lastInputTokens,
+      totalInputTokens: this.totalInputTokens,
+      totalOutputTokens: this.totalOutputTokens
+    };
+  }
+
+  /** System prompt block carrying the memory, or '' before the first summary. */
+  buildPromptBlock() {
+    if (!this.memory) return '';
+    return `\n\n--- SESSION MEMORY ---\nEarlier in this session (older turns have been summarized):\n${this.memory}\n--- END SESSION MEMORY ---`;
+  }
+
+  /**
+   * Summarize and drop older turns if the conversation is over budget. Mutates
+   * `conversation` in place (splice from the front) once the summary is back;
+   * callers only ever append, so the summarized prefix is still at the front.
+   * Returns the number of messages removed.
+   */
+  async compact(conversation) {
+    if (this.isCompacting) return 0;
+    const { textTokens } = ContextManager.estimate(conversation);
+    if (textTokens < this.summarizeAtTokens) return 0;
+
+    const cut = this._findCut(conversation);
+    if (cut <= 0) return 0;
+
+    this.isCompacting = true;
+    try {
+      logger.info(TAG, `Summarizing ${cut} older messages (~${textTokens} text tokens, budget ${this.summarizeAtTokens})`);
+      const memory = await this._summarize(conversation.slice(0, cut));
+      if (!memory) return 0;
+
+      conversation.splice(0, cut);
+      this.memory = memory;
+      this.summarizedMessages += cut;
+      const after = ContextManager.estimate(conversation).textTokens;
+      logger.info(TAG, `Compacted: ${cut} messages → memory (${memory.length} chars), ~${after} text tokens left`);
+      return cut;
+    } catch (err) {
+      logger.error(TAG, 'Summarization failed:', err.message);
+      return 0;
+    } finally {
+      this.isCompacting = false;
+    }
+  }
+
+  /** Index of the first message to keep: a plain user turn at or after len - keepRecentMessages. */
+  _findCut(conversation) {
+    for (let i = Math.max(1, conversation.length - this.keepRecentMessages); i < conversation.length; i++) {
+      const msg = conversation[i];
+      if (msg.role !== 'user') continue;
+      const isToolResult = Array.isArray(msg.content) && msg.content.some(b => b.type === 'tool_result');
+      if (!isToolResult) return i;
+    }
+    return -1;
+  }
+
+  async _summarize(messages) {
+    const transcript = messages.map(renderMessage).filter(Boolean).join('\n');
+    const prompt = `Existing memory:\n${this.memory || '(none)'}\n\nOlder turns:\n${transcript}`;
+
+    const response = await this.claude.getResponse(
+      SUMMARY_SYSTEM_PROMPT,
+      [{ role: 'user', content: prompt }],
+      [],
+      [],
+      { model: this.model }
+    );
+    this._addToTotals(response.usage);
+    return response.content.find(c => c.type === 'text')?.text?.trim() || '';
+  }
+}
+
+/** One transcript line per message; images dropped, tool results shortened. */
+function renderMessage(msg) {
+  const speaker = msg.role === 'user' ? 'Learner' : 'Coach';
+  if (typeof msg.content === 'string') return `${speaker}: ${msg.content}`;
+
+  const parts = msg.content.map(block => {
+    switch (block.type) {
+      case 'text':
+        return block.text;
+      case 'tool_use':
+        return `[called ${block.name}(${JSON.stringify(block.input)})]`;
+      case 'tool_result': {
+        const content = typeof block.content === 'string'
+          ? block.content
+          : block.content.map(b => (b.type === 'text' ? b.text : `[${b.type}]`)).join(' ');
+        return `[tool result: ${content.slice(0, TOOL_RESULT_SUMMARY_CHARS)}]`;
+      }
+      default:
+        return '';
+    }
+  }).filter(Boolean);
+
+  return parts.length ? `${speaker}: ${parts.join(' ')}` : null;
+}
+
+module.exports = ContextManager;
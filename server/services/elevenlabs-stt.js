@@ -1,15 +1,19 @@
-const EventEmitter = require('events');
 const WebSocket = require('ws');
+const STTProvider = require('./stt-provider');
 const logger = require('../utils/logger');
 
 const TAG = 'STT';
+const DEFAULT_BASE_URL = 'wss://api.elevenlabs.io';
 
-class ElevenLabsSTT extends EventEmitter {
-  constructor(apiKey) {
+class ElevenLabsSTT extends STTProvider {
+  constructor(apiKey, { modelId = 'scribe_v2_realtime', languageCode = 'en', baseUrl = process.env.ELEVENLABS_BASE_URL } = {}) {
     super();
     this.apiKey = apiKey;
+    // Accepts http(s):// too, e.g. ELEVENLABS_BASE_URL=http://localhost:4010 for the mock server
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/^http/, 'ws').replace(/\/+$/, '');
+    this.modelId = modelId;
+    this.languageCode = languageCode;
     this.ws = null;
-    this.connected = false;
     this.shouldReconnect = false;
     this.reconnectTimer = null;
   }
@@ -22,9 +26,9 @@ class ElevenLabsSTT extends EventEmitter {
 
     this.shouldReconnect = true;
 
-    const url = new URL('wss://api.elevenlabs.io/v1/speech-to-text/realtime');
-    url.searchParams.set('model_id', 'scribe_v2_realtime');
-    url.searchParams.set('language_code', 'en');
+    const url = new URL(`${this.baseUrl}/v1/speech-to-text/realtime`);
+    url.searchParams.set('model_id', this.modelId);
+    url.searchParams.set('language_code', this.languageCode);
     url.searchParams.set('audio_format', 'pcm_16000');
     url.searchParams.set('commit_strategy', 'vad');
     url.searchParams.set('vad_silence_threshold_secs', '0.3');
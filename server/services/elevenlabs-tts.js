@@ -1,21 +1,38 @@
-const EventEmitter = require('events');
 const WebSocket = require('ws');
+const TTSProvider = require('./tts-provider');
 const logger = require('../utils/logger');
 
 const TAG = 'TTS';
 
-class ElevenLabsTTS extends EventEmitter {
-  constructor(apiKey, voiceId, voiceSettings = {}) {
+// Server errors that mean this backend can't speak for the rest of the session.
+// Rate and concurrency limits are not among them: like a dropped stream, the
+// next text tries again.
+const FATAL_ERROR = /quota|auth|unauthori[sz]ed|invalid_api_key|payment|billing/i;
+const DEFAULT_BASE_URL = 'wss://api.elevenlabs.io';
+// Back-to-back failed connects before the backend is treated as unreachable
+const MAX_CONNECT_FAILURES = 3;
+
+class ElevenLabsTTS extends TTSProvider {
+  /**
+   * voiceSettings is the tutor.json `voice` block. Its optional `languages`
+   * map overrides `voiceId` / `model` per language code, e.g.
+   * `"languages": { "ja": { "voiceId": "...", "model": "eleven_multilingual_v2" } }`.
+   */
+  constructor(apiKey, voiceId, voiceSettings = {}, languageCode = 'en') {
     super();
+    const languageOverride = voiceSettings.languages?.[languageCode] || {};
     this.apiKey = apiKey;
-    this.voiceId = voiceId;
+    this.voiceId = languageOverride.voiceId || voiceId;
+    this.modelId = languageOverride.model || voiceSettings.model || 'eleven_flash_v2_5';
+    this.languageCode = languageCode;
+    this.baseUrl = (process.env.ELEVENLABS_BASE_URL || DEFAULT_BASE_URL).replace(/^http/, 'ws').replace(/\/+$/, '');
     this.voiceSettings = {
       stability: voiceSettings.stability ?? 0.5,
       similarity_boost: voiceSettings.similarity ?? 0.75
     };
     this.ws = null;
-    this.connected = false;
     this.connecting = false;
+    this.connectFailures = 0;
   }
 
   async connect() {
@@ -27,7 +44,7 @@ class ElevenLabsTTS extends EventEmitter {
 
     this.connecting = true;
 
-    const url = `wss://api.elevenlabs.io/v1/text-to-speech/${this.voiceId}/stream-input?model_id=eleven_flash_v2_5&output_format=pcm_24000`;
+    const url = `${this.baseUrl}/v1/text-to-speech/${this.voiceId}/stream-input?model_id=${this.modelId}&language_code=${this.languageCode}&output_format=pcm_24000`;
 
     logger.info(TAG, 'Connecting to ElevenLabs TTS...');
 
@@ -39,6 +56,7 @@ class ElevenLabsTTS extends EventEmitter {
       this.ws.on('open', () => {
         this.connected = true;
         this.connecting = false;
+        this.connectFailures = 0;
         logger.info(TAG, 'Connected');
 
         // Send init message with voice settings
@@ -64,6 +82,13 @@ class ElevenLabsTTS extends EventEmitter {
             logger.debug(TAG, 'Generation complete');
             this.emit('generation_complete');
           }
+
+          if (msg.error) {
+            logger.error(TAG, `API error (${msg.error}): ${msg.message || ''}`);
+            if (FATAL_ERROR.test(msg.error)) {
+              this.emit('provider_error', new Error(`ElevenLabs ${msg.error}`));
+            }
+          }
         } catch (err) {
           logger.error(TAG, 'Failed to parse message:', err.message);
         }
@@ -74,12 +99,21 @@ class ElevenLabsTTS extends EventEmitter {
         this.connecting = false;
         this.ws = null;
         logger.info(TAG, `Disconnected (${code}: ${reason || 'no reason'})`);
+        if (FATAL_ERROR.test(String(reason))) {
+          this.emit('provider_error', new Error(`ElevenLabs closed the stream: ${reason}`));
+        }
       });
 
       this.ws.on('error', (err) => {
+        const wasConnected = this.connected;
         this.connected = false;
         this.connecting = false;
         logger.error(TAG, 'WebSocket error:', err.message);
+        // A dropped stream reconnects on the next sendText; only a backend that
+        // keeps refusing connections should trigger failover
+        if (!wasConnected && ++this.connectFailures >= MAX_CONNECT_FAILURES) {
+          this.emit('provider_error', new Error(`ElevenLabs unreachable after ${this.connectFailures} attempts: ${err.message}`));
+        }
         reject(err);
       });
     });
@@ -168,8 +202,11 @@ class ElevenLabsTTS extends EventEmitter {
   }
 
   async _ensureConnected() {
-    if (!this.connected) {
+    if (this.connected) return;
+    try {
       await this.connect();
+    } catch (err) {
+      logger.warn(TAG, `Connect failed (${err.message}) — will retry on the next text`);
     }
   }
 
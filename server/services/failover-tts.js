@@ -0,0 +1,135 @@
+const TTSProvider = require('./tts-provider');
+const logger = require('../utils/logger');
+
+const TAG = 'FailoverTTS';
+
+/**
+ * Speaks through `primary` until it reports a provider_error, then switches
+ * to `fallback` for the rest of the session. A call the primary merely rejects
+ * is treated as transient: the next call tries the primary again. If the
+ * primary dies before producing any audio for the current utterance, the
+ * text sent so far is replayed on the fallback so the reply isn't lost.
+ */
+class FailoverTTS extends TTSProvider {
+  constructor(primary, fallback) {
+    super();
+    this.primary = primary;
+    this.fallback = fallback;
+    this.active = primary;
+    this.failedOver = false;
+
+    this.pendingText = '';
+    this.pendingClosed = false;
+    this.audioSinceStart = false;
+
+    for (const provider of [primary, fallback]) {
+      provider.on('audio_chunk', (base64) => {
+        if (provider !== this.active) return;
+        this.audioSinceStart = true;
+        this.emit('audio_chunk', base64);
+      });
+      provider.on('generation_complete', () => {
+        if (provider !== this.active) return;
+        this.emit('generation_complete');
+      });
+    }
+    primary.on('provider_error', (err) => {
+      this._failover(err).catch(failoverErr => logger.error(TAG, 'Failover failed:', failoverErr.message));
+    });
+    fallback.on('provider_error', (err) => {
+      logger.error(TAG, 'Fallback voice failed too:', err.message);
+      this.emit('provider_error', err);
+    });
+  }
+
+  get connected() {
+    return this.active ? this.active.connected : false;
+  }
+
+  set connected(value) {
+    // Connection state lives on the wrapped providers
+  }
+
+  async connect() {
+    return this._call('connect');
+  }
+
+  async sendText(text) {
+    this._startUtterance();
+    this.pendingText = text + ' ';
+    this.pendingClosed = true;
+    return this._call('sendText', text);
+  }
+
+  async sendTextChunk(chunk) {
+    if (this.pendingClosed) this._startUtterance();
+    this.pendingText += chunk;
+    return this._call('sendTextChunk', chunk);
+  }
+
+  async flush() {
+    return this._call('flush');
+  }
+
+  async closeStream() {
+    this.pendingClosed = true;
+    return this._call('closeStream');
+  }
+
+  interrupt() {
+    this._startUtterance();
+    this.active.interrupt();
+  }
+
+  disconnect() {
+    this.primary.disconnect();
+    this.fallback.disconnect();
+  }
+
+  _startUtterance() {
+    this.pendingText = '';
+    this.pendingClosed = false;
+    this.audioSinceStart = false;
+  }
+
+  async _call(method, ...args) {
+    const provider = this.active;
+    try {
+      await provider[method](...args);
+    } catch (err) {
+      if (provider !== this.primary) throw err;
+      logger.warn(TAG, `Primary voice ${method} failed (${err.message}) — retrying on the next call`);
+    }
+  }
+
+  async _failover(err) {
+    if (this.failedOver) return;
+    this.failedOver = true;
+    logger.warn(TAG, `Primary voice failed (${err.message}) — switching to local voice`);
+
+    this.primary.interrupt();
+    this.active = this.fallback;
+
+    try {
+      await this.fallback.connect();
+    } catch (connectErr) {
+      logger.error(TAG, 'Fallback voice unavailable:', connectErr.message);
+      this.emit('provider_error', connectErr);
+      return;
+    }
+
+    if (!this.pendingText.trim() || this.audioSinceStart) return;
+    logger.info(TAG, `Replaying ${this.pendingText.length} chars on fallback voice`);
+    try {
+      await this.fallback.sendTextChunk(this.pendingText);
+      if (this.pendingClosed) {
+        await this.fallback.flush();
+        await this.fallback.closeStream();
+      }
+    } catch (replayErr) {
+      logger.error(TAG, 'Replay on fallback voice failed:', replayErr.message);
+    }
+  }
+}
+
+module.exports = FailoverTTS;
@@ -6,8 +6,8 @@ const logger = require('../utils/logger');
 const TAG = 'Gemini';
 
 class GeminiImageService {
-  constructor(apiKey, model) {
-    this.genAI = new GoogleGenAI({ apiKey });
+  constructor(apiKey, model, { baseUrl = process.env.GEMINI_BASE_URL } = {}) {
+    this.genAI = new GoogleGenAI({ apiKey, httpOptions: baseUrl ? { baseUrl } : undefined });
     this.model = model || 'gemini-3-pro-image-preview';
   }
 
@@ -50,26 +50,6 @@ class GeminiImageService {
 
     return { filePath, base64Data, mimeType, relativePath };
   }
-
-  async generateReferenceImage(objectLabel, outputDir) {
-    const prompt = `Create a 2x2 grid showing a ${objectLabel} from 4 different angles (front, side, top, 3/4 view).
-Use a simple, clean 3D primitive shapes style - like basic geometric forms (cubes, cylinders, spheres) composed together.
-White/light gray background. Minimalist style suitable for a 3D modeling tutorial reference sheet.
-Label each view angle. The object should look like it's made from basic 3D primitives.`;
-
-    return this.generateImage(prompt, outputDir, 'reference.png');
-  }
-
-  async generateStepImage(objectLabel, subPiece, description, stepNumber, outputDir) {
-    const prompt = `Show step ${stepNumber} of building a ${objectLabel} in a 3D modeling style.
-This step focuses on: ${subPiece} - ${description}
-Show the progressive build state - what the model looks like at this point.
-Use simple 3D primitive shapes style (cubes, cylinders, spheres).
-Clean white/light gray background. Include a small label "Step ${stepNumber}: ${subPiece}".
-Minimalist, clear, instructional style.`;
-
-    return this.generateImage(prompt, outputDir, `step_${stepNumber}.png`);
-  }
 }
 
 module.exports = GeminiImageService;
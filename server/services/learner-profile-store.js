@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TAG = 'LearnerProfile';
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'output', 'learner-profile.json');
+const MAX_TUTORIALS = 50;
+const MAX_HOTKEYS = 100;
+const MAX_MISTAKES = 50;
+
+// How much of the profile goes into the tutor's system prompt
+const PROMPT_TUTORIALS = 5;
+const PROMPT_HOTKEYS = 15;
+const PROMPT_MISTAKES = 5;
+
+/**
+ * The local learner's profile, kept across sessions in
+ * output/learner-profile.json. Each tool has its own section:
+ *
+ *   skillLevel   the proficiency of their latest tutorial
+ *   sessions     how many sessions they have started
+ *   tutorials    finished tutorials { id, objectLabel, proficiency, totalSteps, skippedSteps, completedAt }
+ *   hotkeys      shortcuts shown to them or used in finished steps { keys, action, count, lastSeenAt }
+ *   mistakes     mistakes the tutor noted { mistake, count, lastSeenAt }
+ *
+ * Every record* method saves straight away and returns the updated profile.
+ */
+class LearnerProfileStore {
+  constructor(filePath = DEFAULT_PATH) {
+    this.filePath = filePath;
+  }
+
+  /** A tool's profile; an empty one for a tool the learner hasn't used yet. */
+  get(toolType) {
+    return { ...emptyProfile(), ...this._read().tools[toolType] };
+  }
+
+  recordSession(toolType) {
+    return this._update(toolType, (profile) => {
+      profile.sessions++;
+      profile.lastSessionAt = new Date().toISOString();
+    });
+  }
+
+  setSkillLevel(toolType, skillLevel) {
+    if (typeof skillLevel !== 'string' || !skillLevel) return this.get(toolType);
+    return this._update(toolType, (profile) => {
+      profile.skillLevel = skillLevel;
+    });
+  }
+
+  /** A finished tutorial, with the hotkeys of the steps the learner didn't skip. */
+  recordTutorial(toolType, tutorial) {
+    const id = tutorial.metadata.sessionId;
+    return this._update(toolType, (profile) => {
+      if (profile.tutorials.some(t => t.id === id)) return;
+      const done = tutorial.steps.filter(s => !s.skipped);
+      profile.tutorials.push({
+        id,
+        objectLabel: tutorial.objectLabel,
+        proficiency: tutorial.proficiency,
+        totalSteps: tutorial.totalSteps,
+        skippedSteps: tutorial.steps.length - done.length,
+        completedAt: new Date().toISOString()
+      });
+      profile.tutorials = profile.tutorials.slice(-MAX_TUTORIALS);
+      for (const hotkey of done.flatMap(s => s.hotkeys || [])) {
+        countEntry(profile.hotkeys, 'keys', hotkey.keys, { action: hotkey.action });
+      }
+      profile.hotkeys = mostRecent(profile.hotkeys, MAX_HOTKEYS);
+    });
+  }
+
+  recordHotkey(toolType, keys, action) {
+    if (typeof keys !== 'string' || !keys.trim()) return this.get(toolType);
+    return this._update(toolType, (profile) => {
+      countEntry(profile.hotkeys, 'keys', keys.trim(), { action });
+      profile.hotkeys = mostRecent(profile.hotkeys, MAX_HOTKEYS);
+    });
+  }
+
+  recordMistake(toolType, mistake) {
+    if (typeof mistake !== 'string' || !mistake.trim()) return this.get(toolType);
+    return this._update(toolType, (profile) => {
+      countEntry(profile.mistakes, 'mistake', mistake.trim());
+      profile.mistakes = mostRecent(profile.mistakes, MAX_MISTAKES);
+    });
+  }
+
+  _update(toolType, change) {
+    const data = this._read();
+    const profile = { ...emptyProfile(), ...data.tools[toolType] };
+    change(profile);
+    profile.updatedAt = new Date().toISOString();
+    data.tools[toolType] = profile;
+    this._write(data);
+    return profile;
+  }
+
+  _read() {
+    if (!fs.existsSync(this.filePath)) return { tools: {} };
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return { ...data, tools: data.tools || {} };
+    } catch (err) {
+      logger.error(TAG, 'Failed to read the learner profile:', err.message);
+      return { tools: {} };
+    }
+  }
+
+  _write(data) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    } catch (err) {
+      logger.error(TAG, 'Failed to save the learner profile:', err.message);
+    }
+  }
+
+  /**
+   * The profile as a system prompt block for the tutor, or '' for a learner
+   * with nothing recorded yet.
+   */
+  static buildPromptBlock(profile, toolName) {
+    if (!profile || (!profile.sessions && !profile.skillLevel && !profile.tutorials.length)) return '';
+
+    const lines = [`Returning learner: ${profile.sessions} earlier ${profile.sessions === 1 ? 'session' : 'sessions'} with ${toolName}.`];
+    if (profile.skillLevel) {
+      lines.push(`Skill level: ${profile.skillLevel}. Don't ask about their level again — use it as Create_Tutorial's proficiency unless they ask for something else or have clearly outgrown it.`);
+    }
+    if (profile.tutorials.length) {
+      const byLevel = {};
+      for (const t of profile.tutorials) byLevel[t.proficiency] = (byLevel[t.proficiency] || 0) + 1;
+      const recent = profile.tutorials.slice(-PROMPT_TUTORIALS).reverse()
+        .map(t => `${t.objectLabel} (${t.proficiency}${t.skippedSteps ? `, ${t.skippedSteps} skipped` : ''})`);
+      const counts = Object.entries(byLevel).map(([level, n]) => `${n} ${level}`).join(', ');
+      lines.push(`Finished tutorials: ${counts}. Most recent: ${recent.join('; ')}. Suggest something new rather than repeating these.`);
+    }
+    if (profile.hotkeys.length) {
+      const known = [...profile.hotkeys].sort((a, b) => b.count - a.count).slice(0, PROMPT_HOTKEYS)
+        .map(h => (h.action ? `${h.keys} (${h.action})` : h.keys));
+      lines.push(`Hotkeys they have already learned: ${known.join(', ')}. Mention these briefly instead of explaining them again.`);
+    }
+    const recurring = profile.mistakes.filter(m => m.count > 1);
+    if (recurring.length) {
+      const top = [...recurring].sort((a, b) => b.count - a.count).slice(0, PROMPT_MISTAKES)
+        .map(m => `${m.mistake} (${m.count}×)`);
+      lines.push(`Recurring mistakes: ${top.join('; ')}. Watch for these and warn them before they happen.`);
+    }
+    return `--- LEARNER PROFILE ---\n${lines.join('\n')}\n--- END LEARNER PROFILE ---`;
+  }
+}
+
+function emptyProfile() {
+  return { skillLevel: null, sessions: 0, lastSessionAt: null, tutorials: [], hotkeys: [], mistakes: [], updatedAt: null };
+}
+
+/** Count another sighting of `value`, matched case-insensitively on `key`. */
+function countEntry(list, key, value, fields = {}) {
+  const now = new Date().toISOString();
+  const existing = list.find(e => e[key].toLowerCase() === value.toLowerCase());
+  if (existing) {
+    existing.count++;
+    existing.lastSeenAt = now;
+    if (fields.action) existing.action = fields.action;
+  } else {
+    list.push({ [key]: value, ...fields, count: 1, lastSeenAt: now });
+  }
+}
+
+function mostRecent(list, max) {
+  return list.length > max
+    ? [...list].sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt)).slice(0, max)
+    : list;
+}
+
+module.exports = LearnerProfileStore;
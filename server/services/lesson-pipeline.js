@@ -0,0 +1,120 @@
+const logger = require('../utils/logger');
+
+const TAG = 'LessonPipeline';
+
+const DEFAULT_RETRIES = { reference: 0, analysis: 1, instructions: 1, images: 0, validation: 0 };
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+/**
+ * Runs lesson generation as a list of named phases. A phase is
+ *
+ *   { name, run(ctx, step, index), perStep?, optional?, skip?(ctx), fallback?(err, ctx, step, index) }
+ *
+ * Tutorial-wide phases run one after another. Consecutive `perStep` phases
+ * run as a group for every step of `ctx.tutorial` at once — the phases of one
+ * step side by side — and whatever object a phase returns is merged into the
+ * step. `onOutline` fires before the first step group, `onStep` as each step
+ * finishes its group.
+ *
+ * A failing phase is retried (`retries[name]` extra attempts). If it still
+ * fails, an optional phase carries on without it and a `fallback` supplies
+ * the phase's result instead (or rethrows); any other phase fails the whole
+ * run with the phase's error, tagged with `phase` (and `stepNumber` for
+ * per-step phases). Every attempt is timed into `ctx.metrics`.
+ */
+class LessonPipeline {
+  constructor(phases, { tag = TAG, retries = {}, retryDelayMs = DEFAULT_RETRY_DELAY_MS } = {}) {
+    this.phases = phases;
+    this.tag = tag;
+    this.retries = { ...DEFAULT_RETRIES, ...retries };
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  async run(ctx, { onOutline, onStep } = {}) {
+    const startedAt = Date.now();
+    ctx.metrics = { phases: {}, totalMs: 0 };
+
+    for (let i = 0; i < this.phases.length; i++) {
+      const phase = this.phases[i];
+      if (!phase.perStep) {
+        if (phase.skip?.(ctx)) continue;
+        const result = await this._runPhase(phase, ctx);
+        if (result && typeof result === 'object') Object.assign(ctx, result);
+        continue;
+      }
+
+      // Group this phase with the per-step phases right after it
+      const group = [];
+      while (i < this.phases.length && this.phases[i].perStep) group.push(this.phases[i++]);
+      i--;
+
+      const active = group.filter(p => !p.skip?.(ctx));
+      onOutline?.({ ...ctx.tutorial, steps: [...ctx.tutorial.steps] });
+      ctx.tutorial.steps = await Promise.all(ctx.tutorial.steps.map(async (outline, index) => {
+        const results = await Promise.all(active.map(p => this._runPhase(p, ctx, outline, index)));
+        const step = Object.assign({ ...outline }, ...results.filter(Boolean));
+        delete step.pending;
+        onStep?.(step);
+        return step;
+      }));
+    }
+
+    ctx.metrics.totalMs = Date.now() - startedAt;
+    logger.info(this.tag, `Timings — ${LessonPipeline.formatMetrics(ctx.metrics)}`);
+    return ctx;
+  }
+
+  async _runPhase(phase, ctx, step, index) {
+    const label = step ? `${phase.name} (step ${step.stepNumber})` : phase.name;
+    const attempts = 1 + (this.retries[phase.name] || 0);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const result = await phase.run(ctx, step, index);
+        this._record(ctx, phase.name, Date.now() - startedAt, true);
+        return result;
+      } catch (err) {
+        this._record(ctx, phase.name, Date.now() - startedAt, false);
+        lastError = err;
+        logger.warn(this.tag, `Phase ${label} failed (attempt ${attempt}/${attempts}):`, err.message);
+        if (attempt < attempts && this.retryDelayMs) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * attempt));
+        }
+      }
+    }
+
+    if (phase.fallback) {
+      logger.error(this.tag, `Phase ${label} gave up — using its fallback`);
+      return phase.fallback(lastError, ctx, step, index);
+    }
+    if (phase.optional) {
+      logger.error(this.tag, `Phase ${label} gave up — continuing without it`);
+      return null;
+    }
+    throw Object.assign(lastError, { phase: phase.name, ...(step && { stepNumber: step.stepNumber }) });
+  }
+
+  _record(ctx, name, ms, ok) {
+    const entry = ctx.metrics.phases[name] || (ctx.metrics.phases[name] = { attempts: 0, failures: 0, totalMs: 0, maxMs: 0 });
+    entry.attempts++;
+    if (!ok) entry.failures++;
+    entry.totalMs += ms;
+    entry.maxMs = Math.max(entry.maxMs, ms);
+  }
+
+  /** One-line summary, e.g. "analysis 4.1s · instructions 4×, max 6.0s · total 12.3s". */
+  static formatMetrics({ phases, totalMs }) {
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+    const parts = Object.entries(phases).map(([name, m]) => {
+      const failed = m.failures ? `, ${m.failures} failed` : '';
+      return m.attempts > 1
+        ? `${name} ${m.attempts}×, max ${seconds(m.maxMs)}${failed}`
+        : `${name} ${seconds(m.totalMs)}${failed}`;
+    });
+    return [...parts, `total ${seconds(totalMs)}`].join(' · ');
+  }
+}
+
+module.exports = LessonPipeline;
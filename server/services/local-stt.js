@@ -0,0 +1,215 @@
+const { spawn } = require('child_process');
+const STTProvider = require('./stt-provider');
+const logger = require('../utils/logger');
+
+const TAG = 'LocalSTT';
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000; // 16-bit mono
+
+/**
+ * Offline speech-to-text. Utterances are segmented in-process with an
+ * energy-based VAD; each utterance is streamed as raw 16 kHz s16le PCM to the
+ * stdin of a recognizer process (`LOCAL_STT_COMMAND`, e.g. a whisper.cpp or
+ * Vosk wrapper script), and stdin is closed when the speaker goes quiet.
+ * A `{lang}` placeholder in the command is replaced with the session language.
+ *
+ * Recognizer stdout is read line by line:
+ *   {"partial": "..."}   -> partial_transcript
+ *   {"text": "..."}      -> committed_transcript, emitted as soon as the line arrives
+ *   any other line       -> buffered, committed as one transcript when the process exits
+ */
+class LocalSTT extends STTProvider {
+  constructor({
+    command = process.env.LOCAL_STT_COMMAND,
+    languageCode = 'en',
+    energyThreshold = parseFloat(process.env.LOCAL_STT_ENERGY_THRESHOLD || '0.015'),
+    silenceMs = 300,
+    minSpeechMs = 150,
+    preRollMs = 200
+  } = {}) {
+    super();
+    this.command = command;
+    this.languageCode = languageCode;
+    this.energyThreshold = energyThreshold;
+    this.silenceMs = silenceMs;
+    this.minSpeechMs = minSpeechMs;
+    this.preRollBytes = preRollMs * BYTES_PER_MS;
+
+    this.preRoll = [];
+    this.preRollSize = 0;
+    this.inSpeech = false;
+    this.speechMs = 0;
+    this.silentMs = 0;
+    this.utterance = null;
+    // Every recognizer process not yet exited: ended utterances are still being transcribed
+    this.running = new Set();
+  }
+
+  connect() {
+    if (this.connected) {
+      logger.debug(TAG, 'Already connected, skipping');
+      return;
+    }
+    if (!this.command) {
+      logger.error(TAG, 'LOCAL_STT_COMMAND is not set — local speech recognition disabled');
+      return;
+    }
+    this.connected = true;
+    logger.info(TAG, `Ready (command: ${this.command}, threshold ${this.energyThreshold})`);
+  }
+
+  sendAudio(base64Audio) {
+    if (!this.connected) return;
+
+    const pcm = Buffer.from(base64Audio, 'base64');
+    const chunkMs = pcm.length / BYTES_PER_MS;
+    const voiced = this._rms(pcm) >= this.energyThreshold;
+
+    if (!this.inSpeech) {
+      this._pushPreRoll(pcm);
+      if (!voiced) {
+        this.speechMs = 0;
+        return;
+      }
+      this.speechMs += chunkMs;
+      if (this.speechMs < this.minSpeechMs) return;
+
+      this.inSpeech = true;
+      this.silentMs = 0;
+      this._startUtterance(Buffer.concat(this.preRoll));
+      this.preRoll = [];
+      this.preRollSize = 0;
+      return;
+    }
+
+    this._writeUtterance(pcm);
+    this.silentMs = voiced ? 0 : this.silentMs + chunkMs;
+    if (this.silentMs >= this.silenceMs) {
+      this.inSpeech = false;
+      this.speechMs = 0;
+      this._endUtterance();
+    }
+  }
+
+  disconnect() {
+    this.connected = false;
+    this.inSpeech = false;
+    this.preRoll = [];
+    this.preRollSize = 0;
+    this.utterance = null;
+    if (this.running.size) {
+      logger.info(TAG, `Disconnecting — discarding ${this.running.size} in-flight utterance(s)`);
+      for (const utterance of this.running) {
+        utterance.discarded = true;
+        utterance.proc.kill();
+      }
+      this.running.clear();
+    }
+  }
+
+  /** Normalized RMS energy (0..1) of a little-endian s16 buffer. */
+  _rms(pcm) {
+    const samples = Math.floor(pcm.length / 2);
+    if (samples === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+      const s = pcm.readInt16LE(i * 2) / 32768;
+      sum += s * s;
+    }
+    return Math.sqrt(sum / samples);
+  }
+
+  _pushPreRoll(pcm) {
+    this.preRoll.push(pcm);
+    this.preRollSize += pcm.length;
+    while (this.preRollSize > this.preRollBytes && this.preRoll.length > 1) {
+      this.preRollSize -= this.preRoll.shift().length;
+    }
+  }
+
+  _startUtterance(initialPcm) {
+    logger.debug(TAG, 'Speech started');
+
+    const command = this.command.replace(/\{lang\}/g, this.languageCode);
+    const proc = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+    const utterance = { proc, text: '', stdoutBuffer: '', discarded: false };
+    this.utterance = utterance;
+    this.running.add(utterance);
+
+    proc.stdin.on('error', (err) => {
+      logger.debug(TAG, 'Recognizer stdin closed:', err.message);
+    });
+
+    proc.stdout.on('data', (data) => {
+      utterance.stdoutBuffer += data.toString();
+      const lines = utterance.stdoutBuffer.split('\n');
+      utterance.stdoutBuffer = lines.pop();
+      for (const line of lines) this._handleLine(utterance, line);
+    });
+
+    proc.stderr.on('data', (data) => {
+      logger.debug(TAG, `Recognizer: ${data.toString().trim()}`);
+    });
+
+    proc.on('error', (err) => {
+      logger.error(TAG, 'Failed to start recognizer:', err.message);
+    });
+
+    proc.on('close', (code) => {
+      if (utterance.stdoutBuffer) this._handleLine(utterance, utterance.stdoutBuffer);
+      if (this.utterance === utterance) this.utterance = null;
+      this.running.delete(utterance);
+      if (utterance.discarded) return;
+
+      if (code !== 0) {
+        logger.warn(TAG, `Recognizer exited with code ${code}`);
+      }
+      const text = utterance.text.trim();
+      if (text) {
+        logger.info(TAG, `Committed: "${text}"`);
+        this.emit('committed_transcript', text);
+      }
+    });
+
+    this._writeUtterance(initialPcm);
+  }
+
+  _writeUtterance(pcm) {
+    const proc = this.utterance?.proc;
+    if (!proc || !proc.stdin.writable) return;
+    proc.stdin.write(pcm);
+  }
+
+  _endUtterance() {
+    logger.debug(TAG, 'Speech ended');
+    const proc = this.utterance?.proc;
+    if (proc && proc.stdin.writable) proc.stdin.end();
+  }
+
+  _handleLine(utterance, line) {
+    const trimmed = line.trim();
+    if (!trimmed || utterance.discarded) return;
+
+    let msg = null;
+    try {
+      msg = JSON.parse(trimmed);
+    } catch {
+      // Plain-text recognizer output
+    }
+
+    if (msg && typeof msg.partial === 'string') {
+      if (msg.partial) this.emit('partial_transcript', msg.partial);
+    } else if (msg && typeof msg.text === 'string') {
+      const text = msg.text.trim();
+      if (text) {
+        logger.info(TAG, `Committed: "${text}"`);
+        this.emit('committed_transcript', text);
+      }
+    } else {
+      utterance.text += (utterance.text ? ' ' : '') + trimmed;
+    }
+  }
+}
+
+module.exports = LocalSTT;
@@ -0,0 +1,195 @@
+const { spawn } = require('child_process');
+const TTSProvider = require('./tts-provider');
+const logger = require('../utils/logger');
+
+const TAG = 'LocalTTS';
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const OUTPUT_CHUNK_BYTES = OUTPUT_SAMPLE_RATE * 2 / 10; // 100ms per audio_chunk
+
+/**
+ * Offline text-to-speech through a local engine such as Piper or espeak-ng.
+ * Streamed chunks are buffered into sentences; each sentence is written to the
+ * stdin of `LOCAL_TTS_COMMAND` and its stdout is read as audio — either a WAV
+ * file (espeak-ng --stdout) or raw s16le mono PCM at LOCAL_TTS_SAMPLE_RATE
+ * (Piper --output-raw). Audio is resampled to 24 kHz to match ElevenLabs.
+ *
+ * Sentences are synthesized one at a time, in order. A `{lang}` placeholder in
+ * the command is replaced with the session language (e.g. `espeak-ng -v {lang}`).
+ */
+class LocalTTS extends TTSProvider {
+  constructor({
+    command = process.env.LOCAL_TTS_COMMAND,
+    languageCode = 'en',
+    sampleRate = parseInt(process.env.LOCAL_TTS_SAMPLE_RATE || '22050', 10)
+  } = {}) {
+    super();
+    this.command = command;
+    this.languageCode = languageCode;
+    this.sampleRate = sampleRate;
+
+    this.buffer = '';
+    this.queue = Promise.resolve();
+    this.generation = 0;
+    this.currentProc = null;
+  }
+
+  async connect() {
+    if (this.connected) return;
+    if (!this.command) {
+      throw new Error('LOCAL_TTS_COMMAND is not set');
+    }
+    this.connected = true;
+    logger.info(TAG, `Ready (command: ${this.command})`);
+  }
+
+  async sendText(text) {
+    this.buffer += text + ' ';
+    await this.flush();
+    await this.closeStream();
+    await this.queue;
+  }
+
+  async sendTextChunk(chunk) {
+    this.buffer += chunk;
+
+    const sentenceEnd = /[.!?]\s/g;
+    let lastEnd = -1;
+    let match;
+    while ((match = sentenceEnd.exec(this.buffer))) {
+      lastEnd = match.index + match[0].length;
+    }
+    if (lastEnd > 0) {
+      this._enqueue(this.buffer.substring(0, lastEnd));
+      this.buffer = this.buffer.substring(lastEnd);
+    }
+  }
+
+  async flush() {
+    if (this.buffer.trim()) this._enqueue(this.buffer);
+    this.buffer = '';
+  }
+
+  async closeStream() {
+    const generation = this.generation;
+    this.queue = this.queue.then(() => {
+      if (generation !== this.generation) return;
+      logger.debug(TAG, 'Generation complete');
+      this.emit('generation_complete');
+    });
+  }
+
+  interrupt() {
+    logger.info(TAG, 'Interrupting - dropping queued speech');
+    this.generation++;
+    this.buffer = '';
+    if (this.currentProc) {
+      this.currentProc.kill();
+      this.currentProc = null;
+    }
+  }
+
+  disconnect() {
+    this.interrupt();
+    this.connected = false;
+  }
+
+  _enqueue(text) {
+    const generation = this.generation;
+    this.queue = this.queue
+      .then(() => {
+        if (generation !== this.generation) return;
+        return this._synthesize(text.trim(), generation);
+      })
+      .catch(err => {
+        logger.error(TAG, 'Synthesis failed:', err.message);
+      });
+  }
+
+  _synthesize(text, generation) {
+    if (!text) return Promise.resolve();
+    logger.debug(TAG, `Synthesizing: "${text.substring(0, 50)}..."`);
+
+    return new Promise((resolve, reject) => {
+      const command = this.command.replace(/\{lang\}/g, this.languageCode);
+      const proc = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+      this.currentProc = proc;
+      const chunks = [];
+
+      proc.stdout.on('data', (data) => chunks.push(data));
+      proc.stderr.on('data', (data) => {
+        logger.debug(TAG, `Engine: ${data.toString().trim()}`);
+      });
+      proc.stdin.on('error', (err) => {
+        logger.debug(TAG, 'Engine stdin closed:', err.message);
+      });
+      proc.on('error', reject);
+
+      proc.on('close', (code) => {
+        if (this.currentProc === proc) this.currentProc = null;
+        if (generation !== this.generation) return resolve();
+        if (code !== 0) return reject(new Error(`Engine exited with code ${code}`));
+
+        const pcm = this._toOutputPcm(Buffer.concat(chunks));
+        for (let offset = 0; offset < pcm.length; offset += OUTPUT_CHUNK_BYTES) {
+          this.emit('audio_chunk', pcm.subarray(offset, offset + OUTPUT_CHUNK_BYTES).toString('base64'));
+        }
+        resolve();
+      });
+
+      proc.stdin.end(text + '\n');
+    });
+  }
+
+  /** WAV or raw s16le mono → 24 kHz s16le mono. */
+  _toOutputPcm(audio) {
+    let pcm = audio;
+    let rate = this.sampleRate;
+
+    if (audio.length >= 12 && audio.toString('ascii', 0, 4) === 'RIFF' && audio.toString('ascii', 8, 12) === 'WAVE') {
+      const wav = this._parseWav(audio);
+      pcm = wav.data;
+      rate = wav.sampleRate;
+    }
+
+    return rate === OUTPUT_SAMPLE_RATE ? pcm : this._resample(pcm, rate, OUTPUT_SAMPLE_RATE);
+  }
+
+  _parseWav(buf) {
+    let sampleRate = this.sampleRate;
+    let offset = 12;
+    while (offset + 8 <= buf.length) {
+      const id = buf.toString('ascii', offset, offset + 4);
+      let size = buf.readUInt32LE(offset + 4);
+      const body = offset + 8;
+      if (id === 'fmt ') {
+        sampleRate = buf.readUInt32LE(body + 4);
+      } else if (id === 'data') {
+        // Streaming writers (espeak --stdout) leave the size as 0 or 0xFFFFFFFF
+        if (size === 0 || body + size > buf.length) size = buf.length - body;
+        return { sampleRate, data: buf.subarray(body, body + size) };
+      }
+      offset = body + size + (size % 2);
+    }
+    return { sampleRate, data: Buffer.alloc(0) };
+  }
+
+  _resample(pcm, fromRate, toRate) {
+    const inSamples = Math.floor(pcm.length / 2);
+    const outSamples = Math.floor(inSamples * toRate / fromRate);
+    const out = Buffer.alloc(outSamples * 2);
+    const ratio = fromRate / toRate;
+
+    for (let i = 0; i < outSamples; i++) {
+      const pos = i * ratio;
+      const idx = Math.floor(pos);
+      const frac = pos - idx;
+      const a = pcm.readInt16LE(Math.min(idx, inSamples - 1) * 2);
+      const b = pcm.readInt16LE(Math.min(idx + 1, inSamples - 1) * 2);
+      out.writeInt16LE(Math.round(a + (b - a) * frac), i * 2);
+    }
+    return out;
+  }
+}
+
+module.exports = LocalTTS;
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+const TAG = 'SessionRecorder';
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'output', 'sessions');
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+// Events are batched into one write at most this often; finish() writes at once
+const SAVE_INTERVAL_MS = 2000;
+
+/**
+ * Records what happens in one live session — user and coach turns, tool
+ * calls, tutorials, step changes and hotkeys — as timestamped events, and
+ * writes the record to output/sessions/<id>.json so it outlives
+ * LiveAIModule.destroy(). Writes are batched (SAVE_INTERVAL_MS) to keep the
+ * event loop free during a live session; finish() flushes the rest.
+ * transcript-exporter.js renders it.
+ */
+class SessionRecorder {
+  constructor({ toolType, toolName, language }, rootDir = DEFAULT_ROOT) {
+    this.rootDir = rootDir;
+    this.session = {
+      id: uuidv4().slice(0, 8),
+      toolType,
+      toolName,
+      language,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      tutorials: [],
+      events: []
+    };
+    this.saveTimer = null;
+  }
+
+  get id() {
+    return this.session.id;
+  }
+
+  static filePath(id, rootDir = DEFAULT_ROOT) {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(rootDir, `${id}.json`);
+  }
+
+  static load(id, rootDir = DEFAULT_ROOT) {
+    let filePath;
+    try {
+      filePath = SessionRecorder.filePath(id, rootDir);
+    } catch (err) {
+      return null;
+    }
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      logger.error(TAG, `Failed to read session ${id}:`, err.message);
+      return null;
+    }
+  }
+
+  recordUserTurn(text, source = 'voice') {
+    this._record({ type: 'user', text, source });
+  }
+
+  recordAgentTurn(text, { recurring = false, interrupted = false } = {}) {
+    if (!text.trim()) return;
+    this._record({ type: 'agent', text, recurring, interrupted });
+  }
+
+  recordToolCall(name, input, result) {
+    this._record({ type: 'tool_call', name, input, ok: !result?.error, error: result?.error || null });
+  }
+
+  recordTutorial(tutorial, { resumed = false } = {}) {
+    const id = tutorial.metadata.sessionId;
+    if (!this.session.tutorials.some(t => t.id === id)) {
+      this.session.tutorials.push(this._tutorialEntry(tutorial));
+    }
+    this._record({ type: 'tutorial', tutorialId: id, objectLabel: tutorial.objectLabel, totalSteps: tutorial.totalSteps, resumed });
+  }
+
+  /** Keep the recorded step list in line with an edited tutorial (see utils/tutorial-edits.js). */
+  recordTutorialEdit(tutorial, edit) {
+    const id = tutorial.metadata.sessionId;
+    const entry = this._tutorialEntry(tutorial);
+    const index = this.session.tutorials.findIndex(t => t.id === id);
+    if (index === -1) this.session.tutorials.push(entry);
+    else this.session.tutorials[index] = entry;
+
+    const stepNumber = edit.stepNumber || edit.step?.stepNumber || null;
+    this._record({ type: 'tutorial_edit', tutorialId: id, action: edit.action, stepNumber, totalSteps: tutorial.totalSteps });
+  }
+
+  recordStepChange(previousStep, currentStep, title) {
+    this._record({ type: 'step', previousStep, currentStep, title });
+  }
+
+  recordHotkey(keyCombo, description) {
+    this._record({ type: 'hotkey', keyCombo, description });
+  }
+
+  _tutorialEntry(tutorial) {
+    return {
+      id: tutorial.metadata.sessionId,
+      objectLabel: tutorial.objectLabel,
+      proficiency: tutorial.proficiency,
+      totalSteps: tutorial.totalSteps,
+      referenceImagePath: tutorial.referenceImagePath,
+      steps: tutorial.steps.map(s => ({
+        stepNumber: s.stepNumber,
+        title: s.title,
+        instruction: s.instruction,
+        imagePath: s.imagePath,
+        skipped: s.skipped || undefined
+      }))
+    };
+  }
+
+  finish() {
+    this.session.endedAt = new Date().toISOString();
+    this._save();
+  }
+
+  _record(event) {
+    this.session.events.push({ at: new Date().toISOString(), ...event });
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this._save(), SAVE_INTERVAL_MS);
+    this.saveTimer.unref?.();
+  }
+
+  _save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      const filePath = SessionRecorder.filePath(this.session.id, this.rootDir);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(this.session, null, 2));
+    } catch (err) {
+      logger.error(TAG, `Failed to save session ${this.session.id}:`, err.message);
+    }
+  }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,118 @@
+const logger = require('../utils/logger');
+const { describeStep } = require('../utils/tutorial-steps');
+
+const TAG = 'StepVerifier';
+
+const SYSTEM_PROMPT = `You check a learner's screen against one step of a software tutorial. You will see the tutorial's reference image (what the finished result looks like), the step's own illustration if there is one, and a fresh screenshot of the learner's screen.
+
+Judge each completion criterion only by what is visible in the screenshot. A criterion is met when the screenshot clearly shows it; if it is hidden, ambiguous or only partly done, it is not met — say what you would need to see in the note. Later steps of the tutorial are not expected yet, so ignore anything the reference image shows beyond this step. Always answer with the Report_Step_Check tool.`;
+
+const REPORT_TOOL = {
+  name: 'Report_Step_Check',
+  description: 'Report which completion criteria of the tutorial step are met on the learner\'s screen.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      criteria: {
+        type: 'array',
+        description: 'One entry per completion criterion, in the order given',
+        items: {
+          type: 'object',
+          properties: {
+            criterion: { type: 'string' },
+            met: { type: 'boolean' },
+            note: { type: 'string', description: 'What in the screenshot shows it is met, or what is missing' }
+          },
+          required: ['criterion', 'met']
+        }
+      },
+      summary: {
+        type: 'string',
+        description: 'One sentence for the coach: what is done and what is still missing'
+      }
+    },
+    required: ['criteria', 'summary']
+  }
+};
+
+/**
+ * Checks whether the learner finished a tutorial step by comparing a
+ * screenshot with the step's completion criteria (written by the lesson
+ * creator) and the tutorial's reference image, using a forced tool call so
+ * the answer is always a structured checklist. Tutorials generated before
+ * criteria existed fall back to criteria derived from the instruction.
+ */
+class StepVerifier {
+  constructor(claude, { model } = {}) {
+    this.claude = claude;
+    this.model = model;
+  }
+
+  /**
+   * `screenshot` is a base64 JPEG; `referenceImage` / `stepImage` are optional
+   * { data, mediaType }. Resolves with { complete, criteria, summary }, or
+   * { error } if the check itself could not be made.
+   */
+  async verify({ tutorial, stepIndex, screenshot, referenceImage, stepImage, screenLabel = 'screen' }) {
+    const step = tutorial?.steps?.[stepIndex];
+    if (!step) return { error: `No step ${stepIndex + 1} in this tutorial` };
+    if (!screenshot) return { error: 'No screenshot to check' };
+
+    const content = [];
+    if (referenceImage) {
+      content.push({ type: 'text', text: `Reference image — the finished ${tutorial.objectLabel}:` });
+      content.push(imageBlock(referenceImage));
+    }
+    if (stepImage) {
+      content.push({ type: 'text', text: `Illustration of the result of step ${step.stepNumber}:` });
+      content.push(imageBlock(stepImage));
+    }
+    content.push({ type: 'text', text: `The learner's ${screenLabel} now:` });
+    content.push(imageBlock({ data: screenshot, mediaType: 'image/jpeg' }));
+    content.push({ type: 'text', text: buildPrompt(tutorial, step) });
+
+    try {
+      const response = await this.claude.getResponse(
+        SYSTEM_PROMPT,
+        [{ role: 'user', content }],
+        [REPORT_TOOL],
+        [],
+        { model: this.model, toolChoice: { type: 'tool', name: REPORT_TOOL.name } }
+      );
+      const report = response.content.find(c => c.type === 'tool_use' && c.name === REPORT_TOOL.name)?.input;
+      if (!Array.isArray(report?.criteria) || report.criteria.length === 0) {
+        return { error: 'The verification response had no checklist' };
+      }
+
+      const criteria = report.criteria.map(c => ({
+        criterion: String(c.criterion || ''),
+        met: c.met === true,
+        note: c.note || ''
+      }));
+      const complete = criteria.every(c => c.met);
+      logger.info(TAG, `Step ${step.stepNumber}: ${criteria.filter(c => c.met).length}/${criteria.length} criteria met`);
+      return { complete, criteria, summary: report.summary || '' };
+    } catch (err) {
+      logger.error(TAG, `Step ${step.stepNumber} check failed:`, err.message);
+      return { error: err.message };
+    }
+  }
+}
+
+function buildPrompt(tutorial, step) {
+  const criteria = step.completionCriteria?.length
+    ? `Completion criteria:\n${step.completionCriteria.map((c, i) => `${i + 1}. ${c}`).join('\n')}`
+    : 'This step has no written completion criteria. Derive 2-4 visible criteria from the instruction and check those.';
+
+  return `[STEP_VERIFICATION] Tutorial: ${tutorial.objectLabel}, step ${step.stepNumber} of ${tutorial.totalSteps} — "${step.title}".
+
+${describeStep({ ...step, completionCriteria: [] })}
+
+${criteria}`;
+}
+
+function imageBlock({ data, mediaType }) {
+  return { type: 'image', source: { type: 'base64', media_type: mediaType || 'image/png', data } };
+}
+
+module.exports = StepVerifier;
@@ -0,0 +1,55 @@
+const EventEmitter = require('events');
+
+/**
+ * Base class for speech-to-text backends. Implementations receive base64
+ * 16 kHz mono PCM via sendAudio() and emit:
+ *   partial_transcript    (text)  interim hypothesis for the current utterance
+ *   committed_transcript  (text)  final text once the utterance has ended
+ *
+ * `connected` must be true once the backend is ready to accept audio.
+ */
+class STTProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = false;
+  }
+
+  connect() {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  sendAudio() {
+    throw new Error(`${this.constructor.name} must implement sendAudio()`);
+  }
+
+  disconnect() {
+    throw new Error(`${this.constructor.name} must implement disconnect()`);
+  }
+
+  /** ISO 639-1 code of the spoken language; takes effect on the next connect(). */
+  setLanguage(code) {
+    this.languageCode = code;
+  }
+
+  /**
+   * Build the provider named by `name` (falls back to STT_PROVIDER, then
+   * "elevenlabs"). Providers are required lazily so an offline install never
+   * loads the ElevenLabs client and vice versa.
+   */
+  static create(name = process.env.STT_PROVIDER, options = {}) {
+    switch (name || 'elevenlabs') {
+      case 'elevenlabs': {
+        const ElevenLabsSTT = require('./elevenlabs-stt');
+        return new ElevenLabsSTT(options.apiKey || process.env.ELEVENLABS_API_KEY, options);
+      }
+      case 'local': {
+        const LocalSTT = require('./local-stt');
+        return new LocalSTT(options);
+      }
+      default:
+        throw new Error(`Unknown STT provider: ${name}`);
+    }
+  }
+}
+
+module.exports = STTProvider;
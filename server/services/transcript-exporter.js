@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TAG = 'TranscriptExporter';
+const OUTPUT_ROOT = path.join(__dirname, '..', '..', 'output');
+
+/**
+ * Renders a recorded session (see session-recorder.js) as Markdown or as a
+ * self-contained, printable HTML recap with tutorial images inlined.
+ */
+
+function formatTime(iso) {
+  return new Date(iso).toISOString().slice(11, 19);
+}
+
+function formatDuration(session) {
+  const end = session.endedAt || session.events[session.events.length - 1]?.at || session.startedAt;
+  const minutes = Math.round((new Date(end) - new Date(session.startedAt)) / 60000);
+  return minutes < 1 ? 'under a minute' : `${minutes} min`;
+}
+
+function uniqueHotkeys(session) {
+  const seen = new Map();
+  for (const e of session.events) {
+    if (e.type === 'hotkey' && !seen.has(e.keyCombo)) seen.set(e.keyCombo, e.description);
+  }
+  return [...seen].map(([keyCombo, description]) => ({ keyCombo, description }));
+}
+
+function eventLine(e) {
+  switch (e.type) {
+    case 'user':
+      return { who: 'You', text: e.text };
+    case 'agent':
+      return { who: 'Coach', text: e.text + (e.interrupted ? ' …' : '') };
+    case 'tutorial':
+      return { note: `${e.resumed ? 'Resumed' : 'Created'} tutorial: ${e.objectLabel} (${e.totalSteps} steps)` };
+    case 'step':
+      return { note: `Step ${e.previousStep} → ${e.currentStep}${e.title ? `: ${e.title}` : ''}` };
+    case 'tutorial_edit':
+      return { note: `Tutorial edited (${e.action}${e.stepNumber ? ` step ${e.stepNumber}` : ''}), now ${e.totalSteps} steps` };
+    case 'hotkey':
+      return { note: `Hotkey ${e.keyCombo} — ${e.description}` };
+    case 'tool_call':
+      return e.ok ? null : { note: `${e.name} failed: ${e.error}` };
+    default:
+      return null;
+  }
+}
+
+function toMarkdown(session) {
+  const lines = [
+    `# ${session.toolName || session.toolType} session recap`,
+    '',
+    `**Date:** ${session.startedAt.slice(0, 10)} · **Duration:** ${formatDuration(session)} · **Language:** ${session.language}`,
+    ''
+  ];
+
+  for (const tutorial of session.tutorials) {
+    lines.push(`## Tutorial: ${tutorial.objectLabel}`, '', `${tutorial.totalSteps} steps · ${tutorial.proficiency}`, '');
+    if (tutorial.referenceImagePath) lines.push(`![Reference](${tutorial.referenceImagePath})`, '');
+    for (const step of tutorial.steps) {
+      lines.push(`### Step ${step.stepNumber}: ${step.title}${step.skipped ? ' (skipped)' : ''}`, '');
+      if (step.imagePath) lines.push(`![Step ${step.stepNumber}](${step.imagePath})`, '');
+      if (step.instruction) lines.push(step.instruction, '');
+    }
+  }
+
+  const hotkeys = uniqueHotkeys(session);
+  if (hotkeys.length > 0) {
+    lines.push('## Hotkeys', '');
+    hotkeys.forEach(h => lines.push(`- \`${h.keyCombo}\` — ${h.description}`));
+    lines.push('');
+  }
+
+  lines.push('## Transcript', '');
+  for (const e of session.events) {
+    const line = eventLine(e);
+    if (!line) continue;
+    lines.push(line.who
+      ? `**[${formatTime(e.at)}] ${line.who}:** ${line.text}`
+      : `_[${formatTime(e.at)}] ${line.note}_`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function imageMediaType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' : `image/${ext.slice(1) || 'png'}`;
+}
+
+/** Inline an /output/... image as a data URI so the recap works offline. */
+function imageDataUri(urlPath, outputRoot) {
+  if (!urlPath || !urlPath.startsWith('/output/')) return null;
+  const filePath = path.join(outputRoot, urlPath.slice('/output/'.length));
+  const relative = path.relative(outputRoot, filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative) || !fs.existsSync(filePath)) return null;
+  try {
+    return `data:${imageMediaType(filePath)};base64,${fs.readFileSync(filePath).toString('base64')}`;
+  } catch (err) {
+    logger.warn(TAG, `Could not inline ${urlPath}:`, err.message);
+    return null;
+  }
+}
+
+function imageHtml(urlPath, alt, outputRoot) {
+  const src = imageDataUri(urlPath, outputRoot);
+  return src ? `<img src="${src}" alt="${escapeHtml(alt)}">` : '';
+}
+
+function multiline(text) {
+  return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+/** `outputRoot` is where /output/... image paths are read from. */
+function toHTML(session, { outputRoot = OUTPUT_ROOT } = {}) {
+  const title = `${session.toolName || session.toolType} session recap`;
+
+  const tutorials = session.tutorials.map(tutorial => `
+    <section class="tutorial">
+      <h2>Tutorial: ${escapeHtml(tutorial.objectLabel)}</h2>
+      <p class="meta">${tutorial.totalSteps} steps · ${escapeHtml(tutorial.proficiency)}</p>
+      ${imageHtml(tutorial.referenceImagePath, 'Reference', outputRoot)}
+      ${tutorial.steps.map(step => `
+        <div class="step">
+          <h3>Step ${step.stepNumber}: ${escapeHtml(step.title)}${step.skipped ? ' (skipped)' : ''}</h3>
+          ${imageHtml(step.imagePath, `Step ${step.stepNumber}`, outputRoot)}
+          ${step.instruction ? `<p>${multiline(step.instruction)}</p>` : ''}
+        </div>`).join('')}
+    </section>`).join('');
+
+  const hotkeys = uniqueHotkeys(session);
+  const hotkeyHtml = hotkeys.length === 0 ? '' : `
+    <section>
+      <h2>Hotkeys</h2>
+      <ul>${hotkeys.map(h => `<li><kbd>${escapeHtml(h.keyCombo)}</kbd> ${escapeHtml(h.description)}</li>`).join('')}</ul>
+    </section>`;
+
+  const transcript = session.events.map(e => {
+    const line = eventLine(e);
+    if (!line) return '';
+    const time = `<span class="time">${formatTime(e.at)}</span>`;
+    return line.who
+      ? `<p class="turn ${line.who === 'You' ? 'user' : 'agent'}">${time}<strong>${line.who}:</strong> ${multiline(line.text)}</p>`
+      : `<p class="note">${time}${escapeHtml(line.note)}</p>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(session.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 760px; margin: 40px auto; padding: 0 24px; color: #1c1917; line-height: 1.5; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #78716c; margin-top: 0; }
+  img { max-width: 100%; border-radius: 8px; margin: 8px 0; }
+  .step { break-inside: avoid; margin-bottom: 24px; }
+  kbd { background: #f5f5f4; border: 1px solid #d6d3d1; border-radius: 4px; padding: 1px 6px; font-size: 0.9em; }
+  .turn, .note { margin: 6px 0; }
+  .note { color: #78716c; font-style: italic; }
+  .time { color: #a8a29e; font-size: 0.8em; margin-right: 8px; font-variant-numeric: tabular-nums; }
+  .turn.user strong { color: #D97757; }
+  @media print { body { margin: 0; } section { break-before: auto; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${session.startedAt.slice(0, 10)} · ${formatDuration(session)} · ${escapeHtml(session.language)}</p>
+${tutorials}
+${hotkeyHtml}
+<section>
+  <h2>Transcript</h2>
+  ${transcript}
+</section>
+</body>
+</html>
+`;
+}
+
+module.exports = { toMarkdown, toHTML };
@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+
+/**
+ * Base class for text-to-speech backends. Text goes in either as streamed
+ * chunks (sendTextChunk → flush → closeStream) or as a whole utterance
+ * (sendText). Implementations emit:
+ *   audio_chunk          (base64)  24 kHz mono s16le PCM, ready for the client
+ *   generation_complete            the current utterance has been fully synthesized
+ *   provider_error       (err)     the backend can no longer speak (quota or auth
+ *                                  error, repeated failed connects) — FailoverTTS
+ *                                  switches on this; transient errors only reject
+ */
+class TTSProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = false;
+  }
+
+  async connect() {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  async sendText() {
+    throw new Error(`${this.constructor.name} must implement sendText()`);
+  }
+
+  async sendTextChunk() {
+    throw new Error(`${this.constructor.name} must implement sendTextChunk()`);
+  }
+
+  async flush() {
+    throw new Error(`${this.constructor.name} must implement flush()`);
+  }
+
+  async closeStream() {
+    throw new Error(`${this.constructor.name} must implement closeStream()`);
+  }
+
+  interrupt() {
+    throw new Error(`${this.constructor.name} must implement interrupt()`);
+  }
+
+  disconnect() {
+    throw new Error(`${this.constructor.name} must implement disconnect()`);
+  }
+
+  /**
+   * Build the provider named by `name` (falls back to TTS_PROVIDER, then
+   * "elevenlabs"). When LOCAL_TTS_COMMAND is set, ElevenLabs is wrapped in a
+   * FailoverTTS so sessions keep talking through the local voice if it fails.
+   *
+   * options: { apiKey, voiceId, voice, languageCode } — `voice` is the tutor.json
+   * voice config.
+   */
+  static create(name = process.env.TTS_PROVIDER, options = {}) {
+    switch (name || 'elevenlabs') {
+      case 'elevenlabs': {
+        const ElevenLabsTTS = require('./elevenlabs-tts');
+        const primary = new ElevenLabsTTS(
+          options.apiKey || process.env.ELEVENLABS_API_KEY,
+          options.voiceId || process.env.ELEVENLABS_VOICE_ID,
+          options.voice,
+          options.languageCode
+        );
+        if (!process.env.LOCAL_TTS_COMMAND) return primary;
+
+        const FailoverTTS = require('./failover-tts');
+        const LocalTTS = require('./local-tts');
+        return new FailoverTTS(primary, new LocalTTS(options));
+      }
+      case 'local': {
+        const LocalTTS = require('./local-tts');
+        return new LocalTTS(options);
+      }
+      default:
+        throw new Error(`Unknown TTS provider: ${name}`);
+    }
+  }
+}
+
+module.exports = TTSProvider;
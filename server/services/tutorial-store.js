@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TAG = 'TutorialStore';
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'output', 'tutorials');
+const MANIFEST_FILE = 'tutorial.json';
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Persists generated tutorials as JSON manifests next to their images in
+ * output/tutorials/<sessionId>/, along with the learner's step progress.
+ */
+class TutorialStore {
+  constructor(rootDir = DEFAULT_ROOT) {
+    this.rootDir = rootDir;
+  }
+
+  _manifestPath(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Invalid tutorial id: ${id}`);
+    }
+    return path.join(this.rootDir, id, MANIFEST_FILE);
+  }
+
+  save(tutorial) {
+    const id = tutorial.metadata.sessionId;
+    const manifest = {
+      ...tutorial,
+      progress: tutorial.progress || {
+        currentStepIndex: 0,
+        completed: false,
+        updatedAt: new Date().toISOString()
+      }
+    };
+
+    const filePath = this._manifestPath(id);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2));
+    logger.info(TAG, `Saved tutorial ${id} → ${filePath}`);
+    return manifest;
+  }
+
+  load(id) {
+    let filePath;
+    try {
+      filePath = this._manifestPath(id);
+    } catch (err) {
+      return null;
+    }
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      logger.error(TAG, `Failed to read tutorial ${id}:`, err.message);
+      return null;
+    }
+  }
+
+  updateProgress(id, currentStepIndex) {
+    const manifest = this.load(id);
+    if (!manifest) return null;
+
+    manifest.progress = {
+      currentStepIndex,
+      completed: currentStepIndex >= manifest.totalSteps,
+      updatedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(this._manifestPath(id), JSON.stringify(manifest, null, 2));
+    logger.debug(TAG, `Progress for ${id}: step ${currentStepIndex + 1}/${manifest.totalSteps}`);
+    return manifest;
+  }
+
+  /** Replace a tutorial's steps after it was edited, with progress at `currentStepIndex`. */
+  updateSteps(id, steps, currentStepIndex) {
+    const manifest = this.load(id);
+    if (!manifest) return null;
+
+    manifest.steps = steps;
+    manifest.totalSteps = steps.length;
+    manifest.metadata.editedAt = new Date().toISOString();
+    manifest.progress = {
+      currentStepIndex,
+      completed: currentStepIndex >= steps.length,
+      updatedAt: manifest.metadata.editedAt
+    };
+    fs.writeFileSync(this._manifestPath(id), JSON.stringify(manifest, null, 2));
+    logger.info(TAG, `Saved edited tutorial ${id} (${steps.length} steps)`);
+    return manifest;
+  }
+
+  /** An image saved next to a tutorial's manifest, as { data, mediaType } (base64), or null. */
+  readAsset(id, fileName) {
+    let filePath;
+    try {
+      filePath = path.join(path.dirname(this._manifestPath(id)), path.basename(fileName));
+    } catch (err) {
+      return null;
+    }
+    if (!fs.existsSync(filePath)) return null;
+
+    const ext = path.extname(filePath).toLowerCase();
+    const mediaType = ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' : `image/${ext.slice(1) || 'png'}`;
+    return { data: fs.readFileSync(filePath).toString('base64'), mediaType };
+  }
+
+  delete(id) {
+    if (!this.load(id)) return false;
+
+    fs.rmSync(path.dirname(this._manifestPath(id)), { recursive: true, force: true });
+    logger.info(TAG, `Deleted tutorial ${id}`);
+    return true;
+  }
+
+  /**
+   * Summaries of every stored tutorial, most recently touched first.
+   * Pass { resumable: true } to only include lessons that aren't finished,
+   * and { toolType } to only include one tool's lessons.
+   */
+  list({ resumable = false, toolType = null } = {}) {
+    if (!fs.existsSync(this.rootDir)) return [];
+
+    const summaries = [];
+    for (const entry of fs.readdirSync(this.rootDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const manifest = this.load(entry.name);
+      if (!manifest) continue;
+      if (resumable && manifest.progress?.completed) continue;
+      if (toolType && manifest.metadata.toolType !== toolType) continue;
+
+      summaries.push({
+        id: manifest.metadata.sessionId,
+        toolType: manifest.metadata.toolType,
+        objectLabel: manifest.objectLabel,
+        proficiency: manifest.proficiency,
+        totalSteps: manifest.totalSteps,
+        referenceImagePath: manifest.referenceImagePath,
+        currentStepIndex: manifest.progress?.currentStepIndex || 0,
+        completed: !!manifest.progress?.completed,
+        generatedAt: manifest.metadata.generatedAt,
+        updatedAt: manifest.progress?.updatedAt || manifest.metadata.generatedAt
+      });
+    }
+
+    return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
+
+module.exports = TutorialStore;
@@ -0,0 +1,67 @@
+const LessonCreatorBase = require('../lesson-creator-base');
+
+const TAG = 'LessonCreator';
+const ANALYSIS_SCHEMA = LessonCreatorBase.analysisSchema('subPieces', 'Buildable sub-pieces, ordered from foundational to detail', {
+  name: 'Piece name',
+  buildDescription: 'What this piece is: its shape, approximate proportions and position on the object',
+  operations: 'Blender operations used to build it',
+  criteriaExample: 'A cylinder named Handle is attached to the side of the mug body'
+});
+
+class LessonCreatorAgent extends LessonCreatorBase {
+  constructor() {
+    super(require('./lesson-creator.json'), { toolType: 'blender', tag: TAG, analysisSchema: ANALYSIS_SCHEMA });
+  }
+
+  _buildAnalysisPrompt(objectLabel, proficiency, hasImage, learner) {
+    const { subPieces } = this._getStepCounts(proficiency, learner);
+
+    if (hasImage) {
+      // Claude can see the reference image — lean on visual context
+      return `Analyze the 3D object "${objectLabel}" for a ${proficiency} Blender user.
+Look at the reference image and break the object down into ${subPieces} buildable sub-pieces, ordered from foundational to detail.`;
+    }
+
+    // No image — give Claude richer text guidance to compensate
+    return `Analyze the 3D object "${objectLabel}" for a ${proficiency} Blender user.
+Think about the typical real-world shape and proportions of a ${objectLabel}. Consider which basic Blender primitives (cube, cylinder, sphere, cone, plane, torus) best approximate each part.
+
+Break it down into ${subPieces} buildable sub-pieces, ordered from foundational to detail.
+For each sub-piece, describe its approximate shape, relative size, and position on the object.`;
+  }
+
+  _buildInstructionPrompt(objectLabel, proficiency, piece, stepNumber, totalSteps, learner = null) {
+    const { subSteps } = this._getStepCounts(proficiency, learner);
+
+    return `Write a clear, step-by-step Blender instruction for a ${proficiency} user to build the "${piece.name}" sub-piece of a ${objectLabel}.
+
+Sub-piece: ${piece.name}
+Description: ${piece.buildDescription}
+Operations: ${piece.operations.join(', ')}
+Step number: ${stepNumber} of ${totalSteps}
+
+Write ${subSteps} sub-steps. Be specific about which tools, hotkeys, and values to use. Keep it concise, and list the mistakes ${proficiency} users really make on this piece (wrong mode, wrong selection, scaling on the wrong axis).`;
+  }
+
+  _stepFields(piece) {
+    return { blenderOperations: piece.operations };
+  }
+
+  _buildReferenceImagePrompt(objectLabel) {
+    return `Create a 2x2 grid showing a ${objectLabel} from 4 different angles (front, side, top, 3/4 view).
+Use a simple, clean 3D primitive shapes style - like basic geometric forms (cubes, cylinders, spheres) composed together.
+White/light gray background. Minimalist style suitable for a 3D modeling tutorial reference sheet.
+Label each view angle. The object should look like it's made from basic 3D primitives.`;
+  }
+
+  _buildStepImagePrompt(objectLabel, piece, stepNumber) {
+    return `Show step ${stepNumber} of building a ${objectLabel} in a 3D modeling style.
+This step focuses on: ${piece.name} - ${piece.buildDescription}
+Show the progressive build state - what the model looks like at this point.
+Use simple 3D primitive shapes style (cubes, cylinders, spheres).
+Clean white/light gray background. Include a small label "Step ${stepNumber}: ${piece.name}".
+Minimalist, clear, instructional style.`;
+  }
+}
+
+module.exports = LessonCreatorAgent;
@@ -0,0 +1,29 @@
+const VideoLessonCreator = require('../video-lesson-creator');
+
+class CapCutLessonCreatorAgent extends VideoLessonCreator {
+  constructor() {
+    super(require('./lesson-creator.json'), {
+      toolType: 'capcut',
+      tag: 'CapCutLessonCreator',
+      appName: 'CapCut',
+      operationsField: 'capcutOperations',
+      criteriaExample: 'The main track holds 4 clips with no gaps between them',
+      aspectRatio: '9:16',
+      altAspectRatio: { ratio: '16:9', keywords: ['youtube', 'landscape', 'widescreen', 'cinematic'] },
+      simplicityNote: 'Use the main track plus at most one text or audio track, splits and trims, one transition style, and a single filter. No keyframes, speed curves or compound clips.',
+      finishedTimeline: 'main track clips, overlays, transitions, text, captions, music',
+      polishStages: 'text/captions/music',
+      instructionFocus: [
+        'Where on the timeline to work (main track, overlay/text/audio track, which clip, where to park the playhead)',
+        'Which toolbar tab or details panel tab to use (Media, Transitions, Filters, Text, Audio; Video, Speed, Adjust)',
+        'Concrete values (transition duration in seconds, adjustment slider values, export resolution and frame rate)',
+        'Relevant CapCut shortcuts (Ctrl/Cmd+B split, Q delete left, W delete right, Space play/pause, Ctrl/Cmd+E export)'
+      ],
+      commonMistakes: 'splitting the wrong track, leaving gaps on the main track, trimming the linked audio',
+      storyboardTimeline: 'colored rectangular clip blocks on a main track, a text track above it and a music track below, with small markers where transitions go',
+      stepTimeline: 'colored rectangular clip blocks on the main, text and audio tracks, a playhead line, and markers for splits or transitions added in this step'
+    });
+  }
+}
+
+module.exports = CapCutLessonCreatorAgent;
@@ -0,0 +1,84 @@
+const LessonCreatorBase = require('../lesson-creator-base');
+
+const TAG = 'FigmaLessonCreator';
+const ANALYSIS_SCHEMA = LessonCreatorBase.analysisSchema('subPieces', 'Buildable UI sections, ordered from structural (outer frames, page layout) to detail', {
+  name: 'Section name',
+  buildDescription: 'What this UI section is: its layout direction and key elements',
+  operations: 'Figma operations used to build it',
+  criteriaExample: 'A Header frame with horizontal auto-layout sits at the top of the page'
+});
+
+class FigmaLessonCreatorAgent extends LessonCreatorBase {
+  constructor() {
+    super(require('./lesson-creator.json'), { toolType: 'figma', tag: TAG, analysisSchema: ANALYSIS_SCHEMA, itemLabel: 'sections' });
+  }
+
+  _getAspectRatio(objectLabel) {
+    const label = objectLabel.toLowerCase();
+    const mobileKeywords = ['mobile', 'phone', 'app ', 'ios', 'android', 'app home'];
+    if (mobileKeywords.some(kw => label.includes(kw))) return '9:16';
+    return '3:4';
+  }
+
+  _buildAnalysisPrompt(objectLabel, proficiency, hasImage, learner) {
+    const { subPieces } = this._getStepCounts(proficiency, learner);
+
+    const simplicityNote = proficiency === 'beginner'
+      ? '\nIMPORTANT: Keep it very simple. Each section should have only 2-3 elements (e.g., a rectangle and a text label). Avoid complex nested layouts, multiple columns of cards, or detailed content. Think big simple blocks, not detailed UI.'
+      : '';
+
+    if (hasImage) {
+      return `Analyze the UI design "${objectLabel}" for a ${proficiency} Figma user.
+Look at the reference image and break the design down into ${subPieces} buildable UI sections, ordered from structural (outer frames, page layout) to detail (content, styling).${simplicityNote}`;
+    }
+
+    return `Analyze the UI design "${objectLabel}" for a ${proficiency} Figma user.
+Think about the typical structure and layout of a ${objectLabel}. Use only simple Figma elements: frames, rectangles, and text.
+
+Break it down into ${subPieces} buildable UI sections, ordered from structural (outer frames, page layout) to detail (content, styling).
+For each section, describe its layout approach (auto-layout direction, gap, padding) and the few key elements needed.${simplicityNote}`;
+  }
+
+  _buildInstructionPrompt(objectLabel, proficiency, piece, stepNumber, totalSteps, learner = null) {
+    const { subSteps } = this._getStepCounts(proficiency, learner);
+
+    return `Write a clear, step-by-step Figma instruction for a ${proficiency} user to build the "${piece.name}" section of a ${objectLabel}.
+
+Section: ${piece.name}
+Description: ${piece.buildDescription}
+Operations: ${piece.operations.join(', ')}
+Step number: ${stepNumber} of ${totalSteps}
+
+Write ${subSteps} sub-steps. Be specific about:
+- Frame dimensions and auto-layout settings (direction, gap, padding)
+- Fill colors (use hex values), corner radius, and effects
+- Text properties (font, size, weight, color)
+- Constraints and responsive behavior
+- Relevant Figma shortcuts (F for frame, A for auto-layout, T for text, R for rectangle)
+Keep it concise, and list the mistakes ${proficiency} users really make in this section (frame vs group, fixed vs hug sizing, auto-layout on the wrong frame).`;
+  }
+
+  _stepFields(piece) {
+    return { figmaOperations: piece.operations };
+  }
+
+  _buildReferenceImagePrompt(objectLabel) {
+    return `Create a simple, flat UI mockup of a "${objectLabel}" design.
+Use solid colored rectangles and blocks — light blue for headers, light gray for content areas, darker rectangles for buttons, medium gray for image placeholders.
+Clean flat design with solid fills, no outlines, no sketchy lines, no hand-drawn style.
+This is NOT a screenshot of any software — do NOT show any application chrome, toolbars, menus, or side panels.
+Show only the UI layout itself on a plain white background. Keep it minimal with just 3-5 major sections using simple solid shapes.`;
+  }
+
+  _buildStepImagePrompt(objectLabel, piece, stepNumber) {
+    return `Show step ${stepNumber} of building a "${objectLabel}" UI design.
+This step focuses on: ${piece.name} - ${piece.buildDescription}
+Show the progressive build state using simple solid colored blocks and shapes.
+Use solid fills — light blue for headers, light gray for content areas, darker rectangles for buttons.
+Clean flat design, no outlines, no sketchy lines. Plain white background.
+This is NOT a screenshot of any software — no application chrome or toolbars.
+Include a small label "Step ${stepNumber}: ${piece.name}".`;
+  }
+}
+
+module.exports = FigmaLessonCreatorAgent;
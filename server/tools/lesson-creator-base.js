@@ -0,0 +1,411 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const ClaudeService = require('../services/claude-service');
+const GeminiImageService = require('../services/gemini-image');
+const TutorialStore = require('../services/tutorial-store');
+const LessonPipeline = require('../services/lesson-pipeline');
+const logger = require('../utils/logger');
+const { STEP_FIELDS_TOOL, stepFieldsFromInput, describeStep } = require('../utils/tutorial-steps');
+const { requestStructured } = require('../utils/structured-output');
+const { getLanguage } = require('../utils/languages');
+
+const DEFAULT_STEP_COUNTS = {
+  beginner:     { subPieces: '3-4', subSteps: '2-3' },
+  intermediate: { subPieces: '4-6', subSteps: '3-4' },
+  advanced:     { subPieces: '5-8', subSteps: '3-5' }
+};
+
+const PROFICIENCIES = ['beginner', 'intermediate', 'advanced'];
+
+// Finished tutorials at a level after which a learner gets the next level's step counts
+const EXPERIENCED_AFTER = 2;
+
+// Regenerate_Step directions: what changes in the plan and instructions, and the
+// proficiency the instructions are written for
+const STEP_DIRECTIONS = {
+  easier: { shift: -1, note: 'Make this step easier than before: smaller actions, say exactly where every control is, and stick to basic techniques.' },
+  harder: { shift: 1, note: 'Make this step more challenging than before: fewer, bigger actions and more advanced techniques or shortcuts.' }
+};
+
+/**
+ * Shared lesson generation for every tool plugin. `generate()` runs a
+ * LessonPipeline of five phases — reference image, analysis, instructions,
+ * step images, validation — and saves the result to the TutorialStore;
+ * `generateStep()` runs the middle three for a single step when a tutorial is
+ * edited.
+ *
+ * A tool's lesson-creator-agent.js extends this class and supplies only its
+ * prompts and its analysis schema (see analysisSchema()):
+ *
+ *   _buildAnalysisPrompt(objectLabel, proficiency, hasImage, learner)
+ *   _buildInstructionPrompt(objectLabel, proficiency, item, stepNumber, totalSteps, learner)
+ *   _buildReferenceImagePrompt(objectLabel)
+ *   _buildStepImagePrompt(objectLabel, item, stepNumber)
+ *   _stepFields(item)                  tool-specific step fields, e.g. { blenderOperations }
+ *
+ * and optionally _getAspectRatio(objectLabel) and _phases() to add, replace or
+ * wrap phases. Agents write their prompts in English; the base class asks for
+ * the tutorial's language (`metadata.language`) in every text phase. Analysis
+ * and instructions come back as forced tool calls validated against their
+ * schemas, with `pipeline.repairAttempts` chances to fix invalid input;
+ * per-phase retries come from `pipeline.retries` in lesson-creator.json.
+ */
+class LessonCreatorBase {
+  /**
+   * `analysisSchema` is the Report_Analysis input schema, `analysisKey` its
+   * list of steps ("subPieces", "stages"), `itemLabel` what the log calls them.
+   */
+  constructor(config, { toolType, tag, analysisSchema, analysisKey = 'subPieces', itemLabel = 'sub-pieces', stepCountDefaults = DEFAULT_STEP_COUNTS }) {
+    this.config = config;
+    this.toolType = toolType;
+    this.tag = tag;
+    this.analysisTool = {
+      name: 'Report_Analysis',
+      description: 'Report the breakdown of the target into buildable tutorial steps, in build order.',
+      input_schema: analysisSchema
+    };
+    this.stepPlanTool = {
+      name: 'Report_Step_Plan',
+      description: 'Report the plan for one tutorial step.',
+      input_schema: analysisSchema.properties[analysisKey].items
+    };
+    this.analysisKey = analysisKey;
+    this.itemLabel = itemLabel;
+    this.stepCountDefaults = stepCountDefaults;
+
+    const imgConfig = this.config.imageGeneration || {};
+    this.claude = new ClaudeService(process.env.ANTHROPIC_API_KEY, { model: this.config.model });
+    this.gemini = new GeminiImageService(process.env.GOOGLE_GENAI_API_KEY, imgConfig.model);
+    this.store = new TutorialStore();
+
+    // Image mode: "off" | "reference-only" | "full"
+    // Backwards-compat: old boolean `enabled` maps to "full" / "off"
+    if (imgConfig.mode) {
+      this.imageMode = imgConfig.mode;
+    } else {
+      this.imageMode = imgConfig.enabled === false ? 'off' : 'full';
+    }
+  }
+
+  get generateReferenceImage() {
+    return this.imageMode === 'reference-only' || this.imageMode === 'full';
+  }
+
+  get generateStepImages() {
+    return this.imageMode === 'full';
+  }
+
+  /**
+   * Step counts for `proficiency`. `learner` is the learner's profile for this
+   * tool (see services/learner-profile-store.js): once they have finished
+   * EXPERIENCED_AFTER tutorials at this level they get the next level's
+   * counts — longer lessons, still written for their level.
+   */
+  _getStepCounts(proficiency, learner = null) {
+    const counts = this.config.stepCounts || this.stepCountDefaults;
+    const level = PROFICIENCIES.indexOf(proficiency);
+    const finished = learner?.tutorials?.filter(t => t.proficiency === proficiency).length || 0;
+    const sizedFor = finished >= EXPERIENCED_AFTER && level !== -1 && level < PROFICIENCIES.length - 1
+      ? PROFICIENCIES[level + 1]
+      : proficiency;
+    return counts[sizedFor] || this.stepCountDefaults.intermediate;
+  }
+
+  /** `prompt` asking for text in `language`; English prompts pass through unchanged. */
+  _withLanguage(prompt, language) {
+    if (!language || language === 'en') return prompt;
+    return `${prompt}\nWrite every text field in ${getLanguage(language).name}. Keep hotkeys and menu or panel names exactly as they appear in the app's interface.`;
+  }
+
+  /** Aspect ratio for generated images, or null for the image model's default. */
+  _getAspectRatio() {
+    return null;
+  }
+
+  _stepFields() {
+    return {};
+  }
+
+  _phases() {
+    return [
+      {
+        name: 'reference',
+        optional: true,
+        skip: () => !this.generateReferenceImage,
+        run: (ctx) => this._runReference(ctx)
+      },
+      {
+        name: 'analysis',
+        run: (ctx) => this._runAnalysis(ctx)
+      },
+      {
+        name: 'instructions',
+        perStep: true,
+        run: (ctx, step, index) => this._runInstructions(ctx, step, index)
+      },
+      {
+        name: 'images',
+        perStep: true,
+        fallback: () => ({ imagePath: null }),
+        skip: () => !this.generateStepImages,
+        run: (ctx, step, index) => this._runStepImage(ctx, step, index)
+      },
+      {
+        name: 'validation',
+        run: (ctx) => this._validate(ctx.tutorial)
+      }
+    ];
+  }
+
+  /**
+   * `onOutline` receives the tutorial once analysis is done (steps marked
+   * `pending`), `onStep` each step as its instruction and image are ready.
+   * `learner` is the learner's profile for this tool, used for step counts.
+   */
+  async generate(objectLabel, proficiency, { language = 'en', learner = null, onOutline, onStep } = {}) {
+    const sessionId = uuidv4().slice(0, 8);
+    const outputDir = path.join(this.store.rootDir, sessionId);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const aspectRatio = this._getAspectRatio(objectLabel);
+    logger.info(this.tag, `Generating tutorial: "${objectLabel}" (${proficiency}, images=${this.imageMode}${aspectRatio ? `, aspect=${aspectRatio}` : ''}) → ${outputDir}`);
+
+    const pipelineConfig = this.config.pipeline || {};
+    const pipeline = new LessonPipeline(this._phases(), {
+      tag: this.tag,
+      retries: pipelineConfig.retries,
+      retryDelayMs: pipelineConfig.retryDelayMs
+    });
+
+    const ctx = await pipeline.run(
+      { objectLabel, proficiency, language, learner, sessionId, outputDir, aspectRatio, referenceImage: null },
+      { onOutline, onStep }
+    );
+
+    const tutorial = ctx.tutorial;
+    tutorial.metadata.timings = ctx.metrics;
+    logger.info(this.tag, `Tutorial complete: ${tutorial.totalSteps} steps`);
+    return this.store.save(tutorial);
+  }
+
+  /**
+   * Write one step of an existing tutorial for tutorial editing: a rewrite of
+   * step `stepNumber` (`replace`) or a new step to insert there. `request`
+   * is what the step should cover or change; `direction` ("easier" /
+   * "harder") also shifts the proficiency its instructions are written for.
+   * Runs the analysis, instructions and images phases for that step alone
+   * and resolves with the step — saving the edited tutorial is up to the
+   * caller. Its image gets a new file name, so a replaced step's old image
+   * stays valid until then.
+   */
+  async generateStep(tutorial, { stepNumber, replace = false, request = '', direction = null }) {
+    const { sessionId, language = 'en' } = tutorial.metadata;
+    const outputDir = path.join(this.store.rootDir, sessionId);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const adjust = STEP_DIRECTIONS[direction];
+    const level = PROFICIENCIES.indexOf(tutorial.proficiency);
+    const proficiency = adjust && level !== -1
+      ? PROFICIENCIES[Math.min(Math.max(level + adjust.shift, 0), PROFICIENCIES.length - 1)]
+      : tutorial.proficiency;
+    const edit = { stepNumber, replace, request, note: adjust?.note || '' };
+    logger.info(this.tag, `${replace ? 'Rewriting' : 'Inserting'} step ${stepNumber} of "${tutorial.objectLabel}" (${proficiency}${direction ? `, ${direction}` : ''})`);
+
+    const pipelineConfig = this.config.pipeline || {};
+    const pipeline = new LessonPipeline([
+      { name: 'analysis', run: (ctx) => this._runStepPlan(ctx, tutorial, edit) },
+      ...this._phases().filter(p => p.perStep)
+    ], {
+      tag: this.tag,
+      retries: pipelineConfig.retries,
+      retryDelayMs: pipelineConfig.retryDelayMs
+    });
+
+    const ctx = await pipeline.run({
+      objectLabel: tutorial.objectLabel,
+      proficiency,
+      language,
+      sessionId,
+      outputDir,
+      aspectRatio: this._getAspectRatio(tutorial.objectLabel),
+      instructionNote: edit.note,
+      imageTag: Date.now().toString(36)
+    });
+    return ctx.tutorial.steps[0];
+  }
+
+  async _runReference({ objectLabel, outputDir, aspectRatio }) {
+    const referenceImage = await this.gemini.generateImage(
+      this._buildReferenceImagePrompt(objectLabel), outputDir, 'reference.png', aspectRatio ? { aspectRatio } : undefined
+    );
+    return { referenceImage };
+  }
+
+  async _runAnalysis(ctx) {
+    const { objectLabel, proficiency, language, learner, referenceImage } = ctx;
+    const images = referenceImage ? [{ data: referenceImage.base64Data, mediaType: referenceImage.mimeType || 'image/png' }] : [];
+
+    const analysis = await requestStructured(
+      this.claude,
+      this.config.systemPrompt,
+      [{ role: 'user', content: this._withLanguage(this._buildAnalysisPrompt(objectLabel, proficiency, !!referenceImage, learner), language) }],
+      this.analysisTool,
+      images,
+      { model: ClaudeService.resolveModel(this.config, 'analysis'), repairAttempts: this.repairAttempts, label: 'The analysis' }
+    );
+
+    const items = analysis[this.analysisKey];
+    logger.info(this.tag, `Found ${items.length} ${this.itemLabel}`);
+    return this._outline(ctx, items);
+  }
+
+  /** The tutorial as analysis leaves it: every step titled but still `pending`. */
+  _outline(ctx, items) {
+    const { objectLabel, proficiency, language, sessionId, referenceImage } = ctx;
+    return {
+      items,
+      tutorial: {
+        objectLabel,
+        proficiency,
+        referenceImagePath: referenceImage ? `/output/tutorials/${sessionId}/reference.png` : null,
+        totalSteps: items.length,
+        steps: items.map((item, idx) => this._outlineStep(item, idx + 1)),
+        metadata: {
+          sessionId,
+          toolType: this.toolType,
+          generatedAt: new Date().toISOString(),
+          imageMode: this.imageMode,
+          language
+        }
+      }
+    };
+  }
+
+  _outlineStep(item, stepNumber) {
+    return {
+      stepNumber,
+      title: item.name,
+      pending: true,
+      ...this._stepFields(item),
+      completionCriteria: item.completionCriteria || [],
+      imagePath: null
+    };
+  }
+
+  /** The analysis phase of generateStep(): plan the one step, as a one-step outline. */
+  async _runStepPlan(ctx, tutorial, edit) {
+    const item = await requestStructured(
+      this.claude,
+      this.config.systemPrompt,
+      [{ role: 'user', content: this._withLanguage(this._buildStepPlanPrompt(tutorial, edit), tutorial.metadata.language) }],
+      this.stepPlanTool,
+      [],
+      { model: ClaudeService.resolveModel(this.config, 'analysis'), repairAttempts: this.repairAttempts, label: 'The step plan' }
+    );
+    return {
+      items: [item],
+      tutorial: {
+        totalSteps: tutorial.steps.length + (edit.replace ? 0 : 1),
+        steps: [this._outlineStep(item, edit.stepNumber)]
+      }
+    };
+  }
+
+  _buildStepPlanPrompt(tutorial, { stepNumber, replace, request, note }) {
+    const outline = tutorial.steps.map(s => `${s.stepNumber}. ${s.title}${s.skipped ? ' (skipped)' : ''}`).join('\n');
+    const current = tutorial.steps[stepNumber - 1];
+    const task = replace
+      ? `Rewrite step ${stepNumber}, "${current.title}". It currently reads:\n${describeStep(current)}`
+      : `Plan a new step to insert as step ${stepNumber}, ${current ? `before "${current.title}"` : 'at the end'}.`;
+
+    return `Plan one step of a tutorial for building "${tutorial.objectLabel}" (${tutorial.proficiency}). Its steps are:
+${outline}
+
+${task}
+${request ? `\nWhat was asked for: ${request}` : ''}${note ? `\n${note}` : ''}
+The step must start from where the step before it leaves off and leave everything ready for the step after it.`;
+  }
+
+  async _runInstructions(ctx, step, index) {
+    const { objectLabel, proficiency, language, learner, items, tutorial, instructionNote } = ctx;
+    const prompt = this._withLanguage(
+      this._buildInstructionPrompt(objectLabel, proficiency, items[index], step.stepNumber, tutorial.totalSteps, learner),
+      language
+    );
+    const input = await requestStructured(
+      this.claude,
+      this.config.systemPrompt,
+      [{ role: 'user', content: instructionNote ? `${prompt}\n\n${instructionNote}` : prompt }],
+      STEP_FIELDS_TOOL,
+      [],
+      { model: ClaudeService.resolveModel(this.config, 'instructions'), repairAttempts: this.repairAttempts, label: `The instructions for step ${step.stepNumber}` }
+    );
+    return stepFieldsFromInput(input);
+  }
+
+  async _runStepImage({ objectLabel, outputDir, aspectRatio, sessionId, items, imageTag }, step, index) {
+    const fileName = `step_${step.stepNumber}${imageTag ? `_${imageTag}` : ''}.png`;
+    const image = await this.gemini.generateImage(
+      this._buildStepImagePrompt(objectLabel, items[index], step.stepNumber),
+      outputDir,
+      fileName,
+      aspectRatio ? { aspectRatio } : undefined
+    );
+    return { imagePath: image ? `/output/tutorials/${sessionId}/${fileName}` : null };
+  }
+
+  /** Structural checks on the finished tutorial; problems a learner would hit fail the run. */
+  _validate(tutorial) {
+    if (!tutorial.steps.length) throw new Error('Tutorial has no steps');
+
+    const missing = tutorial.steps.filter(s => !s.instruction?.trim()).map(s => s.stepNumber);
+    if (missing.length) throw new Error(`Steps without instructions: ${missing.join(', ')}`);
+
+    for (const step of tutorial.steps) {
+      if (!step.completionCriteria.length) logger.warn(this.tag, `Step ${step.stepNumber} has no completion criteria`);
+    }
+    return null;
+  }
+
+  get repairAttempts() {
+    return this.config.pipeline?.repairAttempts ?? 1;
+  }
+
+  /**
+   * Report_Analysis input schema: `listKey` holds the steps, each with a
+   * name, buildDescription, operations and completionCriteria described by
+   * `descriptions`, plus any `extraProperties` (e.g. a category enum).
+   */
+  static analysisSchema(listKey, listDescription, descriptions, extraProperties = {}) {
+    return {
+      type: 'object',
+      properties: {
+        [listKey]: {
+          type: 'array',
+          minItems: 1,
+          description: listDescription,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', minLength: 1, description: descriptions.name },
+              buildDescription: { type: 'string', minLength: 1, description: descriptions.buildDescription },
+              operations: { type: 'array', items: { type: 'string' }, description: descriptions.operations },
+              completionCriteria: {
+                type: 'array',
+                minItems: 1,
+                items: { type: 'string', minLength: 1 },
+                description: `2-4 checks someone could confirm from a screenshot once the step is done, e.g. ${descriptions.criteriaExample}`
+              },
+              ...extraProperties
+            },
+            required: ['name', 'buildDescription', 'operations', 'completionCriteria', ...Object.keys(extraProperties)]
+          }
+        }
+      },
+      required: [listKey]
+    };
+  }
+}
+
+module.exports = LessonCreatorBase;
@@ -0,0 +1,29 @@
+const VideoLessonCreator = require('../video-lesson-creator');
+
+class PremiereLessonCreatorAgent extends VideoLessonCreator {
+  constructor() {
+    super(require('./lesson-creator.json'), {
+      toolType: 'premiere',
+      tag: 'PremiereLessonCreator',
+      appName: 'Premiere Pro',
+      operationsField: 'premiereOperations',
+      criteriaExample: 'A Cross Dissolve sits between every pair of clips on V1',
+      aspectRatio: '16:9',
+      altAspectRatio: { ratio: '9:16', keywords: ['tiktok', 'reel', 'shorts', 'vertical', 'story', 'stories'] },
+      simplicityNote: 'Use a single sequence with at most two video tracks, hard cuts plus one default transition type, and a basic Lumetri correction. No nesting, multicam or keyframed effects.',
+      finishedTimeline: 'tracks, clip count, transitions, titles, music',
+      polishStages: 'titles/audio',
+      instructionFocus: [
+        'Where on the timeline to work (track V1/V2/A1, which clip, where to park the playhead)',
+        'Which tool or panel to use (Razor, Selection, Effects, Effect Controls, Lumetri Color, Essential Graphics, Export)',
+        'Concrete values (transition duration in frames, exposure/contrast values, export preset)',
+        'Relevant Premiere shortcuts (C razor, V selection, Ctrl/Cmd+K add edit, Q/W ripple trim, Shift+Delete ripple delete, Ctrl/Cmd+D default transition, Ctrl/Cmd+M export)'
+      ],
+      commonMistakes: 'razoring unlocked tracks, leaving gaps, unlinking audio by accident',
+      storyboardTimeline: 'colored rectangular clip blocks on two video tracks and one audio track, with small markers where transitions go',
+      stepTimeline: 'colored rectangular clip blocks on video and audio tracks, a playhead line, and markers for cuts or transitions added in this step'
+    });
+  }
+}
+
+module.exports = PremiereLessonCreatorAgent;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TAG = 'ToolRegistry';
+
+/**
+ * Discovers creative-tool plugins under server/tools/. Each plugin is a
+ * directory containing:
+ *   tool.json                 display metadata (name, landing copy, screenLabel, icon)
+ *   tutor.json                live tutor config (system prompt, tools, voice, recurring check)
+ *   lesson-creator.json       lesson creator config
+ *   lesson-creator-agent.js   LessonCreatorBase subclass with the tool's prompt builders + image prompts
+ *   icon.png                  home screen / landing icon
+ *
+ * A directory with only a tool.json and `"comingSoon": true` shows up on the
+ * home screen as a disabled tile.
+ */
+class ToolRegistry {
+  constructor(toolsDir = __dirname) {
+    this.toolsDir = toolsDir;
+    this.tools = new Map();
+  }
+
+  discover() {
+    this.tools.clear();
+
+    for (const entry of fs.readdirSync(this.toolsDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+
+      const dir = path.join(this.toolsDir, entry.name);
+      const manifestPath = path.join(dir, 'tool.json');
+      if (!fs.existsSync(manifestPath)) continue;
+
+      try {
+        const tool = this._loadTool(entry.name, dir, manifestPath);
+        this.tools.set(tool.id, tool);
+      } catch (err) {
+        logger.error(TAG, `Failed to load tool "${entry.name}":`, err.message);
+      }
+    }
+
+    const available = this.list().filter(t => !t.comingSoon).map(t => t.id);
+    logger.info(TAG, `Discovered ${this.tools.size} tools (available: ${available.join(', ') || 'none'})`);
+    return this;
+  }
+
+  _loadTool(id, dir, manifestPath) {
+    const meta = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const tool = {
+      id,
+      dir,
+      ...meta,
+      comingSoon: !!meta.comingSoon,
+      iconPath: meta.icon ? path.join(dir, meta.icon) : null
+    };
+
+    if (tool.comingSoon) return tool;
+
+    tool.tutor = JSON.parse(fs.readFileSync(path.join(dir, 'tutor.json'), 'utf8'));
+    tool.LessonCreator = require(path.join(dir, 'lesson-creator-agent.js'));
+    tool.screenLabel = meta.screenLabel || `${meta.name} screen`;
+    return tool;
+  }
+
+  /** Available (not coming-soon) tool by id, or null. */
+  get(id) {
+    const tool = this.tools.get(id);
+    return tool && !tool.comingSoon ? tool : null;
+  }
+
+  /** First available tool in display order, or null if none loaded (server/index.js refuses to start then). */
+  getDefault() {
+    return this.list().find(t => !t.comingSoon) || null;
+  }
+
+  list() {
+    return [...this.tools.values()].sort((a, b) => (a.order ?? 99) - (b.order ?? 99));
+  }
+
+  createLessonCreator(id) {
+    const tool = this.get(id);
+    if (!tool) throw new Error(`Unknown tool: ${id}`);
+    return new tool.LessonCreator();
+  }
+
+  /** Public metadata for the client home + landing screens. */
+  toClientManifest() {
+    return this.list().map(t => ({
+      id: t.id,
+      name: t.name,
+      tagline: t.tagline || '',
+      title: t.title || t.name,
+      subtitle: t.subtitle || '',
+      description: t.description || '',
+      iconUrl: t.iconPath ? `/api/tools/${t.id}/icon` : null,
+      iconClass: t.iconClass || null,
+      comingSoon: t.comingSoon
+    }));
+  }
+}
+
+const registry = new ToolRegistry().discover();
+
+module.exports = registry;
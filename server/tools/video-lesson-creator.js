@@ -0,0 +1,111 @@
+const LessonCreatorBase = require('./lesson-creator-base');
+
+// Video edits need a few more stages than object builds
+const VIDEO_STEP_COUNTS = {
+  beginner:     { subPieces: '4-5', subSteps: '2-3' },
+  intermediate: { subPieces: '5-6', subSteps: '3-4' },
+  advanced:     { subPieces: '6-8', subSteps: '3-5' }
+};
+
+const STAGE_CATEGORIES = ['import', 'cut', 'trim', 'transitions', 'color', 'titles', 'audio', 'export'];
+
+/**
+ * Lesson creator shared by the timeline-based video editors. Lessons are
+ * stages of an edit (import → cut → trim → transitions → color → titles/audio
+ * → export); a tool's agent only passes a profile with its app-specific text:
+ *
+ *   appName            name used in prompts, e.g. "Premiere Pro"
+ *   operationsField    step field holding the stage's operations, e.g. "premiereOperations"
+ *   criteriaExample    example completion check for the analysis schema
+ *   aspectRatio        image aspect ratio unless the config sets one
+ *   altAspectRatio     { ratio, keywords } used when the project label mentions a keyword
+ *   simplicityNote     extra rules for beginner lessons
+ *   finishedTimeline   what a finished timeline holds, for analysis without an image
+ *   polishStages       the stages between color and export, e.g. "titles/audio"
+ *   instructionFocus   "Be specific about" bullets for step instructions
+ *   commonMistakes     mistakes listed at the end of each instruction
+ *   storyboardTimeline timeline drawn under the reference storyboard
+ *   stepTimeline       timeline drawn in each step image
+ */
+class VideoLessonCreator extends LessonCreatorBase {
+  constructor(config, { toolType, tag, ...profile }) {
+    const analysisSchema = LessonCreatorBase.analysisSchema(
+      'stages',
+      'Timeline-based editing stages, in the order an editor would do them, ending with export',
+      {
+        name: 'Stage name',
+        buildDescription: 'What happens on the timeline in this stage',
+        operations: `${profile.appName} operations used in it`,
+        criteriaExample: profile.criteriaExample
+      },
+      { category: { type: 'string', enum: STAGE_CATEGORIES, description: 'The kind of editing work in this stage' } }
+    );
+    super(config, { toolType, tag, analysisSchema, analysisKey: 'stages', itemLabel: 'stages', stepCountDefaults: VIDEO_STEP_COUNTS });
+    this.profile = profile;
+  }
+
+  _getAspectRatio(objectLabel) {
+    const { ratio, keywords } = this.profile.altAspectRatio;
+    const label = objectLabel.toLowerCase();
+    if (keywords.some(kw => label.includes(kw))) return ratio;
+    return this.config.imageGeneration?.aspectRatio || this.profile.aspectRatio;
+  }
+
+  _buildAnalysisPrompt(objectLabel, proficiency, hasImage, learner) {
+    const { appName, finishedTimeline, polishStages, simplicityNote } = this.profile;
+    const { subPieces } = this._getStepCounts(proficiency, learner);
+
+    const beginnerNote = proficiency === 'beginner' ? `\nIMPORTANT: Keep it simple. ${simplicityNote}` : '';
+
+    const intro = hasImage
+      ? `Analyze the video project "${objectLabel}" for a ${proficiency} ${appName} user.
+Look at the reference storyboard and break the edit down into ${subPieces} timeline-based editing stages, in the order an editor would do them.`
+      : `Analyze the video project "${objectLabel}" for a ${proficiency} ${appName} user.
+Think about the typical structure, pacing and length of a ${objectLabel}, and what the finished timeline looks like (${finishedTimeline}).
+
+Break the edit down into ${subPieces} timeline-based editing stages, in the order an editor would do them.
+For each stage, describe which tracks and clips it touches and what the timeline looks like when it's done.`;
+
+    return `${intro}
+Stages should follow the edit workflow: import → cut → trim → transitions → color → ${polishStages} → export. Always end with an export stage.${beginnerNote}`;
+  }
+
+  _buildInstructionPrompt(objectLabel, proficiency, stage, stepNumber, totalSteps, learner = null) {
+    const { appName, instructionFocus, commonMistakes } = this.profile;
+    const { subSteps } = this._getStepCounts(proficiency, learner);
+
+    return `Write a clear, step-by-step ${appName} instruction for a ${proficiency} user to complete the "${stage.name}" stage of editing a ${objectLabel}.
+
+Stage: ${stage.name} (${stage.category})
+Description: ${stage.buildDescription}
+Operations: ${stage.operations.join(', ')}
+Step number: ${stepNumber} of ${totalSteps}
+
+Write ${subSteps} sub-steps. Be specific about:
+${instructionFocus.map(line => `- ${line}`).join('\n')}
+Keep it concise, and list the mistakes ${proficiency} users really make in this stage (${commonMistakes}).`;
+  }
+
+  _stepFields(stage) {
+    return { category: stage.category, [this.profile.operationsField]: stage.operations };
+  }
+
+  _buildReferenceImagePrompt(objectLabel) {
+    return `Create a simple storyboard for a "${objectLabel}" video edit.
+Show 4-6 key frames as flat, simplified illustrations in a row or grid, each with a short caption (e.g. "Intro", "B-roll", "Title", "Outro").
+Below the frames, draw a simplified editing timeline: ${this.profile.storyboardTimeline}.
+Clean flat design with solid fills on a plain white background.
+This is NOT a screenshot of any software — do NOT show any application chrome, toolbars, menus, or panels.`;
+  }
+
+  _buildStepImagePrompt(objectLabel, stage, stepNumber) {
+    return `Show step ${stepNumber} of editing a "${objectLabel}" video.
+This step focuses on: ${stage.name} - ${stage.buildDescription}
+Show a simplified editing timeline at this point of the edit: ${this.profile.stepTimeline}.
+Clean flat design, solid fills, plain white background.
+This is NOT a screenshot of any software — no application chrome or toolbars.
+Include a small label "Step ${stepNumber}: ${stage.name}".`;
+  }
+}
+
+module.exports = VideoLessonCreator;
@@ -0,0 +1,38 @@
+/**
+ * Session languages offered on the pre-session screen. Codes are ISO 639-1,
+ * which both ElevenLabs STT (`language_code`) and multilingual TTS accept.
+ */
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English' },
+  es: { name: 'Spanish', nativeName: 'Español' },
+  fr: { name: 'French', nativeName: 'Français' },
+  de: { name: 'German', nativeName: 'Deutsch' },
+  it: { name: 'Italian', nativeName: 'Italiano' },
+  pt: { name: 'Portuguese', nativeName: 'Português' },
+  nl: { name: 'Dutch', nativeName: 'Nederlands' },
+  pl: { name: 'Polish', nativeName: 'Polski' },
+  tr: { name: 'Turkish', nativeName: 'Türkçe' },
+  ru: { name: 'Russian', nativeName: 'Русский' },
+  uk: { name: 'Ukrainian', nativeName: 'Українська' },
+  ar: { name: 'Arabic', nativeName: 'العربية' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी' },
+  id: { name: 'Indonesian', nativeName: 'Bahasa Indonesia' },
+  vi: { name: 'Vietnamese', nativeName: 'Tiếng Việt' },
+  zh: { name: 'Chinese', nativeName: '中文' },
+  ja: { name: 'Japanese', nativeName: '日本語' },
+  ko: { name: 'Korean', nativeName: '한국어' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+/** Language entry for `code`, falling back to English for unknown codes. */
+function getLanguage(code) {
+  const key = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+  return { code: key, ...LANGUAGES[key] };
+}
+
+function listLanguages() {
+  return Object.keys(LANGUAGES).map(getLanguage);
+}
+
+module.exports = { DEFAULT_LANGUAGE, getLanguage, listLanguages };
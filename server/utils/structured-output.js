@@ -0,0 +1,94 @@
+const logger = require('./logger');
+
+const TAG = 'StructuredOutput';
+
+/**
+ * Problems with `value` against the subset of JSON Schema our tool schemas
+ * use (type, properties, required, items, enum, minItems, maxItems,
+ * minLength), as "path: problem" strings. Empty when it is valid.
+ */
+function validateSchema(schema, value, at = 'input') {
+  const problems = [];
+  const type = schema.type;
+
+  if (type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${at}: expected an object`];
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${at}.${key}: missing`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) problems.push(...validateSchema(child, value[key], `${at}.${key}`));
+    }
+    return problems;
+  }
+
+  if (type === 'array') {
+    if (!Array.isArray(value)) return [`${at}: expected an array`];
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => problems.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+    return problems;
+  }
+
+  if (type === 'string') {
+    if (typeof value !== 'string') return [`${at}: expected a string`];
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) problems.push(`${at}: must not be empty`);
+  } else if (type === 'boolean' && typeof value !== 'boolean') {
+    return [`${at}: expected true or false`];
+  } else if ((type === 'number' || type === 'integer') && typeof value !== 'number') {
+    return [`${at}: expected a number`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  return problems;
+}
+
+/**
+ * Ask Claude for `tool`'s input with a forced tool call and validate it
+ * against the tool's input_schema. Invalid input is sent back as an error
+ * tool_result listing the problems, up to `repairAttempts` times; after that
+ * the call throws with the last problems, so callers can report what was
+ * wrong. Resolves with the validated input.
+ */
+async function requestStructured(claude, systemPrompt, messages, tool, images = [], { model, repairAttempts = 1, label = tool.name } = {}) {
+  const conversation = [...messages];
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await claude.getResponse(systemPrompt, conversation, [tool], images, {
+      model,
+      toolChoice: { type: 'tool', name: tool.name }
+    });
+
+    const call = response.content.find(c => c.type === 'tool_use' && c.name === tool.name);
+    const problems = call ? validateSchema(tool.input_schema, call.input) : [`no ${tool.name} call in the response`];
+    if (problems.length === 0) return call.input;
+
+    if (attempt >= repairAttempts || !call) {
+      throw Object.assign(new Error(`${label} did not match the expected format (${summarize(problems)})`), { problems });
+    }
+
+    logger.warn(TAG, `${label}: invalid ${tool.name} input, asking for a repair (${summarize(problems)})`);
+    conversation.push(
+      { role: 'assistant', content: response.content },
+      {
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: call.id,
+          is_error: true,
+          content: `The input does not match the schema:\n${problems.map(p => `- ${p}`).join('\n')}\nCall ${tool.name} again with the complete, corrected input.`
+        }]
+      }
+    );
+  }
+}
+
+function summarize(problems) {
+  const shown = problems.slice(0, 3).join('; ');
+  return problems.length > 3 ? `${shown}; and ${problems.length - 3} more` : shown;
+}
+
+module.exports = {
+  validateSchema,
+  requestStructured
+};
@@ -0,0 +1,75 @@
+/**
+ * Step-list edits behind the tutorial editing tools (Regenerate_Step,
+ * Insert_Step, Skip_Step, Reorder_Steps). An edit is the diff sent to the
+ * client as `tutorial_updated`:
+ *
+ *   { action: 'regenerate', step }    replace step `step.stepNumber`, keeping it skipped if it was
+ *   { action: 'insert', step }        insert at `step.stepNumber`, later steps move down
+ *   { action: 'skip', stepNumber }    mark the step skipped
+ *   { action: 'reorder', order }      `order` lists the old step numbers in their new order
+ *
+ * applyStepEdit() returns the new, renumbered list plus `from`, the old
+ * index of every new step (null for an inserted one), so callers can carry
+ * the current step and per-step state across the edit.
+ */
+function applyStepEdit(steps, edit) {
+  let next;
+  let from = steps.map((_, i) => i);
+
+  switch (edit.action) {
+    case 'regenerate':
+      // A rewritten step stays skipped if it was
+      next = steps.map((s, i) => (i === edit.step.stepNumber - 1 ? (s.skipped ? { ...edit.step, skipped: true } : edit.step) : s));
+      break;
+    case 'insert': {
+      const index = edit.step.stepNumber - 1;
+      next = [...steps.slice(0, index), edit.step, ...steps.slice(index)];
+      from = [...from.slice(0, index), null, ...from.slice(index)];
+      break;
+    }
+    case 'skip':
+      next = steps.map((s, i) => (i === edit.stepNumber - 1 ? { ...s, skipped: true } : s));
+      break;
+    case 'reorder':
+      from = edit.order.map(n => n - 1);
+      next = from.map(i => steps[i]);
+      break;
+    default:
+      throw new Error(`Unknown tutorial edit: ${edit.action}`);
+  }
+
+  return { steps: next.map((s, i) => ({ ...s, stepNumber: i + 1 })), from };
+}
+
+/**
+ * Where the learner is after an edit: on the same step as before, except that
+ * a step inserted at their position comes first, and skipping the step they
+ * are on moves them to the next step that isn't skipped.
+ */
+function currentIndexAfterEdit(steps, from, currentIndex, edit) {
+  let index = from.indexOf(currentIndex);
+  if (edit.action === 'insert' && edit.step.stepNumber - 1 === currentIndex) index = currentIndex;
+  if (index === -1) index = Math.min(currentIndex, steps.length);
+  return nextUnskippedIndex(steps, index);
+}
+
+/** `index`, or the first later step that isn't skipped (steps.length once none is left). */
+function nextUnskippedIndex(steps, index) {
+  while (index < steps.length && steps[index].skipped) index++;
+  return index;
+}
+
+/** Why `order` isn't a reordering of steps 1..count, or null if it is. */
+function orderProblem(order, count) {
+  if (!Array.isArray(order) || order.length !== count) return `order must list all ${count} step numbers`;
+  const sorted = [...order].sort((a, b) => a - b);
+  if (sorted.some((n, i) => n !== i + 1)) return `order must use each step number from 1 to ${count} once`;
+  return null;
+}
+
+module.exports = {
+  applyStepEdit,
+  currentIndexAfterEdit,
+  nextUnskippedIndex,
+  orderProblem
+};
@@ -0,0 +1,101 @@
+/**
+ * Structured tutorial steps. Lesson creators ask for each step's fields with
+ * a forced STEP_FIELDS_TOOL call and turn its validated input into step
+ * fields with stepFieldsFromInput(). `instruction` stays on every step as
+ * markdown built from those fields, for exports and tutorials saved before
+ * the fields existed.
+ */
+const STEP_FIELDS_TOOL = {
+  name: 'Report_Step_Instructions',
+  description: 'Report the instructions for one tutorial step.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      subSteps: {
+        type: 'array',
+        minItems: 1,
+        description: 'One action per entry, naming the exact tool, menu, panel or value to use',
+        items: { type: 'string', minLength: 1 }
+      },
+      expectedEndState: {
+        type: 'string',
+        minLength: 1,
+        description: 'One or two sentences on what the screen looks like once the step is done'
+      },
+      commonMistakes: {
+        type: 'array',
+        description: 'Mistakes learners often make in this step',
+        items: {
+          type: 'object',
+          properties: {
+            mistake: { type: 'string', minLength: 1, description: 'Something learners often get wrong in this step' },
+            fix: { type: 'string', description: 'How to notice it and put it right' }
+          },
+          required: ['mistake', 'fix']
+        }
+      },
+      hotkeys: {
+        type: 'array',
+        description: 'Shortcuts used in this step',
+        items: {
+          type: 'object',
+          properties: {
+            keys: { type: 'string', minLength: 1, description: 'The shortcut, e.g. Ctrl+B' },
+            action: { type: 'string', description: 'What it does in this step' }
+          },
+          required: ['keys', 'action']
+        }
+      }
+    },
+    required: ['subSteps', 'expectedEndState', 'commonMistakes', 'hotkeys']
+  }
+};
+
+/** Step fields from a validated STEP_FIELDS_TOOL input, with the markdown `instruction`. */
+function stepFieldsFromInput(input) {
+  const fields = {
+    subSteps: input.subSteps.map(s => s.trim()).filter(Boolean),
+    expectedEndState: input.expectedEndState.trim(),
+    commonMistakes: input.commonMistakes.map(m => ({ mistake: m.mistake.trim(), fix: m.fix.trim() })),
+    hotkeys: input.hotkeys.map(h => ({ keys: h.keys.trim(), action: h.action.trim() }))
+  };
+  return { instruction: instructionMarkdown(fields), ...fields };
+}
+
+/** Markdown rendering of the fields, kept as the step's `instruction`. */
+function instructionMarkdown({ subSteps, expectedEndState, commonMistakes, hotkeys }) {
+  const parts = [subSteps.map((s, i) => `${i + 1}. ${s}`).join('\n')];
+  if (expectedEndState) parts.push(`**Expected result:** ${expectedEndState}`);
+  if (commonMistakes.length) {
+    parts.push(`**Watch out for:**\n${commonMistakes.map(m => `- ${m.mistake}${m.fix ? ` — ${m.fix}` : ''}`).join('\n')}`);
+  }
+  if (hotkeys.length) {
+    parts.push(`**Hotkeys:** ${hotkeys.map(h => `\`${h.keys}\` ${h.action}`).join(' · ')}`);
+  }
+  return parts.join('\n\n');
+}
+
+/** Plain-text description of a step for prompts (tutor system prompt, step verifier). */
+function describeStep(step) {
+  if (step?.pending) {
+    const done = step.completionCriteria?.length ? `\nDone when: ${step.completionCriteria.join('; ')}` : '';
+    return `Instructions: still being written — coach from the step title for now.${done}`;
+  }
+  if (!step?.subSteps?.length) return `Instructions: ${step?.instruction || 'N/A'}`;
+
+  const lines = ['Sub-steps:', ...step.subSteps.map((s, i) => `${i + 1}. ${s}`)];
+  if (step.expectedEndState) lines.push(`Expected end state: ${step.expectedEndState}`);
+  if (step.completionCriteria?.length) lines.push(`Done when: ${step.completionCriteria.join('; ')}`);
+  if (step.commonMistakes?.length) {
+    lines.push('Common mistakes:', ...step.commonMistakes.map(m => `- ${m.mistake}${m.fix ? ` → ${m.fix}` : ''}`));
+  }
+  if (step.hotkeys?.length) lines.push(`Hotkeys: ${step.hotkeys.map(h => `${h.keys} (${h.action})`).join(', ')}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  STEP_FIELDS_TOOL,
+  stepFieldsFromInput,
+  instructionMarkdown,
+  describeStep
+};
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ClaudeService = require('../server/services/claude-service');
+
+const TOOLS = [
+  { name: 'Create_Tutorial', description: 'a', input_schema: { type: 'object' } },
+  { name: 'Suggested_HotKey', description: 'b', input_schema: { type: 'object' } }
+];
+
+function conversation() {
+  return [
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: [{ type: 'text', text: 'Hello.' }, { type: 'tool_use', id: 't1', name: 'Suggested_HotKey', input: {} }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: '{}' }] },
+    { role: 'assistant', content: 'Press Tab.' },
+    { role: 'user', content: 'check my screen' }
+  ];
+}
+
+function breakpoints(params) {
+  const blocks = [
+    ...(params.tools || []),
+    ...(Array.isArray(params.system) ? params.system : []),
+    ...params.messages.flatMap(m => (Array.isArray(m.content) ? m.content : []))
+  ];
+  return blocks.filter(b => b.cache_control).length;
+}
+
+describe('ClaudeService prompt caching', () => {
+  it('marks the last tool, first and last system sections and the conversation prefix', () => {
+    const claude = new ClaudeService('test', { promptCache: true });
+    const params = claude.buildParams(['stable prompt', 'session memory', 'current step'], conversation(), TOOLS, [], { cachePrefixLength: 4 });
+
+    assert.equal(params.tools[1].cache_control.type, 'ephemeral');
+    assert.equal(params.tools[0].cache_control, undefined);
+    assert.deepEqual(params.system.map(b => !!b.cache_control), [true, false, true]);
+    assert.deepEqual(params.messages[3].content, [{ type: 'text', text: 'Press Tab.', cache_control: { type: 'ephemeral' } }]);
+    assert.equal(params.messages[4].content, 'check my screen');
+    assert.equal(breakpoints(params), 4, 'no more than the API allows');
+  });
+
+  it('leaves messages uncached without a prefix length', () => {
+    const claude = new ClaudeService('test', { promptCache: true });
+    const params = claude.buildParams('one-off prompt', conversation(), [], []);
+
+    assert.deepEqual(params.system, [{ type: 'text', text: 'one-off prompt', cache_control: { type: 'ephemeral' } }]);
+    assert.equal(params.tools, undefined);
+    assert.equal(breakpoints(params), 1);
+  });
+
+  it('does not mutate the caller\'s conversation or tools', () => {
+    const claude = new ClaudeService('test', { promptCache: true });
+    const messages = conversation();
+    const before = JSON.parse(JSON.stringify(messages));
+    const tools = JSON.parse(JSON.stringify(TOOLS));
+
+    claude.buildParams(['a', 'b'], messages, tools, [], { cachePrefixLength: messages.length });
+
+    assert.deepEqual(messages, before);
+    assert.deepEqual(tools, TOOLS);
+  });
+
+  it('sends a plain system string when caching is off', () => {
+    const claude = new ClaudeService('test', { promptCache: false });
+    const params = claude.buildParams(['stable prompt', '', 'current step'], conversation(), TOOLS, [], { cachePrefixLength: 4 });
+
+    assert.equal(params.system, 'stable prompt\n\ncurrent step');
+    assert.equal(breakpoints(params), 0);
+  });
+
+  it('reports cache reads and writes per model', () => {
+    const claude = new ClaudeService('test');
+    claude.recordUsage('haiku', { input_tokens: 100, cache_creation_input_tokens: 900, cache_read_input_tokens: 0, output_tokens: 10 });
+    claude.recordUsage('haiku', { input_tokens: 100, cache_creation_input_tokens: 0, cache_read_input_tokens: 900, output_tokens: 5 });
+
+    assert.deepEqual(claude.usage.haiku, { requests: 2, input: 200, cacheRead: 900, cacheWrite: 900, output: 15 });
+    assert.match(claude.usageReport()[0], /^haiku: 2 requests, 2000 prompt tokens \(900 cache read, 900 cache write, 200 uncached — 45% hit\), 15 output$/);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ContextManager = require('../server/services/context-manager');
+const {
+  GatedClaude,
+  createTestModule,
+  startIdleSession,
+  waitFor,
+  conversationProblems
+} = require('./helpers/fakes');
+
+const LONG = 'x'.repeat(400); // ~100 tokens
+
+function longConversation(turns) {
+  const messages = [];
+  for (let i = 0; i < turns; i++) {
+    messages.push({ role: 'user', content: `question ${i} ${LONG}` });
+    messages.push({ role: 'assistant', content: `answer ${i} ${LONG}` });
+  }
+  return messages;
+}
+
+function toolRound(id) {
+  return [
+    { role: 'user', content: `make something ${LONG}` },
+    { role: 'assistant', content: [{ type: 'text', text: 'On it.' }, { type: 'tool_use', id, name: 'Create_Tutorial', input: {} }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: `{"success":true,"steps":"${LONG}"}` }] },
+    { role: 'assistant', content: 'Ready?' }
+  ];
+}
+
+describe('ContextManager', () => {
+  it('leaves a conversation under budget alone', async () => {
+    const claude = new GatedClaude();
+    const context = new ContextManager(claude, { summarizeAtTokens: 10000 });
+    const conversation = longConversation(4);
+
+    assert.equal(await context.compact(conversation), 0);
+    assert.equal(conversation.length, 8);
+    assert.equal(claude.requests.length, 0);
+  });
+
+  it('summarizes older turns into the memory block and keeps recent ones', async () => {
+    const claude = new GatedClaude();
+    const context = new ContextManager(claude, { summarizeAtTokens: 500, keepRecentMessages: 4 });
+    const conversation = longConversation(10);
+
+    const compacting = context.compact(conversation);
+    const request = await claude.nextRequest();
+    assert.match(request.messages[0].content, /question 0/);
+    request.respond([{ type: 'text', text: '- learner asked ten questions' }]);
+
+    assert.equal(await compacting, 16);
+    assert.equal(conversation.length, 4);
+    assert.match(conversation[0].content, /^question 8/);
+    assert.match(context.buildPromptBlock(), /--- SESSION MEMORY ---[\s\S]*ten questions/);
+  });
+
+  it('never splits a tool_use from its tool_result', async () => {
+    const claude = new GatedClaude();
+    const context = new ContextManager(claude, { summarizeAtTokens: 100, keepRecentMessages: 5 });
+    // Naive cut at length - 5 would land on the tool_result message
+    const conversation = [...longConversation(3), ...toolRound('toolu_a'), { role: 'user', content: 'next' }, { role: 'assistant', content: 'ok' }];
+
+    const compacting = context.compact(conversation);
+    (await claude.nextRequest()).respond([{ type: 'text', text: '- memory' }]);
+    await compacting;
+
+    assert.equal(conversation[0].role, 'user');
+    assert.ok(!conversation.some(m => Array.isArray(m.content) && m.content.some(b => b.type === 'tool_result')), 'the whole tool round was summarized');
+    assert.deepEqual(conversationProblems(conversation), []);
+  });
+
+  it('keeps messages appended while the summary was in flight', async () => {
+    const claude = new GatedClaude();
+    const context = new ContextManager(claude, { summarizeAtTokens: 500, keepRecentMessages: 2 });
+    const conversation = longConversation(6);
+
+    const compacting = context.compact(conversation);
+    const request = await claude.nextRequest();
+    conversation.push({ role: 'user', content: 'late question' }, { role: 'assistant', content: 'late answer' });
+    request.respond([{ type: 'text', text: '- memory' }]);
+    await compacting;
+
+    assert.deepEqual(conversation.map(m => m.content.slice(0, 13)), ['question 5 xx', 'answer 5 xxxx', 'late question', 'late answer']);
+    assert.deepEqual(conversationProblems(conversation), []);
+  });
+
+  it('counts screenshots inside tool results as images, not text', () => {
+    const image = { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'x'.repeat(40000) } };
+    const estimate = ContextManager.estimate([
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: [image, { type: 'text', text: 'y'.repeat(40) }] }] }
+    ]);
+
+    assert.deepEqual(estimate, { textTokens: 10, imageTokens: 1500 });
+  });
+
+  it('keeps the conversation when the summary fails', async () => {
+    const claude = new GatedClaude();
+    const context = new ContextManager(claude, { summarizeAtTokens: 500, keepRecentMessages: 4 });
+    const conversation = longConversation(10);
+
+    const compacting = context.compact(conversation);
+    (await claude.nextRequest()).fail(new Error('overloaded'));
+
+    assert.equal(await compacting, 0);
+    assert.equal(conversation.length, 20);
+    assert.equal(context.buildPromptBlock(), '');
+  });
+});
+
+describe('LiveAIModule context compaction', () => {
+  let current = null;
+  afterEach(() => {
+    current?.module.destroy();
+    current = null;
+  });
+
+  it('compacts after a reply and injects the memory into the next system prompt', async () => {
+    current = createTestModule();
+    const { module, claude } = current;
+    await startIdleSession(module, claude);
+    clearInterval(module.recurringCheckInterval);
+    module.context.summarizeAtTokens = 300;
+    module.context.keepRecentMessages = 2;
+
+    for (let i = 0; i < 3; i++) {
+      module.stt.emit('committed_transcript', `question ${i} ${LONG}`);
+      const reply = await claude.nextRequest();
+      reply.respond([{ type: 'text', text: `answer ${i}.` }]);
+      await waitFor(() => !module.isProcessing, { message: `reply ${i}` });
+      if (module.context.isCompacting) break;
+    }
+
+    const summary = await claude.nextRequest();
+    assert.equal(summary.method, 'response');
+    summary.respond([{ type: 'text', text: '- learner is asking numbered questions' }]);
+    await waitFor(() => !module.context.isCompacting, { message: 'compaction' });
+
+    module.stt.emit('committed_transcript', 'and another');
+    const next = await claude.nextRequest();
+    assert.match(next.systemPrompt.join('\n'), /SESSION MEMORY[\s\S]*numbered questions/);
+    assert.deepEqual(conversationProblems(next.messages), []);
+    assert.ok(next.messages.length < 8, `conversation was compacted (${next.messages.length} messages)`);
+  });
+});
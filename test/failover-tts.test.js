@@ -0,0 +1,186 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const TTSProvider = require('../server/services/tts-provider');
+const FailoverTTS = require('../server/services/failover-tts');
+const LocalTTS = require('../server/services/local-tts');
+
+/** Voice stand-in that records every call; the test emits its events. */
+class FakeVoice extends TTSProvider {
+  constructor({ failConnect = false } = {}) {
+    super();
+    this.failConnect = failConnect;
+    this.calls = [];
+  }
+
+  async connect() {
+    this.calls.push(['connect']);
+    if (this.failConnect) throw new Error('no engine');
+    this.connected = true;
+  }
+
+  async sendText(text) {
+    this.calls.push(['sendText', text]);
+  }
+
+  async sendTextChunk(chunk) {
+    this.calls.push(['sendTextChunk', chunk]);
+  }
+
+  async flush() {
+    this.calls.push(['flush']);
+  }
+
+  async closeStream() {
+    this.calls.push(['closeStream']);
+  }
+
+  interrupt() {
+    this.calls.push(['interrupt']);
+  }
+
+  disconnect() {
+    this.connected = false;
+  }
+}
+
+// The fakes settle in microtasks, so one macrotask lets a failover run to the end
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function createVoices(fallbackOptions) {
+  const primary = new FakeVoice();
+  const fallback = new FakeVoice(fallbackOptions);
+  const tts = new FailoverTTS(primary, fallback);
+  const audio = [];
+  tts.on('audio_chunk', (chunk) => audio.push(chunk));
+  return { primary, fallback, tts, audio };
+}
+
+describe('FailoverTTS', () => {
+  it('replays an unspoken reply on the fallback voice', async () => {
+    const { primary, fallback, tts, audio } = createVoices();
+    await tts.connect();
+    await tts.sendTextChunk('Select the cube. ');
+    await tts.sendTextChunk('Press Tab.');
+    await tts.flush();
+    await tts.closeStream();
+
+    primary.emit('provider_error', new Error('quota_exceeded'));
+    await settle();
+
+    assert.deepEqual(fallback.calls, [['connect'], ['sendTextChunk', 'Select the cube. Press Tab.'], ['flush'], ['closeStream']]);
+    assert.deepEqual(primary.calls.at(-1), ['interrupt']);
+
+    primary.emit('audio_chunk', 'late');
+    fallback.emit('audio_chunk', 'local');
+    assert.deepEqual(audio, ['local'], 'only the active voice is heard');
+
+    await tts.sendTextChunk('Next. ');
+    assert.deepEqual(fallback.calls.at(-1), ['sendTextChunk', 'Next. ']);
+  });
+
+  it('does not replay a reply the primary already started speaking', async () => {
+    const { primary, fallback, tts, audio } = createVoices();
+    await tts.sendTextChunk('Select the cube. ');
+    primary.emit('audio_chunk', 'spoken');
+
+    primary.emit('provider_error', new Error('quota_exceeded'));
+    await settle();
+
+    assert.deepEqual(fallback.calls, [['connect']]);
+    assert.deepEqual(audio, ['spoken']);
+  });
+
+  it('fails over once, and keeps trying the primary after a transient rejection', async () => {
+    const { primary, fallback, tts } = createVoices();
+    primary.sendTextChunk = async () => { throw new Error('socket closed'); };
+    await tts.sendTextChunk('Hello. ');
+    assert.equal(tts.active, primary, 'a rejected call is not a failover');
+
+    primary.emit('provider_error', new Error('quota_exceeded'));
+    primary.emit('provider_error', new Error('invalid_api_key'));
+    await settle();
+
+    assert.equal(fallback.calls.filter(([method]) => method === 'connect').length, 1);
+    assert.equal(tts.active, fallback);
+  });
+
+  it('reports a provider_error when the fallback voice cannot start', async () => {
+    const { primary, tts } = createVoices({ failConnect: true });
+    const errors = [];
+    tts.on('provider_error', (err) => errors.push(err.message));
+
+    primary.emit('provider_error', new Error('quota_exceeded'));
+    await settle();
+    assert.deepEqual(errors, ['no engine']);
+  });
+});
+
+describe('ElevenLabsTTS connect failures', () => {
+  let previousBaseUrl;
+  before(() => {
+    previousBaseUrl = process.env.ELEVENLABS_BASE_URL;
+    // Nothing listens on port 1, so every connect is refused at once
+    process.env.ELEVENLABS_BASE_URL = 'ws://127.0.0.1:1';
+  });
+  after(() => {
+    if (previousBaseUrl === undefined) delete process.env.ELEVENLABS_BASE_URL;
+    else process.env.ELEVENLABS_BASE_URL = previousBaseUrl;
+  });
+
+  it('reports a provider_error only after three refused connects in a row', async () => {
+    const ElevenLabsTTS = require('../server/services/elevenlabs-tts');
+    const tts = new ElevenLabsTTS('key', 'voice');
+    const errors = [];
+    tts.on('provider_error', (err) => errors.push(err.message));
+
+    await tts.sendTextChunk('One. ');
+    await tts.sendTextChunk('Two. ');
+    assert.deepEqual(errors, []);
+
+    await tts.sendTextChunk('Three. ');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /unreachable after 3 attempts/);
+    tts.disconnect();
+  });
+});
+
+describe('LocalTTS', () => {
+  // Answers each sentence with 4800 bytes (100ms at 24 kHz) of raw PCM
+  const script = "process.stdin.resume(); process.stdin.on('end', () => process.stdout.write(Buffer.alloc(4800, 1)))";
+  const command = `"${process.execPath}" -e "${script}"`;
+
+  it('synthesizes each finished sentence and completes after the last one', async () => {
+    const tts = new LocalTTS({ command, sampleRate: 24000 });
+    const events = [];
+    tts.on('audio_chunk', (chunk) => events.push(['audio', Buffer.from(chunk, 'base64').length]));
+    tts.on('generation_complete', () => events.push(['complete']));
+
+    await tts.connect();
+    await tts.sendTextChunk('Select the cube. Press');
+    await tts.sendTextChunk(' Tab');
+    await tts.flush();
+    await tts.closeStream();
+    await tts.queue;
+
+    assert.deepEqual(events, [['audio', 4800], ['audio', 4800], ['complete']]);
+  });
+
+  it('drops queued speech on interrupt', async () => {
+    const tts = new LocalTTS({ command, sampleRate: 24000 });
+    const events = [];
+    tts.on('audio_chunk', () => events.push('audio'));
+    tts.on('generation_complete', () => events.push('complete'));
+
+    await tts.connect();
+    await tts.sendTextChunk('First sentence. Second sentence. ');
+    await tts.closeStream();
+    tts.interrupt();
+    await tts.queue;
+
+    assert.deepEqual(events, []);
+  });
+
+  it('refuses to connect without a command', async () => {
+    await assert.rejects(new LocalTTS({ command: '' }).connect(), /LOCAL_TTS_COMMAND is not set/);
+  });
+});
@@ -0,0 +1,265 @@
+const LiveAIModule = require('../../server/live-ai-module');
+const {
+  ReplaySTT,
+  ReplayTTS,
+  MemoryTutorialStore,
+  MemoryLearnerProfileStore,
+  FakeSocket
+} = require('../../server/replay/stubs');
+
+/**
+ * Claude stand-in whose requests stay pending until the test answers them, so
+ * a test can interrupt at an exact point: mid-stream, during a tool call, or
+ * while a recurring check is waiting. Every request's messages are snapshotted
+ * for validation.
+ */
+class GatedClaude {
+  constructor() {
+    this.model = 'test';
+    this.requests = [];
+    this.waiters = [];
+    this.activeStream = null;
+  }
+
+  getStreamingResponse(systemPrompt, messages, tools, images, onTextChunk) {
+    const request = this._open('stream', systemPrompt, messages);
+    request.onTextChunk = onTextChunk;
+    this.activeStream = request;
+    return request.promise.finally(() => {
+      if (this.activeStream === request) this.activeStream = null;
+    });
+  }
+
+  getResponse(systemPrompt, messages, tools = [], images = [], options = {}) {
+    const request = this._open('response', systemPrompt, messages);
+    request.tools = tools;
+    request.options = options;
+    return request.promise;
+  }
+
+  abortStream() {
+    if (this.activeStream) {
+      this.activeStream.fail(new Error('Request was aborted.'));
+      this.activeStream = null;
+    }
+  }
+
+  /** Resolves with the next request — already made, or the next one to arrive. */
+  nextRequest({ timeoutMs = 2000 } = {}) {
+    const unseen = this.requests.find(r => !r.seen);
+    if (unseen) {
+      unseen.seen = true;
+      return Promise.resolve(unseen);
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timed out waiting for a Claude request')), timeoutMs);
+      this.waiters.push((request) => {
+        clearTimeout(timer);
+        request.seen = true;
+        resolve(request);
+      });
+    });
+  }
+
+  _open(method, systemPrompt, messages) {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    const request = {
+      method,
+      systemPrompt,
+      messages: JSON.parse(JSON.stringify(messages)),
+      promise,
+      settled: false,
+      seen: false,
+      /** Answer with content blocks; a stream gets its text streamed first. */
+      respond(content) {
+        if (request.settled) return;
+        if (method === 'stream' && request.onTextChunk) {
+          for (const block of content) {
+            if (block.type === 'text') request.onTextChunk(block.text);
+          }
+        }
+        request.settled = true;
+        resolve({ content, stop_reason: content.some(b => b.type === 'tool_use') ? 'tool_use' : 'end_turn' });
+      },
+      fail(err) {
+        if (request.settled) return;
+        request.settled = true;
+        reject(err);
+      }
+    };
+    this.requests.push(request);
+    const waiter = this.waiters.shift();
+    if (waiter) waiter(request);
+    return request;
+  }
+}
+
+/** Lesson creator whose generate() stays pending until release(). */
+class GatedLessonCreator {
+  constructor() {
+    this.calls = [];
+    this.stepCalls = [];
+  }
+
+  /**
+   * Each call waits for the test. `outline()` and `step(n)` stream as the real
+   * lesson creators do; `release()` returns the finished tutorial.
+   */
+  generate(objectLabel, proficiency, { learner, onOutline, onStep } = {}) {
+    const tutorial = makeTutorial(objectLabel, proficiency);
+    return new Promise((resolve, reject) => {
+      this.calls.push({
+        objectLabel,
+        proficiency,
+        learner,
+        outline: () => onOutline?.({
+          ...tutorial,
+          steps: tutorial.steps.map(s => ({ stepNumber: s.stepNumber, title: s.title, pending: true, completionCriteria: s.completionCriteria }))
+        }),
+        step: (stepNumber) => onStep?.(tutorial.steps[stepNumber - 1]),
+        release: () => resolve(tutorial),
+        fail: (err) => reject(err)
+      });
+    });
+  }
+
+  /** Tutorial edits wait for the test too: `release()` resolves with the written step. */
+  generateStep(tutorial, edit) {
+    return new Promise((resolve, reject) => {
+      this.stepCalls.push({
+        tutorial,
+        edit,
+        release: (fields = {}) => resolve({
+          stepNumber: edit.stepNumber,
+          title: `Written ${edit.stepNumber}`,
+          instruction: `Do written part ${edit.stepNumber}.`,
+          completionCriteria: [`Written part ${edit.stepNumber} exists`],
+          ...fields
+        }),
+        fail: (err) => reject(err)
+      });
+    });
+  }
+}
+
+function makeTutorial(objectLabel, proficiency, totalSteps = 3) {
+  return {
+    objectLabel,
+    proficiency,
+    totalSteps,
+    steps: Array.from({ length: totalSteps }, (_, i) => ({
+      stepNumber: i + 1,
+      title: `Step ${i + 1}`,
+      instruction: `Do part ${i + 1}.`,
+      completionCriteria: [`Part ${i + 1} exists`, `Part ${i + 1} is in place`]
+    })),
+    metadata: { sessionId: `tut-${objectLabel.replace(/\W+/g, '-')}`, toolType: 'blender', language: 'en' }
+  };
+}
+
+/**
+ * A LiveAIModule wired to fakes only. Returns the module plus handles on each
+ * fake; call `module.destroy()` when done so the recurring-check interval stops.
+ */
+function createTestModule({ learnerProfiles = new MemoryLearnerProfileStore() } = {}) {
+  const claude = new GatedClaude();
+  const lessonCreator = new GatedLessonCreator();
+  const socket = new FakeSocket('test');
+  const module = new LiveAIModule({
+    createClaude: () => claude,
+    createSTT: () => new ReplaySTT(),
+    createTTS: () => new ReplayTTS(),
+    createLessonCreator: () => lessonCreator,
+    createRecorder: () => null,
+    createTutorialStore: () => new MemoryTutorialStore(),
+    createLearnerProfileStore: () => learnerProfiles
+  });
+  module.initialize(socket);
+  return { module, claude, lessonCreator, socket, learnerProfiles };
+}
+
+/** Start a session and answer the greeting, leaving the module idle. */
+async function startIdleSession(module, claude, data = { toolType: 'blender' }) {
+  const started = module.startSession(data);
+  const greeting = await claude.nextRequest();
+  greeting.respond([{ type: 'text', text: 'Hi there.' }]);
+  await started;
+}
+
+/**
+ * Replace the tool's recurring-check timing with a fast one, for this module
+ * only. The default stuck threshold checks even an unchanged screen every time.
+ */
+function useFastRecurringCheck(module, { intervalMs = 10, stuckThresholdMs = 1 } = {}) {
+  clearInterval(module.recurringCheckInterval);
+  module.config = { ...module.config, recurringCheck: { enabled: true, intervalMs, idleThresholdMs: 1, stuckThresholdMs } };
+  module.startRecurringCheck();
+}
+
+async function waitFor(predicate, { timeoutMs = 2000, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * The Messages API rules LiveAIModule must keep: starts with a user turn, roles
+ * alternate, no empty content, and every tool_use is answered by tool_results
+ * in the very next user message (and vice versa). Returns a list of problems.
+ */
+function conversationProblems(messages) {
+  const problems = [];
+  const blocksOf = (msg) => (Array.isArray(msg.content) ? msg.content : []);
+
+  if (messages[0]?.role !== 'user') problems.push('first message is not from the user');
+
+  messages.forEach((msg, i) => {
+    if (i > 0 && messages[i - 1].role === msg.role) {
+      problems.push(`messages ${i - 1} and ${i} are both ${msg.role}`);
+    }
+    const empty = typeof msg.content === 'string' ? !msg.content.trim() : !msg.content?.length;
+    if (empty) problems.push(`message ${i} has empty content`);
+
+    const toolUseIds = blocksOf(msg).filter(b => b.type === 'tool_use').map(b => b.id);
+    if (toolUseIds.length > 0) {
+      const next = messages[i + 1];
+      const resultIds = next ? blocksOf(next).filter(b => b.type === 'tool_result').map(b => b.tool_use_id) : [];
+      for (const id of toolUseIds) {
+        if (!resultIds.includes(id)) problems.push(`tool_use ${id} in message ${i} has no tool_result`);
+      }
+    }
+
+    const resultIds = blocksOf(msg).filter(b => b.type === 'tool_result').map(b => b.tool_use_id);
+    if (resultIds.length > 0) {
+      const previous = messages[i - 1];
+      const useIds = previous ? blocksOf(previous).filter(b => b.type === 'tool_use').map(b => b.id) : [];
+      for (const id of resultIds) {
+        if (!useIds.includes(id)) problems.push(`tool_result ${id} in message ${i} has no matching tool_use`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/** Screenshots in a message list, including those inside tool_result blocks. */
+function countImages(messages) {
+  const count = (blocks) => blocks.reduce((n, b) => n + (b.type === 'image' ? 1 : 0)
+    + (b.type === 'tool_result' && Array.isArray(b.content) ? count(b.content) : 0), 0);
+  return messages.reduce((n, msg) => n + (Array.isArray(msg.content) ? count(msg.content) : 0), 0);
+}
+
+module.exports = {
+  GatedClaude,
+  GatedLessonCreator,
+  makeTutorial,
+  createTestModule,
+  startIdleSession,
+  useFastRecurringCheck,
+  waitFor,
+  conversationProblems,
+  countImages
+};
@@ -0,0 +1,175 @@
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiveAIModule = require('../server/live-ai-module');
+const LearnerProfileStore = require('../server/services/learner-profile-store');
+const BlenderLessonCreator = require('../server/tools/blender/lesson-creator-agent');
+const { MemoryLearnerProfileStore } = require('../server/replay/stubs');
+const { makeTutorial, createTestModule, waitFor } = require('./helpers/fakes');
+
+describe('LearnerProfileStore', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'learner-profile-'));
+  after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  it('keeps each tool\'s profile across store instances', () => {
+    const filePath = path.join(rootDir, 'profile.json');
+    const store = new LearnerProfileStore(filePath);
+    store.recordSession('blender');
+    store.setSkillLevel('blender', 'beginner');
+    store.recordHotkey('blender', 'Tab', 'Toggle Edit Mode');
+    store.recordMistake('blender', 'Scaling in Object Mode');
+    store.recordMistake('blender', 'scaling in object mode');
+
+    const tutorial = makeTutorial('mug', 'beginner', 3);
+    tutorial.steps[1].skipped = true;
+    tutorial.steps[0].hotkeys = [{ keys: 'tab', action: 'Toggle Edit Mode' }];
+    tutorial.steps[1].hotkeys = [{ keys: 'Ctrl+R', action: 'Loop cut' }];
+    store.recordTutorial('blender', tutorial);
+    store.recordTutorial('blender', tutorial);
+
+    const profile = new LearnerProfileStore(filePath).get('blender');
+    assert.equal(profile.sessions, 1);
+    assert.equal(profile.skillLevel, 'beginner');
+    assert.deepEqual(profile.tutorials.map(t => [t.objectLabel, t.skippedSteps]), [['mug', 1]]);
+    assert.deepEqual(profile.hotkeys.map(h => [h.keys, h.count]), [['Tab', 2]], 'hotkeys of skipped steps are not learned');
+    assert.deepEqual(profile.mistakes.map(m => [m.mistake, m.count]), [['Scaling in Object Mode', 2]]);
+    assert.equal(new LearnerProfileStore(filePath).get('figma').sessions, 0);
+  });
+
+  it('describes returning learners in a prompt block', () => {
+    assert.equal(LearnerProfileStore.buildPromptBlock(new MemoryLearnerProfileStore().get('blender'), 'Blender'), '');
+
+    const store = new MemoryLearnerProfileStore();
+    store.recordSession('blender');
+    store.recordSession('blender');
+    store.setSkillLevel('blender', 'intermediate');
+    store.recordTutorial('blender', makeTutorial('chair', 'beginner'));
+    store.recordMistake('blender', 'Forgetting to apply scale');
+    store.recordMistake('blender', 'Forgetting to apply scale');
+    store.recordMistake('blender', 'Extruding in the wrong direction');
+
+    const block = LearnerProfileStore.buildPromptBlock(store.get('blender'), 'Blender');
+    assert.match(block, /2 earlier sessions with Blender/);
+    assert.match(block, /Skill level: intermediate\. Don't ask about their level again/);
+    assert.match(block, /Finished tutorials: 1 beginner\. Most recent: chair \(beginner\)/);
+    assert.match(block, /Recurring mistakes: Forgetting to apply scale \(2×\)\./);
+    assert.doesNotMatch(block, /wrong direction/, 'one-off mistakes are not recurring');
+  });
+
+  it('sizes lessons up for learners with finished tutorials at their level', () => {
+    const agent = new BlenderLessonCreator();
+    const learner = { tutorials: [{ proficiency: 'beginner' }, { proficiency: 'beginner' }, { proficiency: 'advanced' }] };
+    assert.equal(agent._getStepCounts('beginner').subPieces, '3-4');
+    assert.equal(agent._getStepCounts('beginner', learner).subPieces, '4-6');
+    assert.equal(agent._getStepCounts('intermediate', learner).subPieces, '4-6');
+    assert.equal(agent._getStepCounts('advanced', { tutorials: [{ proficiency: 'advanced' }, { proficiency: 'advanced' }] }).subPieces, '5-8');
+    assert.match(agent._buildAnalysisPrompt('mug', 'beginner', true, learner), /into 4-6 buildable sub-pieces/);
+  });
+});
+
+describe('LiveAIModule learner profile', () => {
+  let current = null;
+  afterEach(() => {
+    current?.module.destroy();
+    current = null;
+  });
+
+  async function startSession(learnerProfiles) {
+    current = createTestModule({ learnerProfiles });
+    const { module, claude } = current;
+    const started = module.startSession({ toolType: 'blender' });
+    const greeting = await claude.nextRequest();
+    greeting.respond([{ type: 'text', text: 'Welcome back.' }]);
+    await started;
+    clearInterval(module.recurringCheckInterval);
+    return { ...current, greeting };
+  }
+
+  it('puts the profile in the system prompt and keeps it up to date', async () => {
+    const learnerProfiles = new MemoryLearnerProfileStore();
+    learnerProfiles.recordSession('blender');
+    learnerProfiles.setSkillLevel('blender', 'beginner');
+    learnerProfiles.recordHotkey('blender', 'G', 'Grab');
+    const { module, lessonCreator, greeting } = await startSession(learnerProfiles);
+
+    assert.match(greeting.systemPrompt[0], /--- LEARNER PROFILE ---[\s\S]*Skill level: beginner[\s\S]*already learned: G \(Grab\)/);
+    assert.equal(learnerProfiles.get('blender').sessions, 2);
+
+    const creating = module.handleToolCall('Create_Tutorial', { object_label: 'mug', proficiency: 'intermediate' }, 'toolu_1');
+    await waitFor(() => lessonCreator.calls.length === 1, { message: 'generate call' });
+    assert.equal(lessonCreator.calls[0].learner.skillLevel, 'intermediate');
+    lessonCreator.calls[0].release();
+    await creating;
+
+    await module.handleToolCall('Suggested_HotKey', { key_combo: 'Tab', description: 'Toggle Edit Mode' }, 'toolu_2');
+    const first = await module.handleToolCall('Note_Mistake', { mistake: 'Scaling in Object Mode' }, 'toolu_3');
+    const again = await module.handleToolCall('Note_Mistake', { mistake: 'scaling in object mode ' }, 'toolu_4');
+    assert.deepEqual([first.timesSeen, first.message], [1, undefined]);
+    assert.equal(again.timesSeen, 2);
+    assert.match(again.message, /2 times now/);
+
+    const profile = learnerProfiles.get('blender');
+    assert.deepEqual(profile.hotkeys.map(h => h.keys), ['G', 'Tab']);
+    assert.equal(profile.skillLevel, 'intermediate');
+  });
+
+  it('counts one session per start after a stop on the same socket', async () => {
+    const learnerProfiles = new MemoryLearnerProfileStore();
+    const { module, claude, socket } = await startSession(learnerProfiles);
+
+    // What server/index.js does on stop_session
+    module.destroy();
+    current.module = new LiveAIModule(module.services);
+    current.module.initialize(socket);
+    socket.receive('start_session', { toolType: 'blender' });
+    (await claude.nextRequest()).respond([{ type: 'text', text: 'Welcome back again.' }]);
+    await waitFor(() => !current.module.isProcessing, { message: 'second greeting' });
+    clearInterval(current.module.recurringCheckInterval);
+
+    assert.equal(learnerProfiles.get('blender').sessions, 2);
+    assert.equal(claude.requests.length, 2);
+  });
+
+  it('records a tutorial once the learner is past its last step', async () => {
+    const learnerProfiles = new MemoryLearnerProfileStore();
+    const { module } = await startSession(learnerProfiles);
+    module.currentTutorial = module.tutorialStore.save(makeTutorial('mug', 'beginner', 2));
+
+    await module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2, skip_verification: true }, 'toolu_1');
+    assert.deepEqual(learnerProfiles.get('blender').tutorials, []);
+
+    await module.handleToolCall('Skip_Step', { step_number: 2 }, 'toolu_2');
+    const [finished] = learnerProfiles.get('blender').tutorials;
+    assert.deepEqual([finished.objectLabel, finished.proficiency, finished.skippedSteps], ['mug', 'beginner', 1]);
+  });
+
+  it('finishes a tutorial when Progressed_Step moves one past its last step', async () => {
+    const learnerProfiles = new MemoryLearnerProfileStore();
+    const { module } = await startSession(learnerProfiles);
+    module.currentTutorial = module.tutorialStore.save(makeTutorial('mug', 'beginner', 2));
+
+    await module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2, skip_verification: true }, 'toolu_1');
+    const result = await module.handleToolCall('Progressed_Step', { previous_step: 2, current_step: 3, skip_verification: true }, 'toolu_2');
+
+    assert.deepEqual([result.success, result.finished], [true, true]);
+    assert.match(result.message, /mug tutorial is complete/);
+    assert.equal(module.tutorialStore.load(module.currentTutorial.metadata.sessionId).progress.completed, true);
+    assert.deepEqual(learnerProfiles.get('blender').tutorials.map(t => t.objectLabel), ['mug']);
+  });
+
+  it('rejects a current_step outside 1 to totalSteps + 1 without moving', async () => {
+    const { module } = await startSession(new MemoryLearnerProfileStore());
+    module.currentTutorial = module.tutorialStore.save(makeTutorial('mug', 'beginner', 2));
+    module.currentStepIndex = 1;
+
+    for (const current_step of [0, -1, 4, 2.5]) {
+      const result = await module.handleToolCall('Progressed_Step', { previous_step: 2, current_step, skip_verification: true }, 'toolu_1');
+      assert.equal(result.success, false, `current_step ${current_step}`);
+      assert.match(result.error, /between 1 and 3/);
+    }
+    assert.equal(module.currentStepIndex, 1);
+    assert.equal(module.tutorialStore.load(module.currentTutorial.metadata.sessionId).progress, undefined);
+  });
+});
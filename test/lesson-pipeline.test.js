@@ -0,0 +1,219 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LessonPipeline = require('../server/services/lesson-pipeline');
+const TutorialStore = require('../server/services/tutorial-store');
+const BlenderLessonCreator = require('../server/tools/blender/lesson-creator-agent');
+const { GatedClaude } = require('./helpers/fakes');
+
+function outlinePhase(count) {
+  return {
+    name: 'analysis',
+    run: () => ({
+      tutorial: {
+        totalSteps: count,
+        steps: Array.from({ length: count }, (_, i) => ({ stepNumber: i + 1, title: `Step ${i + 1}`, pending: true }))
+      }
+    })
+  };
+}
+
+describe('LessonPipeline', () => {
+  it('runs per-step phases side by side and streams each finished step', async () => {
+    const order = [];
+    const pipeline = new LessonPipeline([
+      outlinePhase(2),
+      { name: 'instructions', perStep: true, run: (ctx, step) => ({ instruction: `Do ${step.stepNumber}` }) },
+      { name: 'images', perStep: true, run: (ctx, step) => ({ imagePath: `step_${step.stepNumber}.png` }) },
+      { name: 'validation', run: (ctx) => { order.push(`validated ${ctx.tutorial.steps.length}`); } }
+    ], { retryDelayMs: 0 });
+
+    const ctx = await pipeline.run({}, {
+      onOutline: (outline) => order.push(`outline ${outline.steps.every(s => s.pending)}`),
+      onStep: (step) => order.push(`step ${step.stepNumber}`)
+    });
+
+    assert.deepEqual(order, ['outline true', 'step 1', 'step 2', 'validated 2']);
+    assert.deepEqual(ctx.tutorial.steps[1], { stepNumber: 2, title: 'Step 2', instruction: 'Do 2', imagePath: 'step_2.png' });
+    assert.deepEqual(Object.keys(ctx.metrics.phases), ['analysis', 'instructions', 'images', 'validation']);
+    assert.equal(ctx.metrics.phases.instructions.attempts, 2);
+  });
+
+  it('retries a failing phase and records every attempt', async () => {
+    let calls = 0;
+    const pipeline = new LessonPipeline([
+      outlinePhase(1),
+      {
+        name: 'instructions',
+        perStep: true,
+        run: () => {
+          if (++calls < 3) throw new Error('overloaded');
+          return { instruction: 'Done' };
+        }
+      }
+    ], { retries: { instructions: 2 }, retryDelayMs: 0 });
+
+    const ctx = await pipeline.run({});
+    assert.equal(ctx.tutorial.steps[0].instruction, 'Done');
+    assert.deepEqual(
+      { attempts: ctx.metrics.phases.instructions.attempts, failures: ctx.metrics.phases.instructions.failures },
+      { attempts: 3, failures: 2 }
+    );
+    assert.match(LessonPipeline.formatMetrics(ctx.metrics), /instructions 3×, max \d+\.\ds, 2 failed · total/);
+  });
+
+  it('carries on past optional phases and fallbacks, and fails on required ones', async () => {
+    const broken = () => { throw new Error('no image'); };
+    const ctx = await new LessonPipeline([
+      { name: 'reference', optional: true, run: broken },
+      outlinePhase(1),
+      { name: 'images', perStep: true, fallback: () => ({ imagePath: null }), run: broken }
+    ], { retryDelayMs: 0 }).run({});
+    assert.equal(ctx.tutorial.steps[0].imagePath, null);
+    assert.equal(ctx.metrics.phases.reference.failures, 1);
+
+    const failing = new LessonPipeline([outlinePhase(1), { name: 'instructions', perStep: true, run: broken }], { retryDelayMs: 0 });
+    await assert.rejects(failing.run({}), { message: 'no image', phase: 'instructions', stepNumber: 1 });
+  });
+});
+
+describe('LessonCreatorBase', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lessons-'));
+  after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  function createAgent() {
+    const agent = new BlenderLessonCreator();
+    agent.claude = new GatedClaude();
+    agent.store = new TutorialStore(rootDir);
+    agent.imageMode = 'off';
+    agent.config = { ...agent.config, pipeline: { retryDelayMs: 0 } };
+    return agent;
+  }
+
+  const toolUse = (name, input) => [{ type: 'tool_use', id: `toolu_${name}`, name, input }];
+  const analysis = (handleCriteria = ['A handle is attached']) => toolUse('Report_Analysis', {
+    subPieces: [
+      { name: 'Body', buildDescription: 'A cylinder', operations: ['Add cylinder'], completionCriteria: ['A cylinder exists'] },
+      { name: 'Handle', buildDescription: 'A torus', operations: ['Add torus'], completionCriteria: handleCriteria }
+    ]
+  });
+  const instruction = (n) => toolUse('Report_Step_Instructions', {
+    subSteps: [`Sub-step for ${n}`], expectedEndState: `${n} is built`, commonMistakes: [], hotkeys: []
+  });
+
+  async function answerInstructions(agent, count) {
+    for (let i = 0; i < count; i++) {
+      const request = await agent.claude.nextRequest();
+      const name = request.messages[0].content.match(/build the "(\w+)" sub-piece/)[1];
+      request.respond(instruction(name));
+    }
+  }
+
+  it('builds and saves a tutorial from forced tool calls', async () => {
+    const agent = createAgent();
+    const generating = agent.generate('mug', 'beginner');
+
+    const analysisRequest = await agent.claude.nextRequest();
+    assert.match(analysisRequest.messages[0].content, /Analyze the 3D object "mug"/);
+    assert.deepEqual(analysisRequest.options.toolChoice, { type: 'tool', name: 'Report_Analysis' });
+    analysisRequest.respond(analysis());
+    await answerInstructions(agent, 2);
+
+    const tutorial = await generating;
+    assert.deepEqual(tutorial.steps.map(s => [s.title, s.subSteps[0], s.blenderOperations[0]]), [
+      ['Body', 'Sub-step for Body', 'Add cylinder'],
+      ['Handle', 'Sub-step for Handle', 'Add torus']
+    ]);
+    assert.ok(tutorial.steps.every(s => !s.pending));
+    assert.equal(tutorial.metadata.toolType, 'blender');
+    assert.ok(tutorial.metadata.timings.phases.analysis);
+    assert.ok(fs.existsSync(path.join(rootDir, tutorial.metadata.sessionId, 'tutorial.json')));
+  });
+
+  it('sends schema problems back for a repair before accepting the analysis', async () => {
+    const agent = createAgent();
+    const generating = agent.generate('mug', 'beginner');
+
+    (await agent.claude.nextRequest()).respond(analysis([]));
+    const repair = await agent.claude.nextRequest();
+    const [, assistant, result] = repair.messages;
+    assert.equal(assistant.role, 'assistant');
+    assert.equal(result.content[0].is_error, true);
+    assert.match(result.content[0].content, /input\.subPieces\[1\]\.completionCriteria: needs at least 1 items/);
+    repair.respond(analysis());
+    await answerInstructions(agent, 2);
+
+    const tutorial = await generating;
+    assert.deepEqual(tutorial.steps[1].completionCriteria, ['A handle is attached']);
+    assert.equal(tutorial.metadata.timings.phases.analysis.failures, 0);
+  });
+
+  it('fails the run with the phase when the analysis stays invalid', async () => {
+    const agent = createAgent();
+    agent.config.pipeline.retries = { analysis: 0 };
+    const generating = agent.generate('mug', 'beginner');
+
+    (await agent.claude.nextRequest()).respond(analysis([]));
+    (await agent.claude.nextRequest()).respond([{ type: 'text', text: 'Here are the pieces.' }]);
+    await assert.rejects(generating, { phase: 'analysis', message: /The analysis did not match the expected format \(no Report_Analysis call/ });
+  });
+
+  it('writes a single step for tutorial editing', async () => {
+    const agent = createAgent();
+    const tutorial = {
+      objectLabel: 'mug',
+      proficiency: 'intermediate',
+      totalSteps: 2,
+      steps: [{ stepNumber: 1, title: 'Body', instruction: 'Add a cylinder.' }, { stepNumber: 2, title: 'Handle', instruction: 'Add a torus.' }],
+      metadata: { sessionId: 'edit-mug', language: 'en' }
+    };
+    const writing = agent.generateStep(tutorial, { stepNumber: 2, replace: true, direction: 'easier', request: 'the torus is confusing' });
+
+    const plan = await agent.claude.nextRequest();
+    assert.equal(plan.tools[0].name, 'Report_Step_Plan');
+    assert.match(plan.messages[0].content, /^Plan one step[\s\S]*1\. Body\n2\. Handle[\s\S]*Rewrite step 2, "Handle"[\s\S]*What was asked for: the torus is confusing\nMake this step easier/);
+    plan.respond(toolUse('Report_Step_Plan', { name: 'Simple handle', buildDescription: 'A bent cylinder', operations: ['Add cylinder'], completionCriteria: ['A handle is attached'] }));
+
+    const instructions = await agent.claude.nextRequest();
+    assert.match(instructions.messages[0].content, /for a beginner user to build the "Simple handle" sub-piece[\s\S]*Step number: 2 of 2[\s\S]*Make this step easier/);
+    instructions.respond(instruction('Simple handle'));
+
+    const step = await writing;
+    assert.deepEqual(
+      [step.stepNumber, step.title, step.subSteps[0], step.completionCriteria[0], step.pending],
+      [2, 'Simple handle', 'Sub-step for Simple handle', 'A handle is attached', undefined]
+    );
+  });
+
+  it('writes an edited step in the language the tutorial was generated in', async () => {
+    const agent = createAgent();
+    const tutorial = {
+      objectLabel: 'mug',
+      proficiency: 'beginner',
+      totalSteps: 1,
+      steps: [{ stepNumber: 1, title: 'Body', instruction: 'Add a cylinder.' }],
+      metadata: { sessionId: 'edit-mug-ja', language: 'ja' }
+    };
+    const writing = agent.generateStep(tutorial, { stepNumber: 2, request: 'add a handle' });
+
+    const plan = await agent.claude.nextRequest();
+    assert.match(plan.messages[0].content, /Write every text field in Japanese\./);
+    plan.respond(toolUse('Report_Step_Plan', { name: 'Handle', buildDescription: 'A torus', operations: ['Add torus'], completionCriteria: ['A handle is attached'] }));
+
+    const instructions = await agent.claude.nextRequest();
+    assert.match(instructions.messages[0].content, /Write every text field in Japanese\./);
+    instructions.respond(instruction('Handle'));
+    await writing;
+  });
+
+  it('fails the run when Claude itself fails', async () => {
+    const agent = createAgent();
+    const generating = agent.generate('mug', 'beginner');
+
+    (await agent.claude.nextRequest()).fail(new Error('overloaded'));
+    (await agent.claude.nextRequest()).fail(new Error('overloaded'));
+    await assert.rejects(generating, { message: 'overloaded', phase: 'analysis' });
+  });
+});
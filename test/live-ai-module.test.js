@@ -0,0 +1,490 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LiveAIModule = require('../server/live-ai-module');
+const {
+  createTestModule,
+  startIdleSession,
+  useFastRecurringCheck,
+  waitFor,
+  conversationProblems,
+  countImages
+} = require('./helpers/fakes');
+
+const INTERRUPTED = '[Response interrupted by user]';
+const FRAME = Buffer.from('frame').toString('base64');
+
+let current = null;
+
+function setup() {
+  current = createTestModule();
+  return current;
+}
+
+/** Fails with the list of problems if any request sent to Claude broke the Messages API rules. */
+function assertAllRequestsValid(claude) {
+  claude.requests.forEach((request, i) => {
+    assert.deepEqual(conversationProblems(request.messages), [], `request #${i} (${request.method})`);
+  });
+}
+
+afterEach(() => {
+  current?.module.destroy();
+  current = null;
+});
+
+describe('user/assistant alternation', () => {
+  it('inserts a placeholder when the user speaks before the greeting finished', async () => {
+    const { module, claude } = setup();
+
+    module.startSession({ toolType: 'blender' });
+    const greeting = await claude.nextRequest();
+
+    module.stt.emit('committed_transcript', 'Hello?');
+    const reply = await claude.nextRequest();
+    reply.respond([{ type: 'text', text: 'Hi!' }]);
+    await waitFor(() => !module.isProcessing, { message: 'reply to finish' });
+
+    assert.equal(greeting.settled, true, 'greeting stream was aborted');
+    assert.deepEqual(reply.messages.map(m => m.role), ['user', 'assistant', 'user']);
+    assert.equal(reply.messages[1].content, INTERRUPTED);
+    assertAllRequestsValid(claude);
+  });
+
+  it('keeps alternation across several interruptions in a row', async () => {
+    const { module, claude } = setup();
+    await startIdleSession(module, claude);
+
+    for (const text of ['one', 'two', 'three']) {
+      module.stt.emit('committed_transcript', text);
+      await claude.nextRequest();
+    }
+    const last = claude.requests[claude.requests.length - 1];
+    last.respond([{ type: 'text', text: 'Okay.' }]);
+    await waitFor(() => !module.isProcessing, { message: 'last reply to finish' });
+
+    assertAllRequestsValid(claude);
+    assert.deepEqual(conversationProblems(module.currentConversation), []);
+    const placeholders = module.currentConversation.filter(m => m.content === INTERRUPTED);
+    assert.equal(placeholders.length, 2);
+  });
+
+  it('closes an interrupted turn inside a recurring check commit', async () => {
+    const { module, claude, socket } = setup();
+    await startIdleSession(module, claude);
+    module.handleFrame(FRAME);
+
+    // Speech is detected mid-reply but never committed — the user turn is left open
+    module.stt.emit('committed_transcript', 'What now?');
+    await claude.nextRequest();
+    module.stt.emit('partial_transcript', 'hmm');
+    await waitFor(() => !module.isProcessing, { message: 'interrupted reply to unwind' });
+    assert.equal(module.currentConversation.at(-1).role, 'user');
+
+    socket.receive('audio_playback_ended');
+    useFastRecurringCheck(module);
+    const check = await claude.nextRequest();
+    assert.equal(check.method, 'response');
+    check.respond([{ type: 'text', text: 'Try extruding the top face.' }]);
+    await waitFor(() => module.currentConversation.at(-1).role === 'assistant', { message: 'check to commit' });
+
+    assertAllRequestsValid(claude);
+    assert.deepEqual(conversationProblems(module.currentConversation), []);
+  });
+});
+
+describe('orphaned tool_use', () => {
+  it('strips a tool_use whose tool call was interrupted, keeping the text', async () => {
+    const { module, claude, lessonCreator } = setup();
+    await startIdleSession(module, claude);
+
+    module.stt.emit('committed_transcript', 'I want to make a mug');
+    const request = await claude.nextRequest();
+    request.respond([
+      { type: 'text', text: 'Let me build that tutorial.' },
+      { type: 'tool_use', id: 'toolu_1', name: 'Create_Tutorial', input: { object_label: 'mug', proficiency: 'beginner' } }
+    ]);
+    await waitFor(() => lessonCreator.calls.length === 1, { message: 'Create_Tutorial call' });
+
+    module.stt.emit('committed_transcript', 'Actually, make it a cup');
+    lessonCreator.calls[0].release();
+    const next = await claude.nextRequest();
+    next.respond([{ type: 'text', text: 'Sure.' }]);
+    await waitFor(() => !module.isProcessing, { message: 'follow-up to finish' });
+
+    const stripped = next.messages.find(m => m.role === 'assistant' && m.content === 'Let me build that tutorial.');
+    assert.ok(stripped, 'assistant turn keeps its text without the tool_use');
+    assertAllRequestsValid(claude);
+  });
+
+  it('replaces a tool_use-only turn with the interrupted placeholder', () => {
+    const { module } = setup();
+    module.currentConversation = [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'Suggested_HotKey', input: {} }] },
+      { role: 'user', content: 'hello?' }
+    ];
+
+    module.sanitizeConversation();
+
+    assert.equal(module.currentConversation[1].content, INTERRUPTED);
+    assert.deepEqual(conversationProblems(module.currentConversation), []);
+  });
+
+  it('leaves answered tool_use blocks alone', () => {
+    const { module } = setup();
+    const answered = [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'Suggested_HotKey', input: {} }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{}' }] },
+      { role: 'assistant', content: 'Press Tab.' }
+    ];
+    module.currentConversation = JSON.parse(JSON.stringify(answered));
+
+    module.sanitizeConversation();
+
+    assert.deepEqual(module.currentConversation, answered);
+  });
+});
+
+describe('image pruning', () => {
+  const max = LiveAIModule.MAX_CONTEXT_IMAGES;
+
+  it(`keeps only the last ${max} screenshots in the conversation`, () => {
+    const { module } = setup();
+    module.latestFrame = FRAME;
+    module.currentConversation = [];
+    for (let i = 0; i < max + 3; i++) {
+      module.currentConversation.push({ role: 'user', content: module.buildUserContent(`turn ${i}`) });
+      module.currentConversation.push({ role: 'assistant', content: `reply ${i}` });
+    }
+
+    module.pruneOldImages();
+
+    assert.equal(countImages(module.currentConversation), max);
+    assert.equal(module.currentConversation[0].content, 'turn 0', 'pruned turns collapse to plain text');
+    assert.ok(Array.isArray(module.currentConversation.at(-2).content), 'latest turn keeps its image');
+  });
+
+  it(`never sends more than ${max} screenshots in a voice request`, async () => {
+    const { module, claude } = setup();
+    await startIdleSession(module, claude);
+    clearInterval(module.recurringCheckInterval);
+    module.handleFrame(FRAME);
+
+    for (let i = 0; i < max + 5; i++) {
+      module.stt.emit('committed_transcript', `turn ${i}`);
+      const request = await claude.nextRequest();
+      assert.ok(countImages(request.messages) <= max, `request for turn ${i} has ${countImages(request.messages)} images`);
+      request.respond([{ type: 'text', text: `reply ${i}` }]);
+      await waitFor(() => !module.isProcessing, { message: `reply ${i}` });
+    }
+
+    assertAllRequestsValid(claude);
+  });
+});
+
+describe('queued user messages', () => {
+  it('processes a message that arrived while a reply was winding down', async () => {
+    const { module, claude } = setup();
+    await startIdleSession(module, claude);
+
+    module.stt.emit('committed_transcript', 'First question');
+    const first = await claude.nextRequest();
+    module.stt.emit('committed_transcript', 'Second question');
+    assert.equal(module.hasPendingUserMessage, true);
+
+    const second = await claude.nextRequest();
+    assert.equal(first.settled, true, 'first stream was aborted');
+    assert.equal(second.messages.at(-1).content, 'Second question');
+    second.respond([{ type: 'text', text: 'Answer.' }]);
+    await waitFor(() => !module.isProcessing, { message: 'queued reply to finish' });
+
+    assert.equal(module.hasPendingUserMessage, false);
+    assert.equal(claude.requests.length, 3, 'greeting, first and queued request only');
+    assertAllRequestsValid(claude);
+  });
+
+  it('processes a message that arrived during a recurring check', async () => {
+    const { module, claude, socket } = setup();
+    await startIdleSession(module, claude);
+    module.handleFrame(FRAME);
+    socket.receive('audio_playback_ended');
+    useFastRecurringCheck(module);
+
+    const check = await claude.nextRequest();
+    module.stt.emit('committed_transcript', 'How do I bevel?');
+    assert.equal(module.hasPendingUserMessage, true);
+    check.respond([{ type: 'text', text: 'A tip nobody asked for.' }]);
+
+    const reply = await claude.nextRequest();
+    assert.equal(reply.method, 'stream');
+    reply.respond([{ type: 'text', text: 'Press Ctrl+B.' }]);
+    await waitFor(() => !module.isProcessing, { message: 'queued reply to finish' });
+
+    assert.equal(module.hasPendingUserMessage, false);
+    assertAllRequestsValid(claude);
+  });
+});
+
+describe('recurring check cancellation', () => {
+  async function startCheck() {
+    const context = setup();
+    await startIdleSession(context.module, context.claude);
+    context.module.handleFrame(FRAME);
+    context.socket.receive('audio_playback_ended');
+    useFastRecurringCheck(context.module);
+    context.check = await context.claude.nextRequest();
+    // Only this check: a later tick would start another that nobody answers
+    clearInterval(context.module.recurringCheckInterval);
+    return context;
+  }
+
+  it('discards a check answered after the user started speaking', async () => {
+    const { module, check, socket } = await startCheck();
+    const before = JSON.parse(JSON.stringify(module.currentConversation));
+
+    module.stt.emit('partial_transcript', 'wait');
+    check.respond([{ type: 'text', text: 'Stale tip.' }]);
+    await waitFor(() => !module.isRecurringCheckRunning, { message: 'check to finish' });
+
+    assert.deepEqual(module.currentConversation, before);
+    assert.ok(!socket.outbound.some(e => e.args[0] === 'Stale tip.'), 'stale tip never reached the client');
+  });
+
+  it('discards tool rounds when cancelled before the follow-up', async () => {
+    const { module, claude, check } = await startCheck();
+    const before = module.currentConversation.length;
+
+    check.respond([
+      { type: 'text', text: 'Use this shortcut.' },
+      { type: 'tool_use', id: 'toolu_check', name: 'Suggested_HotKey', input: { key_combo: 'Tab', description: 'Edit mode' } }
+    ]);
+    const followUp = await claude.nextRequest();
+    module.stt.emit('partial_transcript', 'no thanks');
+    followUp.respond([{ type: 'text', text: 'Then press Tab.' }]);
+    await waitFor(() => !module.isRecurringCheckRunning, { message: 'check to finish' });
+
+    assert.equal(module.currentConversation.length, before, 'nothing from the check was committed');
+    assert.ok(!module.currentConversation.some(m => Array.isArray(m.content) && m.content.some(b => b.id === 'toolu_check')));
+    assertAllRequestsValid(claude);
+  });
+
+  it('commits the whole check atomically when not cancelled', async () => {
+    const { module, claude, check } = await startCheck();
+    const before = module.currentConversation.length;
+
+    check.respond([
+      { type: 'text', text: 'Use this shortcut.' },
+      { type: 'tool_use', id: 'toolu_check', name: 'Suggested_HotKey', input: { key_combo: 'Tab', description: 'Edit mode' } }
+    ]);
+    const followUp = await claude.nextRequest();
+    followUp.respond([{ type: 'text', text: 'Then press Tab.' }]);
+    await waitFor(() => module.currentConversation.length > before, { message: 'check to commit' });
+    clearInterval(module.recurringCheckInterval);
+
+    assert.deepEqual(module.currentConversation.slice(before).map(m => m.role), ['user', 'assistant', 'user', 'assistant']);
+    assert.deepEqual(conversationProblems(module.currentConversation), []);
+    assertAllRequestsValid(claude);
+  });
+});
+
+describe('screen change detection', () => {
+  const OTHER_FRAME = Buffer.from('another frame').toString('base64');
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function startWatching(options) {
+    const context = setup();
+    await startIdleSession(context.module, context.claude);
+    context.module.handleFrame(FRAME);
+    context.socket.receive('audio_playback_ended');
+    useFastRecurringCheck(context.module, options);
+    return context;
+  }
+
+  it('skips checks until the screen changes', async () => {
+    const { module, claude } = await startWatching({ stuckThresholdMs: 60000 });
+
+    (await claude.nextRequest()).respond([{ type: 'text', text: '[NO_GUIDANCE_NEEDED]' }]);
+    await waitFor(() => !module.isRecurringCheckRunning, { message: 'first check' });
+    module.handleFrame(FRAME); // an exact repeat is not a change
+    await sleep(60);
+    assert.equal(claude.requests.length, 2, 'greeting and one check only');
+
+    module.handleFrame(OTHER_FRAME);
+    const check = await claude.nextRequest();
+    assert.equal(check.messages.at(-1).content[0].source.data, OTHER_FRAME);
+    assert.doesNotMatch(check.messages.at(-1).content[1].text, /may be stuck/);
+  });
+
+  it('does not re-check a screen Claude saw in a voice turn', async () => {
+    const { module, claude } = await startWatching({ stuckThresholdMs: 60000 });
+    clearInterval(module.recurringCheckInterval);
+
+    module.stt.emit('committed_transcript', 'What should I do?');
+    (await claude.nextRequest()).respond([{ type: 'text', text: 'Add a cube.' }]);
+    await waitFor(() => !module.isProcessing, { message: 'reply' });
+    module.lastUserInputAt = 0;
+    useFastRecurringCheck(module, { stuckThresholdMs: 60000 });
+    await sleep(60);
+
+    assert.equal(claude.requests.length, 2, 'greeting and the voice reply only');
+  });
+
+  it('checks an unchanged screen once the stuck timer expires', async () => {
+    const { module, claude } = await startWatching({ stuckThresholdMs: 80 });
+
+    (await claude.nextRequest()).respond([{ type: 'text', text: '[NO_GUIDANCE_NEEDED]' }]);
+    await waitFor(() => !module.isRecurringCheckRunning, { message: 'first check' });
+    const firstCheckedAt = Date.now();
+
+    const stuck = await claude.nextRequest();
+    assert.ok(Date.now() - firstCheckedAt >= 60, 'waited for the stuck timer');
+    assert.match(stuck.messages.at(-1).content[1].text, /screen has not changed in \d+s — the user may be stuck/);
+  });
+});
+
+describe('screen region capture', () => {
+  const REGION = { x: 0.75, y: 0, width: 0.25, height: 1 };
+
+  function captureRequests(socket) {
+    return socket.outbound.filter(e => e.event === 'capture_region').map(e => e.args[0]);
+  }
+
+  it('resolves with the crop the client sends back', async () => {
+    const { module, socket } = setup();
+
+    const capture = module.requestScreenCapture(REGION, { maxEdge: 1568 });
+    const [request] = captureRequests(socket);
+    assert.deepEqual(request.region, REGION);
+    assert.equal(request.maxEdge, 1568);
+
+    socket.receive('region_frame', { requestId: 'capture-999', image: 'stray' });
+    socket.receive('region_frame', { requestId: request.requestId, image: FRAME, width: 480, height: 1080 });
+
+    assert.deepEqual(await capture, { image: FRAME, width: 480, height: 1080 });
+    assert.equal(module.pendingCaptures.size, 0);
+  });
+
+  it('passes on a client error', async () => {
+    const { module, socket } = setup();
+
+    const capture = module.requestScreenCapture();
+    const [request] = captureRequests(socket);
+    socket.receive('region_frame', { requestId: request.requestId, error: 'Screen share is not active' });
+
+    assert.deepEqual(await capture, { error: 'Screen share is not active' });
+  });
+
+  it('times out when the client never answers, ignoring a late reply', async () => {
+    const { module, socket } = setup();
+
+    const result = await module.requestScreenCapture(REGION, { timeoutMs: 20 });
+    assert.match(result.error, /timed out/);
+
+    const [request] = captureRequests(socket);
+    socket.receive('region_frame', { requestId: request.requestId, image: FRAME });
+    assert.equal(module.pendingCaptures.size, 0);
+  });
+
+  it('settles pending captures when the session ends', async () => {
+    const { module } = setup();
+
+    const capture = module.requestScreenCapture(REGION);
+    module.destroy();
+
+    assert.deepEqual(await capture, { error: 'Session ended' });
+  });
+});
+
+describe('Inspect_Screen tool', () => {
+  function inspectCall(input, id = 'toolu_inspect') {
+    return [
+      { type: 'text', text: 'Let me take a closer look.' },
+      { type: 'tool_use', id, name: 'Inspect_Screen', input }
+    ];
+  }
+
+  async function answerCapture(socket, reply) {
+    await waitFor(() => socket.outbound.some(e => e.event === 'capture_region'), { message: 'capture request' });
+    const request = socket.outbound.find(e => e.event === 'capture_region').args[0];
+    socket.receive('region_frame', { requestId: request.requestId, ...reply });
+    return request;
+  }
+
+  it('returns a zoomed region capture as an image in the tool_result', async () => {
+    const { module, claude, socket } = setup();
+    await startIdleSession(module, claude);
+    clearInterval(module.recurringCheckInterval);
+
+    module.stt.emit('committed_transcript', 'Is my bevel modifier set right?');
+    (await claude.nextRequest()).respond(inspectCall({ region: 'right_panel', zoom: 2 }));
+    const capture = await answerCapture(socket, { image: FRAME, width: 392, height: 784 });
+    assert.deepEqual(capture.region, { x: 0.8125, y: 0.25, width: 0.125, height: 0.5 });
+
+    const followUp = await claude.nextRequest();
+    const [result] = followUp.messages.at(-1).content;
+    assert.equal(result.type, 'tool_result');
+    assert.deepEqual(result.content[0], { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: FRAME } });
+    assert.deepEqual(JSON.parse(result.content[1].text), { success: true, region: 'right_panel ×2', width: 392, height: 784 });
+    followUp.respond([{ type: 'text', text: 'Yes, two segments.' }]);
+    await waitFor(() => !module.isProcessing, { message: 'follow-up' });
+
+    assertAllRequestsValid(claude);
+  });
+
+  it('reports a bad box or a failed capture as a tool error', async () => {
+    const { module, socket } = setup();
+
+    const badBox = await module.handleToolCall('Inspect_Screen', { box: { x: 0.5, y: 0, width: 2, height: 1 } }, 'toolu_1');
+    assert.equal(badBox.success, false);
+    assert.equal(socket.outbound.filter(e => e.event === 'capture_region').length, 0);
+
+    const failing = module.handleToolCall('Inspect_Screen', {}, 'toolu_2');
+    await answerCapture(socket, { error: 'Screen share is not active' });
+    assert.deepEqual(await failing, {
+      success: false,
+      error: 'Screen share is not active',
+      message: 'Rely on the screenshot attached to the conversation instead.'
+    });
+  });
+
+  it('counts inspected screenshots toward the image limit', () => {
+    const { module } = setup();
+    const max = LiveAIModule.MAX_CONTEXT_IMAGES;
+    module.latestFrame = FRAME;
+    module.currentConversation = [];
+    for (let i = 0; i < max; i++) {
+      module.currentConversation.push(
+        { role: 'user', content: module.buildUserContent(`turn ${i}`) },
+        { role: 'assistant', content: inspectCall({}, `toolu_${i}`) },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: `toolu_${i}`, content: [
+          { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: FRAME } },
+          { type: 'text', text: '{"success":true}' }
+        ] }] },
+        { role: 'assistant', content: `reply ${i}` }
+      );
+    }
+
+    module.pruneOldImages();
+
+    assert.equal(countImages(module.currentConversation), max);
+    assert.deepEqual(module.currentConversation[2].content[0].content, [{ type: 'text', text: '{"success":true}' }]);
+    assert.deepEqual(conversationProblems(module.currentConversation), []);
+  });
+});
+
+describe('session teardown', () => {
+  it('detaches its socket listeners so a stopped module ignores later events', async () => {
+    const { module, claude, socket } = setup();
+    await startIdleSession(module, claude);
+
+    module.destroy();
+
+    for (const event of ['start_session', 'user_text_input', 'set_tts_muted', 'edit_tutorial']) {
+      assert.equal(socket.listenerCount(event), 0, event);
+    }
+    socket.receive('set_tts_muted', true);
+    socket.receive('user_text_input', 'still there?');
+    assert.equal(claude.requests.length, 1);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const LocalSTT = require('../server/services/local-stt');
+
+// 100ms of 16 kHz s16le mono audio
+const CHUNK_BYTES = 3200;
+const LOUD = Buffer.alloc(CHUNK_BYTES);
+for (let i = 0; i < CHUNK_BYTES; i += 2) LOUD.writeInt16LE(i % 4 ? 10000 : -10000, i);
+const SILENT = Buffer.alloc(CHUNK_BYTES);
+
+/**
+ * A recognizer command that reads the whole utterance, waits `delayMs`, then
+ * prints a partial, a {"text"} line with the byte count it heard, and a
+ * plain-text line.
+ */
+function recognizer(delayMs = 0) {
+  const script = [
+    'let bytes = 0;',
+    'process.stdin.on("data", (d) => { bytes += d.length; });',
+    `process.stdin.on("end", () => setTimeout(() => {`,
+    '  console.log(JSON.stringify({ partial: "hearing" }));',
+    '  console.log(JSON.stringify({ text: bytes + " bytes" }));',
+    '  console.log("plain tail");',
+    `}, ${delayMs}));`
+  ].join(' ');
+  return `"${process.execPath}" -e '${script}'`;
+}
+
+function createSTT(command) {
+  const stt = new LocalSTT({ command, energyThreshold: 0.05, silenceMs: 300, minSpeechMs: 150, preRollMs: 300 });
+  const events = [];
+  stt.on('partial_transcript', (text) => events.push(['partial', text]));
+  stt.on('committed_transcript', (text) => events.push(['committed', text]));
+  stt.connect();
+  return { stt, events };
+}
+
+function send(stt, ...chunks) {
+  for (const chunk of chunks) stt.sendAudio(chunk.toString('base64'));
+}
+
+describe('LocalSTT', () => {
+  it('segments speech with pre-roll and commits {"text"} lines as they arrive', async () => {
+    const { stt, events } = createSTT(recognizer());
+
+    send(stt, SILENT, SILENT, SILENT, LOUD);
+    assert.equal(stt.utterance, null, 'a single loud chunk is shorter than minSpeechMs');
+    send(stt, LOUD);
+    assert.ok(stt.utterance, 'speech starts after minSpeechMs');
+    // 300ms of pre-roll (one silent + two loud chunks), one more loud chunk, 300ms of trailing silence
+    const { proc } = stt.utterance;
+    send(stt, LOUD, SILENT, SILENT, SILENT);
+    send(stt, SILENT);
+
+    await once(proc, 'close');
+    assert.deepEqual(events, [
+      ['partial', 'hearing'],
+      ['committed', `${7 * CHUNK_BYTES} bytes`],
+      ['committed', 'plain tail']
+    ]);
+    assert.equal(stt.running.size, 0);
+  });
+
+  it('ignores audio below the energy threshold', () => {
+    const { stt } = createSTT(recognizer());
+    send(stt, SILENT, SILENT, SILENT, SILENT, SILENT);
+    assert.equal(stt.utterance, null);
+    assert.equal(stt.running.size, 0);
+  });
+
+  it('discards every running utterance on disconnect, including ones that already ended', async () => {
+    const { stt, events } = createSTT(recognizer(200));
+
+    send(stt, LOUD, LOUD, SILENT, SILENT, SILENT);
+    const first = [...stt.running][0];
+    send(stt, LOUD, LOUD);
+    assert.equal(stt.running.size, 2, 'the first utterance is still being transcribed');
+
+    const exited = [...stt.running].map(u => once(u.proc, 'close'));
+    stt.disconnect();
+    assert.equal(first.discarded, true);
+    assert.equal(stt.running.size, 0);
+
+    await Promise.all(exited);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(events, []);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockServer = require('../server/mock/mock-server');
+const LiveAIModule = require('../server/live-ai-module');
+const ClaudeService = require('../server/services/claude-service');
+const TutorialStore = require('../server/services/tutorial-store');
+const BlenderLessonCreator = require('../server/tools/blender/lesson-creator-agent');
+const { ReplaySTT, ReplayTTS, MemoryLearnerProfileStore, FakeSocket } = require('../server/replay/stubs');
+const { waitFor } = require('./helpers/fakes');
+
+/**
+ * A LiveAIModule and the Blender lesson creator talking to the offline mock
+ * Claude over HTTP, driven by typed messages — the default claude-script.json
+ * end to end.
+ */
+describe('mock server end to end', () => {
+  let server;
+  let baseURL;
+  let rootDir;
+  let module;
+
+  before(async () => {
+    server = createMockServer({ chunkDelayMs: 0 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-e2e-'));
+  });
+
+  after(async () => {
+    module?.destroy();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  function createModule() {
+    const lessonCreator = new BlenderLessonCreator();
+    lessonCreator.claude = new ClaudeService('mock', { baseURL });
+    lessonCreator.store = new TutorialStore(rootDir);
+    lessonCreator.imageMode = 'off';
+    lessonCreator.config = { ...lessonCreator.config, pipeline: { retryDelayMs: 0 } };
+
+    const created = new LiveAIModule({
+      createClaude: () => new ClaudeService('mock', { baseURL }),
+      createSTT: () => new ReplaySTT(),
+      createTTS: () => new ReplayTTS(),
+      createLessonCreator: () => lessonCreator,
+      createRecorder: () => null,
+      createTutorialStore: () => new TutorialStore(rootDir),
+      createLearnerProfileStore: () => new MemoryLearnerProfileStore()
+    });
+    created.initialize(new FakeSocket('mock-e2e'));
+    return created;
+  }
+
+  async function say(text) {
+    module.handleUserTextInput(text);
+    await waitFor(() => !module.isProcessing, { timeoutMs: 5000, message: `reply to "${text}"` });
+  }
+
+  const toolCalls = (name) => module.currentConversation
+    .filter(m => m.role === 'assistant' && Array.isArray(m.content))
+    .flatMap(m => m.content.filter(b => b.type === 'tool_use' && b.name === name));
+
+  const lastReply = () => {
+    const last = module.currentConversation.at(-1);
+    return typeof last.content === 'string' ? last.content : last.content.filter(b => b.type === 'text').map(b => b.text).join('');
+  };
+
+  it('rewrites a step once when the learner says it is too hard', async () => {
+    module = createModule();
+    await module.startSession({ toolType: 'blender' });
+    clearInterval(module.recurringCheckInterval);
+
+    await say('I want to make a mug');
+    await waitFor(() => module.currentTutorial && !module.currentTutorial.steps.some(s => s.pending), { timeoutMs: 5000, message: 'tutorial' });
+    assert.equal(toolCalls('Create_Tutorial').length, 1);
+
+    await say('This step is too hard');
+    assert.equal(toolCalls('Regenerate_Step').length, 1);
+    assert.match(lastReply(), /^Here's the new step 1: /);
+    assert.equal(module.currentTutorial.steps[0].title, 'Foundation');
+    assert.match(module.currentTutorial.steps[0].subSteps[0], /^Mock sub-step one/);
+  });
+});
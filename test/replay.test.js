@@ -0,0 +1,109 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiveAIModule = require('../server/live-ai-module');
+const SessionCapture = require('../server/replay/session-capture');
+const { replaySession } = require('../server/replay/replay-runner');
+const {
+  ResponseQueue,
+  ReplayClaude,
+  ReplaySTT,
+  ReplayTTS,
+  ReplayLessonCreator,
+  MemoryTutorialStore,
+  MemoryLearnerProfileStore,
+  FakeSocket
+} = require('../server/replay/stubs');
+
+const TUTORIAL = {
+  objectLabel: 'mug',
+  proficiency: 'beginner',
+  totalSteps: 2,
+  steps: [
+    { stepNumber: 1, title: 'Body', instruction: 'Add a cylinder.' },
+    { stepNumber: 2, title: 'Handle', instruction: 'Add a torus.' }
+  ],
+  metadata: { sessionId: 'replay-mug', toolType: 'blender' }
+};
+
+const text = (t) => [{ type: 'text', text: t }];
+
+// What the scripted Claude and lesson creator answer, in order
+const SCRIPT = [
+  { kind: 'claude', method: 'stream', chunks: ['Hi! ', 'What shall we make?'], content: text('Hi! What shall we make?'), stopReason: 'end_turn' },
+  {
+    kind: 'claude',
+    method: 'stream',
+    chunks: ['Let me set that up.'],
+    content: [...text('Let me set that up.'), { type: 'tool_use', id: 'toolu_1', name: 'Create_Tutorial', input: { object_label: 'mug', proficiency: 'beginner' } }],
+    stopReason: 'tool_use'
+  },
+  { kind: 'lesson', tutorial: TUTORIAL },
+  { kind: 'claude', method: 'stream', chunks: ['Your mug tutorial is ready.'], content: text('Your mug tutorial is ready.'), stopReason: 'end_turn' },
+  { kind: 'claude', method: 'stream', chunks: ['Start with a cylinder.'], content: text('Start with a cylinder.'), stopReason: 'end_turn' }
+];
+
+async function until(predicate, message) {
+  const deadline = Date.now() + 5000;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('session capture and replay', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  /** Run a short scripted session through SessionCapture and return the saved capture. */
+  async function captureSession() {
+    const socket = new FakeSocket('capture-test');
+    const capture = new SessionCapture(socket, rootDir);
+    const queue = new ResponseQueue(SCRIPT);
+    const module = new LiveAIModule(capture.wrapServices({
+      createClaude: () => new ReplayClaude(queue),
+      createSTT: () => new ReplaySTT(),
+      createTTS: () => new ReplayTTS(),
+      createLessonCreator: () => new ReplayLessonCreator(queue),
+      createRecorder: () => null,
+      createTutorialStore: () => new MemoryTutorialStore(),
+      createLearnerProfileStore: () => new MemoryLearnerProfileStore()
+    }));
+    module.initialize(socket);
+
+    const idle = () => !module.isProcessing;
+    socket.receive('start_session', { toolType: 'blender' });
+    await until(() => module.currentConversation.length === 2 && idle(), 'greeting');
+    socket.receive('audio_playback_ended');
+
+    socket.receive('user_text_input', 'I want to make a mug');
+    await until(() => module.currentTutorial && module.currentConversation.length === 6 && idle(), 'tutorial');
+    socket.receive('audio_playback_ended');
+
+    module.stt.emit('committed_transcript', 'Where do I start?');
+    await until(() => module.currentConversation.length === 8 && idle(), 'spoken reply');
+    socket.receive('audio_playback_ended');
+
+    const conversation = JSON.parse(JSON.stringify(module.currentConversation));
+    module.destroy();
+    capture.save();
+    assert.deepEqual(queue.remaining(), { stream: 0, response: 0, lesson: 0 });
+    return { capture: JSON.parse(fs.readFileSync(capture.filePath, 'utf8')), conversation };
+  }
+
+  it('replays a captured session to the same outbound events and conversation', async () => {
+    const { capture, conversation } = await captureSession();
+    const kinds = new Set(capture.events.map(e => e.kind));
+    assert.deepEqual([...kinds].sort(), ['claude', 'learner', 'lesson', 'socket_in', 'socket_out', 'stt']);
+
+    const result = await replaySession(capture, { speed: 2 });
+    assert.ok(result.expected.some(e => e.event === 'tutorial_ready'), 'the capture includes the tutorial');
+    assert.equal(result.divergence, null);
+    assert.deepEqual(result.actual.map(e => e.event), result.expected.map(e => e.event));
+    assert.deepEqual(result.unusedResponses, { stream: 0, response: 0, lesson: 0 });
+    assert.deepEqual(result.missingResponses, []);
+    assert.deepEqual(result.conversation, conversation);
+  });
+});
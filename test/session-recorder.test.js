@@ -0,0 +1,136 @@
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../server/services/session-recorder');
+const { toMarkdown, toHTML } = require('../server/services/transcript-exporter');
+const { applyStepEdit } = require('../server/utils/tutorial-edits');
+
+const PNG = Buffer.from('png bytes');
+const JPEG = Buffer.from('jpeg bytes');
+
+function tutorial() {
+  return {
+    objectLabel: 'mug',
+    proficiency: 'beginner',
+    totalSteps: 2,
+    referenceImagePath: '/output/tutorials/mug/reference.png',
+    steps: [
+      { stepNumber: 1, title: 'Body', instruction: 'Add a cylinder.\nScale it up.', imagePath: '/output/tutorials/mug/step-1.jpg' },
+      { stepNumber: 2, title: 'Handle' }
+    ],
+    metadata: { sessionId: 'mug', toolType: 'blender' }
+  };
+}
+
+describe('SessionRecorder', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-recorder-'));
+  after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  it('batches event writes and flushes the rest when the session ends', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+      const recorder = new SessionRecorder({ toolType: 'blender', toolName: 'Blender', language: 'en' }, rootDir);
+      const saved = () => SessionRecorder.load(recorder.id, rootDir);
+
+      recorder.recordUserTurn('Make a mug');
+      recorder.recordAgentTurn('Sure.');
+      assert.equal(saved(), null, 'nothing is written per event');
+
+      mock.timers.tick(2000);
+      assert.deepEqual(saved().events.map(e => e.type), ['user', 'agent']);
+
+      recorder.recordHotkey('Tab', 'Toggle Edit Mode');
+      assert.equal(saved().events.length, 2);
+      recorder.finish();
+      const finished = saved();
+      assert.deepEqual(finished.events.map(e => e.type), ['user', 'agent', 'hotkey']);
+      assert.ok(finished.endedAt);
+
+      mock.timers.tick(2000);
+      assert.deepEqual(saved(), finished, 'finish() leaves no write pending');
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('keeps the recorded steps in line with tutorial edits', () => {
+    const recorder = new SessionRecorder({ toolType: 'blender', toolName: 'Blender', language: 'en' }, rootDir);
+    let current = tutorial();
+    recorder.recordTutorial(current);
+
+    for (const edit of [
+      { action: 'insert', step: { stepNumber: 2, title: 'Hollow', instruction: 'Inset the top face.' } },
+      { action: 'skip', stepNumber: 3 },
+      { action: 'reorder', order: [2, 1, 3] }
+    ]) {
+      const { steps } = applyStepEdit(current.steps, edit);
+      current = { ...current, steps, totalSteps: steps.length };
+      recorder.recordTutorialEdit(current, edit);
+    }
+    recorder.finish();
+
+    const session = SessionRecorder.load(recorder.id, rootDir);
+    assert.deepEqual(session.tutorials.map(t => t.totalSteps), [3]);
+    assert.deepEqual(session.tutorials[0].steps.map(s => [s.stepNumber, s.title, !!s.skipped]), [[1, 'Hollow', false], [2, 'Body', false], [3, 'Handle', true]]);
+    assert.deepEqual(session.events.map(e => e.action || e.type), ['tutorial', 'insert', 'skip', 'reorder']);
+
+    const markdown = toMarkdown(session);
+    assert.match(markdown, /### Step 1: Hollow\n\nInset the top face\./);
+    assert.match(markdown, /### Step 3: Handle \(skipped\)/);
+    assert.match(markdown, /Tutorial edited \(insert step 2\), now 3 steps/);
+  });
+});
+
+describe('transcript exporter', () => {
+  const outputRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-exporter-'));
+  after(() => fs.rmSync(outputRoot, { recursive: true, force: true }));
+
+  const session = {
+    id: 'abc',
+    toolType: 'blender',
+    toolName: 'Blender',
+    language: 'en',
+    startedAt: '2026-01-02T10:00:00.000Z',
+    endedAt: '2026-01-02T10:05:00.000Z',
+    tutorials: [tutorial()],
+    events: [
+      { at: '2026-01-02T10:00:05.000Z', type: 'user', text: 'Make a <mug>' },
+      { at: '2026-01-02T10:00:09.000Z', type: 'agent', text: 'On it', interrupted: true },
+      { at: '2026-01-02T10:01:00.000Z', type: 'hotkey', keyCombo: 'Tab', description: 'Toggle Edit Mode' },
+      { at: '2026-01-02T10:01:30.000Z', type: 'tool_call', name: 'Progressed_Step', ok: true }
+    ]
+  };
+
+  it('renders Markdown without placeholders for missing fields', () => {
+    const markdown = toMarkdown(session);
+    assert.match(markdown, /^# Blender session recap/);
+    assert.match(markdown, /\*\*Duration:\*\* 5 min/);
+    assert.match(markdown, /### Step 1: Body\n\n!\[Step 1\]\(\/output\/tutorials\/mug\/step-1\.jpg\)\n\nAdd a cylinder\./);
+    assert.match(markdown, /### Step 2: Handle\n\n## Hotkeys/);
+    assert.doesNotMatch(markdown, /undefined/);
+    assert.match(markdown, /\*\*\[10:00:09\] Coach:\*\* On it …/);
+    assert.doesNotMatch(markdown, /Progressed_Step/, 'successful tool calls are left out');
+  });
+
+  it('inlines images from the output directory with their own media type', () => {
+    const dir = path.join(outputRoot, 'tutorials', 'mug');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'reference.png'), PNG);
+    fs.writeFileSync(path.join(dir, 'step-1.jpg'), JPEG);
+    // A sibling of the output directory whose name starts the same way
+    fs.mkdirSync(`${outputRoot}-old`, { recursive: true });
+    fs.writeFileSync(`${outputRoot}-old/secret.png`, PNG);
+
+    const escaping = { ...tutorial(), referenceImagePath: `/output/../${path.basename(outputRoot)}-old/secret.png` };
+    const html = toHTML({ ...session, tutorials: [tutorial(), escaping] }, { outputRoot });
+    fs.rmSync(`${outputRoot}-old`, { recursive: true, force: true });
+
+    assert.equal(html.split(`data:image/png;base64,${PNG.toString('base64')}`).length - 1, 1, 'only the reference inside the output directory');
+    assert.match(html, new RegExp(`data:image/jpeg;base64,${JPEG.toString('base64')}`));
+    assert.match(html, /Make a &lt;mug&gt;/);
+    assert.match(html, /Add a cylinder\.<br>Scale it up\./);
+    assert.doesNotMatch(html, /undefined/);
+  });
+});
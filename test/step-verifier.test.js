@@ -0,0 +1,175 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const StepVerifier = require('../server/services/step-verifier');
+const {
+  GatedClaude,
+  makeTutorial,
+  createTestModule,
+  startIdleSession,
+  waitFor
+} = require('./helpers/fakes');
+
+const SCREEN = Buffer.from('screen').toString('base64');
+const REFERENCE = { data: Buffer.from('reference').toString('base64'), mediaType: 'image/png' };
+
+function report(criteria, summary = 'Checked.') {
+  return [{ type: 'tool_use', id: 'toolu_check', name: 'Report_Step_Check', input: { criteria, summary } }];
+}
+
+describe('StepVerifier', () => {
+  it('forces a structured checklist for the step\'s criteria', async () => {
+    const claude = new GatedClaude();
+    const verifier = new StepVerifier(claude, { model: 'checker' });
+    const tutorial = makeTutorial('mug', 'beginner');
+
+    const verifying = verifier.verify({ tutorial, stepIndex: 1, screenshot: SCREEN, referenceImage: REFERENCE });
+    const request = await claude.nextRequest();
+    assert.deepEqual(request.options, { model: 'checker', toolChoice: { type: 'tool', name: 'Report_Step_Check' } });
+    assert.deepEqual(request.tools.map(t => t.name), ['Report_Step_Check']);
+
+    const content = request.messages[0].content;
+    assert.deepEqual(content.filter(b => b.type === 'image').map(b => b.source.data), [REFERENCE.data, SCREEN]);
+    assert.match(content.at(-1).text, /step 2 of 3[\s\S]*1\. Part 2 exists\n2\. Part 2 is in place/);
+
+    request.respond(report([
+      { criterion: 'Part 2 exists', met: true },
+      { criterion: 'Part 2 is in place', met: true, note: 'Aligned with part 1' }
+    ]));
+    const result = await verifying;
+    assert.equal(result.complete, true);
+    assert.deepEqual(result.criteria[1], { criterion: 'Part 2 is in place', met: true, note: 'Aligned with part 1' });
+  });
+
+  it('is incomplete when any criterion is unmet', async () => {
+    const claude = new GatedClaude();
+    const verifier = new StepVerifier(claude);
+
+    const verifying = verifier.verify({ tutorial: makeTutorial('mug', 'beginner'), stepIndex: 0, screenshot: SCREEN });
+    (await claude.nextRequest()).respond(report([
+      { criterion: 'Part 1 exists', met: true },
+      { criterion: 'Part 1 is in place', met: false, note: 'It is floating above the ground' }
+    ], 'Part 1 needs moving down.'));
+
+    const result = await verifying;
+    assert.equal(result.complete, false);
+    assert.equal(result.summary, 'Part 1 needs moving down.');
+  });
+
+  it('reports an error instead of a verdict when the check fails', async () => {
+    const claude = new GatedClaude();
+    const verifier = new StepVerifier(claude);
+    const tutorial = makeTutorial('mug', 'beginner');
+
+    const noChecklist = verifier.verify({ tutorial, stepIndex: 0, screenshot: SCREEN });
+    (await claude.nextRequest()).respond([{ type: 'text', text: 'Looks fine to me.' }]);
+    assert.ok((await noChecklist).error);
+
+    const failed = verifier.verify({ tutorial, stepIndex: 0, screenshot: SCREEN });
+    (await claude.nextRequest()).fail(new Error('overloaded'));
+    assert.deepEqual(await failed, { error: 'overloaded' });
+
+    assert.ok((await verifier.verify({ tutorial, stepIndex: 5, screenshot: SCREEN })).error);
+  });
+});
+
+describe('Progressed_Step verification', () => {
+  let current = null;
+  afterEach(() => {
+    current?.module.destroy();
+    current = null;
+  });
+
+  async function setupWithTutorial() {
+    current = createTestModule();
+    const { module, claude } = current;
+    await startIdleSession(module, claude);
+    clearInterval(module.recurringCheckInterval);
+    module.currentTutorial = makeTutorial('mug', 'beginner');
+    module.currentStepIndex = 0;
+    return current;
+  }
+
+  async function answerCapture(socket) {
+    await waitFor(() => socket.outbound.some(e => e.event === 'capture_region'), { message: 'capture request' });
+    const { requestId } = socket.outbound.find(e => e.event === 'capture_region').args[0];
+    socket.receive('region_frame', { requestId, image: SCREEN, width: 1568, height: 882 });
+  }
+
+  it('keeps the tutorial on a step that is not done and says what is missing', async () => {
+    const { module, claude, socket } = await setupWithTutorial();
+
+    const progressing = module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2 }, 'toolu_1');
+    await answerCapture(socket);
+    const check = await claude.nextRequest();
+    assert.equal(check.messages[0].content.find(b => b.type === 'image').source.data, SCREEN);
+    check.respond(report([
+      { criterion: 'Part 1 exists', met: true },
+      { criterion: 'Part 1 is in place', met: false, note: 'It is floating' }
+    ], 'Part 1 is not in place yet.'));
+
+    const result = await progressing;
+    assert.equal(result.success, false);
+    assert.deepEqual(result.unmet, ['Part 1 is in place — It is floating']);
+    assert.equal(module.currentStepIndex, 0);
+    assert.ok(!socket.outbound.some(e => e.event === 'step_update'));
+    const verification = socket.outbound.find(e => e.event === 'step_verification').args[0];
+    assert.equal(verification.stepNumber, 1);
+    assert.equal(verification.complete, false);
+  });
+
+  it('advances once every criterion is met', async () => {
+    const { module, claude, socket } = await setupWithTutorial();
+
+    const progressing = module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2 }, 'toolu_1');
+    await answerCapture(socket);
+    (await claude.nextRequest()).respond(report([
+      { criterion: 'Part 1 exists', met: true },
+      { criterion: 'Part 1 is in place', met: true }
+    ]));
+
+    const result = await progressing;
+    assert.equal(result.success, true);
+    assert.equal(result.verified, true);
+    assert.equal(module.currentStepIndex, 1);
+    assert.ok(socket.outbound.some(e => e.event === 'step_update'));
+  });
+
+  it('skips the check when asked to, or when there is no screen to check', async () => {
+    const { module, claude, socket } = await setupWithTutorial();
+    const requestsBefore = claude.requests.length;
+
+    const skipped = await module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2, skip_verification: true }, 'toolu_1');
+    assert.equal(skipped.success, true);
+    assert.equal(skipped.verified, undefined);
+
+    module.requestScreenCapture = async () => ({ error: 'Screen share is not active' });
+    const unverified = await module.handleToolCall('Progressed_Step', { previous_step: 2, current_step: 3 }, 'toolu_2');
+    assert.equal(unverified.success, true);
+    assert.equal(module.currentStepIndex, 2);
+
+    const back = await module.handleToolCall('Progressed_Step', { previous_step: 3, current_step: 2 }, 'toolu_3');
+    assert.equal(back.success, true, 'going back is never checked');
+    assert.equal(claude.requests.length, requestsBefore);
+    assert.ok(!socket.outbound.some(e => e.event === 'capture_region'));
+  });
+
+  it('checks the step the module is on and rejects a stale previous_step', async () => {
+    const { module, claude, socket } = await setupWithTutorial();
+    module.currentStepIndex = 1;
+    const requestsBefore = claude.requests.length;
+
+    const stale = await module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2 }, 'toolu_1');
+    assert.equal(stale.success, false);
+    assert.match(stale.error, /user is on step 2/);
+    assert.equal(stale.currentStep, 2);
+    assert.equal(module.currentStepIndex, 1);
+    assert.equal(claude.requests.length, requestsBefore, 'nothing is verified');
+
+    const progressing = module.handleToolCall('Progressed_Step', { previous_step: 2, current_step: 3 }, 'toolu_2');
+    await answerCapture(socket);
+    const check = await claude.nextRequest();
+    assert.match(check.messages[0].content.at(-1).text, /step 2 of 3[\s\S]*Part 2 exists/);
+    check.respond(report([{ criterion: 'Part 2 exists', met: true }, { criterion: 'Part 2 is in place', met: true }]));
+    assert.equal((await progressing).currentStep, 3);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, requestStructured } = require('../server/utils/structured-output');
+const { GatedClaude } = require('./helpers/fakes');
+
+const TOOL = {
+  name: 'Report_Plan',
+  description: 'Report a plan.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      steps: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      level: { type: 'string', enum: ['easy', 'hard'] },
+      done: { type: 'boolean' }
+    },
+    required: ['steps', 'level']
+  }
+};
+
+const call = (input) => [{ type: 'tool_use', id: 'toolu_plan', name: 'Report_Plan', input }];
+
+describe('validateSchema', () => {
+  it('lists every problem with its path', () => {
+    assert.deepEqual(validateSchema(TOOL.input_schema, { steps: ['Cut', ' ', 3], level: 'medium', done: 'yes' }), [
+      'input.steps[1]: must not be empty',
+      'input.steps[2]: expected a string',
+      'input.level: must be one of easy, hard',
+      'input.done: expected true or false'
+    ]);
+    assert.deepEqual(validateSchema(TOOL.input_schema, []), ['input: expected an object']);
+    assert.deepEqual(validateSchema(TOOL.input_schema, { steps: ['Cut'], level: 'easy' }), []);
+  });
+});
+
+describe('requestStructured', () => {
+  it('forces the tool and sends schema problems back once for a repair', async () => {
+    const claude = new GatedClaude();
+    const requesting = requestStructured(claude, 'system', [{ role: 'user', content: 'Plan it' }], TOOL);
+
+    const first = await claude.nextRequest();
+    assert.deepEqual(first.options.toolChoice, { type: 'tool', name: 'Report_Plan' });
+    first.respond(call({ steps: [] }));
+
+    const repair = await claude.nextRequest();
+    const result = repair.messages[2].content[0];
+    assert.deepEqual(repair.messages[1], { role: 'assistant', content: call({ steps: [] }) });
+    assert.equal(result.tool_use_id, 'toolu_plan');
+    assert.equal(result.is_error, true);
+    assert.match(result.content, /- input\.level: missing\n- input\.steps: needs at least 1 items\nCall Report_Plan again/);
+    repair.respond(call({ steps: ['Cut'], level: 'easy' }));
+
+    assert.deepEqual(await requesting, { steps: ['Cut'], level: 'easy' });
+  });
+
+  it('throws with the problems once the repairs run out', async () => {
+    const claude = new GatedClaude();
+    const requesting = requestStructured(claude, 'system', [{ role: 'user', content: 'Plan it' }], TOOL, [], { repairAttempts: 0, label: 'The plan' });
+
+    (await claude.nextRequest()).respond(call({ steps: ['Cut'], level: 'medium' }));
+    await assert.rejects(requesting, {
+      message: 'The plan did not match the expected format (input.level: must be one of easy, hard)',
+      problems: ['input.level: must be one of easy, hard']
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyStepEdit, currentIndexAfterEdit, orderProblem } = require('../server/utils/tutorial-edits');
+const { makeTutorial, createTestModule, startIdleSession, waitFor } = require('./helpers/fakes');
+
+const titles = (steps) => steps.map(s => `${s.stepNumber}:${s.title}${s.skipped ? '(skipped)' : ''}`);
+
+describe('tutorial edits', () => {
+  const steps = makeTutorial('mug', 'beginner', 4).steps;
+
+  it('renumbers the steps and follows the learner\'s step', () => {
+    const insert = { action: 'insert', step: { stepNumber: 2, title: 'New' } };
+    const inserted = applyStepEdit(steps, insert);
+    assert.deepEqual(titles(inserted.steps), ['1:Step 1', '2:New', '3:Step 2', '4:Step 3', '5:Step 4']);
+    assert.deepEqual(inserted.from, [0, null, 1, 2, 3]);
+    assert.equal(currentIndexAfterEdit(inserted.steps, inserted.from, 2, insert), 3, 'inserted before the learner');
+    assert.equal(currentIndexAfterEdit(inserted.steps, inserted.from, 1, insert), 1, 'inserted at the learner\'s step comes first');
+
+    const reorder = { action: 'reorder', order: [3, 1, 2, 4] };
+    const reordered = applyStepEdit(steps, reorder);
+    assert.deepEqual(titles(reordered.steps), ['1:Step 3', '2:Step 1', '3:Step 2', '4:Step 4']);
+    assert.equal(currentIndexAfterEdit(reordered.steps, reordered.from, 0, reorder), 1);
+  });
+
+  it('moves past skipped steps and checks reorderings', () => {
+    const first = applyStepEdit(steps, { action: 'skip', stepNumber: 3 });
+    const skip = { action: 'skip', stepNumber: 2 };
+    const skipped = applyStepEdit(first.steps, skip);
+    assert.deepEqual(titles(skipped.steps), ['1:Step 1', '2:Step 2(skipped)', '3:Step 3(skipped)', '4:Step 4']);
+    assert.equal(currentIndexAfterEdit(skipped.steps, skipped.from, 1, skip), 3);
+
+    assert.equal(orderProblem([2, 1, 3, 4], 4), null);
+    assert.match(orderProblem([1, 2, 3], 4), /all 4 step numbers/);
+    assert.match(orderProblem([1, 1, 3, 4], 4), /each step number/);
+  });
+
+  it('keeps a rewritten step skipped', () => {
+    const skipped = applyStepEdit(steps, { action: 'skip', stepNumber: 2 });
+    const rewritten = applyStepEdit(skipped.steps, { action: 'regenerate', step: { stepNumber: 2, title: 'Easier' } });
+    assert.deepEqual(titles(rewritten.steps), ['1:Step 1', '2:Easier(skipped)', '3:Step 3', '4:Step 4']);
+    const other = applyStepEdit(skipped.steps, { action: 'regenerate', step: { stepNumber: 3, title: 'Harder' } });
+    assert.deepEqual(titles(other.steps), ['1:Step 1', '2:Step 2(skipped)', '3:Harder', '4:Step 4']);
+  });
+});
+
+describe('LiveAIModule tutorial editing', () => {
+  let current = null;
+  afterEach(() => {
+    current?.module.destroy();
+    current = null;
+  });
+
+  async function startWithTutorial(currentStepIndex = 0) {
+    current = createTestModule();
+    const { module, claude } = current;
+    await startIdleSession(module, claude);
+    clearInterval(module.recurringCheckInterval);
+    module.currentTutorial = module.tutorialStore.save(makeTutorial('mug', 'beginner', 4));
+    module.currentStepIndex = currentStepIndex;
+    return current;
+  }
+
+  const emitted = (socket, event) => socket.outbound.filter(e => e.event === event).map(e => e.args[0]);
+
+  it('rewrites a step through the lesson creator and sends the diff', async () => {
+    const { module, lessonCreator, socket } = await startWithTutorial(1);
+    const regenerating = module.handleToolCall('Regenerate_Step', { step_number: 2, direction: 'easier', feedback: 'could not find the menu' }, 'toolu_1');
+
+    await waitFor(() => lessonCreator.stepCalls.length === 1, { message: 'generateStep call' });
+    const { edit } = lessonCreator.stepCalls[0];
+    assert.deepEqual(edit, { stepNumber: 2, replace: true, direction: 'easier', request: 'could not find the menu' });
+    assert.deepEqual(emitted(socket, 'tutorial_edit_started'), [{ action: 'regenerate', stepNumber: 2 }]);
+    lessonCreator.stepCalls[0].release({ subSteps: ['Open the Add menu'], expectedEndState: 'A mug body', commonMistakes: [], hotkeys: [] });
+
+    const result = await regenerating;
+    assert.equal(result.success, true);
+    assert.deepEqual(result.subSteps, ['Open the Add menu']);
+    assert.match(result.message, /rewritten to be easier[\s\S]*walk them through/);
+
+    const [diff] = emitted(socket, 'tutorial_updated');
+    assert.deepEqual({ ...diff, step: diff.step.title }, { sessionId: 'tut-mug', action: 'regenerate', step: 'Written 2', totalSteps: 4, currentStep: 2 });
+    assert.equal(module.tutorialStore.load('tut-mug').steps[1].title, 'Written 2');
+    assert.match(module.buildSystemPrompt()[1], /Steps: 1\. Step 1 · 2\. Written 2 ·[\s\S]*Sub-steps:\n1\. Open the Add menu/);
+  });
+
+  it('inserts a step at the learner\'s position, skips and reorders', async () => {
+    const { module, lessonCreator, socket } = await startWithTutorial(1);
+
+    const inserting = module.handleToolCall('Insert_Step', { after_step: 1, title: 'Set up the scene', description: 'Delete the default cube' }, 'toolu_1');
+    await waitFor(() => lessonCreator.stepCalls.length === 1, { message: 'generateStep call' });
+    assert.deepEqual(lessonCreator.stepCalls[0].edit, { stepNumber: 2, replace: false, request: 'Set up the scene: Delete the default cube' });
+    lessonCreator.stepCalls[0].release();
+    const inserted = await inserting;
+    assert.deepEqual([inserted.stepNumber, inserted.totalSteps, inserted.currentStep], [2, 5, 2]);
+
+    const skipped = await module.handleToolCall('Skip_Step', { step_number: 2 }, 'toolu_2');
+    assert.deepEqual([skipped.currentStep, skipped.stepTitle], [3, 'Step 2']);
+
+    const reordered = await module.handleToolCall('Reorder_Steps', { order: [1, 2, 4, 3, 5] }, 'toolu_3');
+    assert.equal(reordered.currentStep, 4, 'the learner stays on their step');
+    assert.deepEqual(reordered.steps, ['1. Step 1', '2. Written 2 (skipped)', '3. Step 3', '4. Step 2', '5. Step 4']);
+    assert.deepEqual(emitted(socket, 'tutorial_updated').map(d => [d.action, d.currentStep, d.totalSteps]), [
+      ['insert', 2, 5], ['skip', 3, 5], ['reorder', 4, 5]
+    ]);
+
+    // Moving forward passes over skipped steps
+    module.currentStepIndex = 0;
+    const progressed = await module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2, skip_verification: true }, 'toolu_4');
+    assert.deepEqual([progressed.currentStep, progressed.stepTitle], [3, 'Step 3']);
+  });
+
+  it('inserts a step the learner adds from the step list', async () => {
+    const { module, lessonCreator, socket } = await startWithTutorial();
+    socket.receive('edit_tutorial', { action: 'insert', stepNumber: 2, title: 'Add a handle' });
+    await waitFor(() => lessonCreator.stepCalls.length === 1, { message: 'generateStep call' });
+    const { edit } = lessonCreator.stepCalls[0];
+    assert.deepEqual([edit.stepNumber, edit.replace, edit.request], [3, false, 'Add a handle']);
+
+    lessonCreator.stepCalls[0].release({ title: 'Add a handle' });
+    await waitFor(() => emitted(socket, 'tutorial_updated').length === 1, { message: 'tutorial_updated' });
+    assert.deepEqual(titles(module.currentTutorial.steps), ['1:Step 1', '2:Step 2', '3:Add a handle', '4:Step 3', '5:Step 4']);
+    assert.equal(emitted(socket, 'tutorial_updated')[0].action, 'insert');
+  });
+
+  it('rejects edits while steps are still being written and reports failed ones', async () => {
+    const { module, lessonCreator, socket } = await startWithTutorial();
+    module.currentTutorial.steps[2].pending = true;
+    socket.receive('edit_tutorial', { action: 'skip', stepNumber: 1 });
+    await waitFor(() => emitted(socket, 'tutorial_edit_error').length === 1, { message: 'tutorial_edit_error' });
+    assert.deepEqual(emitted(socket, 'tutorial_edit_error')[0], {
+      action: 'skip',
+      stepNumber: 1,
+      error: 'The tutorial is still being written; edit it once it is ready'
+    });
+    delete module.currentTutorial.steps[2].pending;
+
+    const bad = await module.handleToolCall('Reorder_Steps', { order: [1, 2] }, 'toolu_1');
+    assert.equal(bad.success, false);
+
+    const regenerating = module.handleToolCall('Regenerate_Step', { step_number: 1 }, 'toolu_2');
+    await waitFor(() => lessonCreator.stepCalls.length === 1, { message: 'generateStep call' });
+    const busy = await module.handleToolCall('Skip_Step', { step_number: 3 }, 'toolu_3');
+    assert.match(busy.error, /still in progress/);
+    lessonCreator.stepCalls[0].fail(Object.assign(new Error('The step plan did not match the expected format'), { phase: 'analysis' }));
+
+    const failed = await regenerating;
+    assert.equal(failed.success, false);
+    assert.match(failed.message, /carry on with the tutorial as it is/);
+    assert.equal(module.currentTutorial.steps[0].title, 'Step 1');
+    assert.deepEqual(emitted(socket, 'tutorial_updated'), []);
+  });
+});
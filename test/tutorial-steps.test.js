@@ -0,0 +1,79 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { STEP_FIELDS_TOOL, stepFieldsFromInput, describeStep } = require('../server/utils/tutorial-steps');
+const { validateSchema } = require('../server/utils/structured-output');
+const { makeTutorial, createTestModule, startIdleSession } = require('./helpers/fakes');
+
+const INPUT = {
+  subSteps: ['Press Shift+A and add a Cylinder', '  Scale it with S  ', ''],
+  expectedEndState: 'A cylinder sits at the origin. ',
+  commonMistakes: [{ mistake: 'Adding a circle instead', fix: 'Undo and pick Mesh > Cylinder' }],
+  hotkeys: [{ keys: 'Shift+A', action: 'Add menu' }]
+};
+
+describe('tutorial step fields', () => {
+  it('turns the tool input into trimmed fields and a markdown instruction', () => {
+    const fields = stepFieldsFromInput(INPUT);
+    assert.deepEqual(fields.subSteps, ['Press Shift+A and add a Cylinder', 'Scale it with S']);
+    assert.equal(fields.expectedEndState, 'A cylinder sits at the origin.');
+    assert.deepEqual(fields.commonMistakes, [{ mistake: 'Adding a circle instead', fix: 'Undo and pick Mesh > Cylinder' }]);
+    assert.deepEqual(fields.hotkeys, [{ keys: 'Shift+A', action: 'Add menu' }]);
+    assert.match(fields.instruction, /^1\. Press Shift\+A[\s\S]*\*\*Expected result:\*\* A cylinder[\s\S]*\*\*Watch out for:\*\*\n- Adding a circle instead — Undo[\s\S]*`Shift\+A` Add menu$/);
+  });
+
+  it('has a tool schema that rejects incomplete instructions', () => {
+    const schema = STEP_FIELDS_TOOL.input_schema;
+    assert.deepEqual(validateSchema(schema, stepFieldsFromInput(INPUT)), []);
+    assert.deepEqual(validateSchema(schema, INPUT), ['input.subSteps[2]: must not be empty']);
+    assert.deepEqual(validateSchema(schema, { ...INPUT, subSteps: [], expectedEndState: '  ' }), [
+      'input.subSteps: needs at least 1 items',
+      'input.expectedEndState: must not be empty'
+    ]);
+    assert.deepEqual(validateSchema(schema, { subSteps: ['Add a cylinder'], expectedEndState: 'Done', hotkeys: [{ keys: 'S' }] }), [
+      'input.commonMistakes: missing',
+      'input.hotkeys[0].action: missing'
+    ]);
+  });
+
+  it('describes structured and older steps for prompts', () => {
+    const step = { ...stepFieldsFromInput(INPUT), completionCriteria: ['A cylinder exists'] };
+    assert.equal(describeStep(step), [
+      'Sub-steps:',
+      '1. Press Shift+A and add a Cylinder',
+      '2. Scale it with S',
+      'Expected end state: A cylinder sits at the origin.',
+      'Done when: A cylinder exists',
+      'Common mistakes:',
+      '- Adding a circle instead → Undo and pick Mesh > Cylinder',
+      'Hotkeys: Shift+A (Add menu)'
+    ].join('\n'));
+    assert.equal(describeStep({ instruction: 'Add a cylinder.' }), 'Instructions: Add a cylinder.');
+  });
+});
+
+describe('LiveAIModule structured steps', () => {
+  let current = null;
+  afterEach(() => {
+    current?.module.destroy();
+    current = null;
+  });
+
+  it('gives Claude the next step\'s structured fields when progressing', async () => {
+    current = createTestModule();
+    const { module, claude } = current;
+    await startIdleSession(module, claude);
+    clearInterval(module.recurringCheckInterval);
+    const tutorial = makeTutorial('mug', 'beginner');
+    Object.assign(tutorial.steps[1], stepFieldsFromInput(INPUT));
+    module.currentTutorial = tutorial;
+    module.currentStepIndex = 0;
+
+    const result = await module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2, skip_verification: true }, 'toolu_1');
+    assert.deepEqual(result.subSteps, ['Press Shift+A and add a Cylinder', 'Scale it with S']);
+    assert.equal(result.expectedEndState, 'A cylinder sits at the origin.');
+    assert.equal(result.stepInstruction, undefined);
+
+    const back = await module.handleToolCall('Progressed_Step', { previous_step: 2, current_step: 1 }, 'toolu_2');
+    assert.equal(back.stepInstruction, tutorial.steps[0].instruction, 'older steps still send the instruction');
+  });
+});
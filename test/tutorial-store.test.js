@@ -0,0 +1,54 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TutorialStore = require('../server/services/tutorial-store');
+
+function tutorial(id, toolType = 'blender', totalSteps = 2) {
+  return {
+    objectLabel: id,
+    proficiency: 'beginner',
+    totalSteps,
+    steps: Array.from({ length: totalSteps }, (_, i) => ({ stepNumber: i + 1, title: `Step ${i + 1}`, instruction: `Do part ${i + 1}.` })),
+    metadata: { sessionId: id, toolType, generatedAt: new Date().toISOString() }
+  };
+}
+
+describe('TutorialStore', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tutorial-store-'));
+  after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+  it('marks a tutorial completed once progress moves past its last step', () => {
+    const store = new TutorialStore(rootDir);
+    assert.equal(store.save(tutorial('mug')).progress.currentStepIndex, 0);
+
+    assert.equal(store.updateProgress('mug', 1).progress.completed, false, 'on the last step');
+    assert.equal(new TutorialStore(rootDir).load('mug').progress.currentStepIndex, 1);
+
+    assert.equal(store.updateProgress('mug', 2).progress.completed, true, 'past the last step');
+    assert.equal(store.load('mug').progress.completed, true);
+    assert.equal(store.updateProgress('missing', 0), null);
+  });
+
+  it('lists resumable tutorials, most recently touched first', async () => {
+    const store = new TutorialStore(rootDir);
+    store.save(tutorial('chair'));
+    store.save(tutorial('poster', 'figma'));
+    store.save(tutorial('lamp'));
+    store.updateProgress('lamp', 2);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    store.updateProgress('chair', 1);
+
+    assert.deepEqual(store.list({ resumable: true }).map(t => t.id), ['chair', 'poster']);
+    assert.deepEqual(store.list({ resumable: true, toolType: 'blender' }).map(t => [t.id, t.currentStepIndex]), [['chair', 1]]);
+    assert.deepEqual(store.list().map(t => t.id).sort(), ['chair', 'lamp', 'mug', 'poster']);
+  });
+
+  it('rejects ids that could leave the tutorials directory', () => {
+    const store = new TutorialStore(rootDir);
+    assert.equal(store.load('../mug'), null);
+    assert.throws(() => store.save(tutorial('../escape')), /Invalid tutorial id/);
+    assert.equal(store.delete('..'), false);
+  });
+});
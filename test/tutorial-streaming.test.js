@@ -0,0 +1,127 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestModule, startIdleSession, waitFor } = require('./helpers/fakes');
+
+describe('Streaming tutorial generation', () => {
+  let current = null;
+  afterEach(() => {
+    current?.module.destroy();
+    current = null;
+  });
+
+  async function startCreating() {
+    current = createTestModule();
+    const { module, claude, lessonCreator } = current;
+    await startIdleSession(module, claude);
+    clearInterval(module.recurringCheckInterval);
+
+    const creating = module.handleToolCall('Create_Tutorial', { object_label: 'mug', proficiency: 'beginner' }, 'toolu_1');
+    await waitFor(() => lessonCreator.calls.length === 1, { message: 'generate call' });
+    return { ...current, creating, generation: lessonCreator.calls[0] };
+  }
+
+  const emitted = (socket, event) => socket.outbound.filter(e => e.event === event).map(e => e.args[0]);
+
+  it('returns as soon as step 1 is ready and streams the rest', async () => {
+    const { module, claude, socket, creating, generation } = await startCreating();
+
+    generation.outline();
+    assert.equal(emitted(socket, 'tutorial_outline')[0].steps.length, 3);
+    generation.step(2);
+    generation.step(1);
+
+    const result = await creating;
+    assert.equal(result.success, true);
+    assert.deepEqual(result.steps.map(s => !!s.pending), [false, false, true]);
+    assert.match(result.message, /other 1 steps are still being written/);
+    assert.deepEqual(emitted(socket, 'tutorial_step_ready').map(s => s.stepNumber), [2, 1]);
+    assert.deepEqual(emitted(socket, 'tutorial_ready'), []);
+
+    module.stt.emit('committed_transcript', 'ok, what first?');
+    const request = await claude.nextRequest();
+    assert.match(request.systemPrompt.join('\n'), /Current Step: 1 of 3[\s\S]*Do part 1\./);
+    request.respond([{ type: 'text', text: 'Add a cylinder.' }]);
+    await waitFor(() => !module.isProcessing, { message: 'reply' });
+
+    generation.step(3);
+    generation.release();
+    await waitFor(() => emitted(socket, 'tutorial_ready').length === 1, { message: 'tutorial_ready' });
+    assert.ok(module.currentTutorial.steps.every(s => !s.pending));
+  });
+
+  it('tells Claude a step is still being written and keeps progress when the tutorial lands', async () => {
+    const { module, socket, creating, generation } = await startCreating();
+    generation.outline();
+    generation.step(1);
+    await creating;
+
+    const moved = await module.handleToolCall('Progressed_Step', { previous_step: 1, current_step: 2, skip_verification: true }, 'toolu_2');
+    assert.equal(moved.pending, true);
+    assert.deepEqual(moved.completionCriteria, ['Part 2 exists', 'Part 2 is in place']);
+    assert.match(module.buildSystemPrompt()[1], /still being written[\s\S]*Done when: Part 2 exists/);
+
+    generation.step(2);
+    generation.step(3);
+    generation.release();
+    await waitFor(() => emitted(socket, 'tutorial_ready').length === 1, { message: 'tutorial_ready' });
+    assert.equal(module.currentStepIndex, 1);
+    assert.match(module.buildSystemPrompt()[1], /Do part 2\./);
+  });
+
+  it('still works with a lesson creator that does not stream', async () => {
+    const { socket, creating, generation } = await startCreating();
+    generation.release();
+
+    const result = await creating;
+    assert.equal(result.success, true);
+    assert.match(result.message, /^Tutorial is ready!/);
+    assert.equal(emitted(socket, 'tutorial_ready').length, 1);
+  });
+
+  it('drops the tutorial and tells Claude when a later step fails after coaching started', async () => {
+    const { module, claude, socket, creating, generation } = await startCreating();
+    generation.outline();
+    generation.step(1);
+    assert.equal((await creating).success, true);
+
+    generation.fail(Object.assign(new Error('overloaded'), { phase: 'instructions', stepNumber: 3 }));
+    const notice = await claude.nextRequest();
+    assert.match(notice.messages.at(-1).content, /^\[TUTORIAL_ERROR\] The rest of the mug tutorial could not be written/);
+    assert.equal(module.currentTutorial, null);
+    assert.deepEqual(emitted(socket, 'tutorial_error'), [{ error: 'overloaded', phase: 'instructions', stepNumber: 3, discarded: true }]);
+
+    // A sibling step still in flight when step 3 failed is ignored
+    generation.step(2);
+    assert.deepEqual(emitted(socket, 'tutorial_step_ready').map(s => s.stepNumber), [1]);
+
+    notice.respond([{ type: 'text', text: 'Sorry, that tutorial fell through. Want to try again?' }]);
+    await waitFor(() => !module.isProcessing, { message: 'reply to the notice' });
+    const edit = await module.handleToolCall('Skip_Step', { step_number: 2 }, 'toolu_2');
+    assert.equal(edit.error, 'There is no tutorial to edit');
+  });
+
+  it('reports a failure before step 1 as the tool result, and ignores a superseded generation', async () => {
+    const { module, socket, lessonCreator, creating, generation } = await startCreating();
+    generation.outline();
+    generation.fail(Object.assign(new Error('The instructions for step 1 did not match the expected format'), { phase: 'instructions', stepNumber: 1 }));
+    const failed = await creating;
+    assert.equal(failed.success, false);
+    assert.match(failed.message, /offer to try again/);
+    assert.deepEqual(emitted(socket, 'tutorial_error'), [
+      { error: 'The instructions for step 1 did not match the expected format', phase: 'instructions', stepNumber: 1, discarded: true }
+    ]);
+    assert.equal(module.currentTutorial, null);
+
+    const first = module.handleToolCall('Create_Tutorial', { object_label: 'cup', proficiency: 'beginner' }, 'toolu_2');
+    const second = module.handleToolCall('Create_Tutorial', { object_label: 'bowl', proficiency: 'beginner' }, 'toolu_3');
+    await waitFor(() => lessonCreator.calls.length === 3, { message: 'both generate calls' });
+    lessonCreator.calls[2].outline();
+    lessonCreator.calls[2].step(1);
+    lessonCreator.calls[1].outline();
+    lessonCreator.calls[1].release();
+
+    assert.equal((await first).success, false);
+    assert.equal((await second).objectLabel, 'bowl');
+    assert.equal(module.currentTutorial.objectLabel, 'bowl');
+  });
+});